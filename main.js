@@ -26,6 +26,196 @@ const updateCartIconCount = () => {
     }
 };
 
+// --- Saved Cart Sync (Global) ---
+// localStorage 'shoppingCart' stays the cart every page reads. When logged in it is
+// also kept in the user's saved cart on the server (/api/users/me/cart):
+//  - first page load after login: the guest bag is merged into the saved cart
+//  - later page loads: the saved cart is pulled (it may have changed on another device)
+//  - every local 'cartUpdated': the bag is pushed with PUT
+// Updates that came from the server are dispatched with detail.source = 'server'.
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+// Currency picked in the header; pages pass it as ?currency= when fetching prices
+const getSelectedCurrency = () => localStorage.getItem('selectedCurrency') || 'USD';
+let localCartRevision = 0; // Bumped on local edits so a slow pull can't overwrite them
+
+const readLocalCart = () => {
+    try {
+        return JSON.parse(localStorage.getItem('shoppingCart')) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const pushCartToServer = async () => {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+    // Until the guest bag has been merged, the next merge will carry this change
+    if (localStorage.getItem('cartMergedForToken') !== token) return;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/users/me/cart`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify({ items: readLocalCart() }),
+            keepalive: true // Let the save finish if the page navigates away
+        });
+        if (!response.ok) {
+            console.warn(`Saving cart to server failed (status ${response.status}).`);
+        }
+    } catch (error) {
+        console.error('Error saving cart to server:', error);
+    }
+};
+
+const pullCartFromServer = async () => {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+    const revisionAtStart = localCartRevision;
+    const needsMerge = localStorage.getItem('cartMergedForToken') !== token;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/users/me/cart`, needsMerge
+            ? {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ items: readLocalCart(), merge: true })
+            }
+            : { headers: { 'Authorization': `Bearer ${token}` } });
+        if (!response.ok) {
+            console.warn(`Loading saved cart failed (status ${response.status}).`);
+            return;
+        }
+        const data = await response.json();
+        if (localCartRevision !== revisionAtStart) {
+            // The bag changed while we were waiting; the newer local bag wins (pushed now, or merged next load)
+            return;
+        }
+        if (needsMerge) {
+            localStorage.setItem('cartMergedForToken', token);
+            if (data.skipped?.length) {
+                console.warn('Some items in your bag could not be saved:', data.skipped);
+            }
+        }
+        localStorage.setItem('shoppingCart', JSON.stringify(data.items || []));
+        document.dispatchEvent(new CustomEvent('cartUpdated', { detail: { source: 'server' } }));
+    } catch (error) {
+        console.error('Error loading saved cart:', error);
+    }
+};
+
+// Registered at module load (before DOMContentLoaded) so no page's early update is missed
+document.addEventListener('cartUpdated', (event) => {
+    if (event.detail?.source === 'server') return;
+    localCartRevision++;
+    pushCartToServer();
+});
+pullCartFromServer();
+// --- End Saved Cart Sync ---
+
+// --- Behavior Event Tracker (Global) ---
+// Pages report what shoppers do with
+//   document.dispatchEvent(new CustomEvent('trackEvent', { detail: { type: 'product_view', productId } }))
+// Events are queued and sent to /api/events in batches: when the queue fills, after a
+// short delay, or when the page is hidden. Guests are identified by a random id kept
+// in localStorage; the auth token (if any) links events to the account.
+// Tracking must never get in the way of the page, so trackEvent/flushEvents don't throw.
+const EVENT_BATCH_SIZE = 20;
+const EVENT_FLUSH_DELAY_MS = 5000;
+let pendingEvents = [];
+let eventFlushTimer = null;
+
+// crypto.randomUUID only exists on HTTPS/localhost pages; plain HTTP falls back to a
+// version 4 UUID built from getRandomValues (or Math.random as a last resort)
+const createTrackingId = () => {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        crypto.getRandomValues(bytes);
+    } else {
+        bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const getTrackingId = (storage, key) => {
+    let id = storage.getItem(key);
+    if (!id) {
+        id = createTrackingId();
+        storage.setItem(key, id);
+    }
+    return id;
+};
+
+const flushEvents = () => {
+    clearTimeout(eventFlushTimer);
+    eventFlushTimer = null;
+    if (pendingEvents.length === 0) return;
+    const events = pendingEvents;
+    pendingEvents = [];
+
+    try {
+        const token = localStorage.getItem('authToken');
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        fetch(`${API_BASE_URL}/api/events`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                anonymousId: getTrackingId(localStorage, 'analyticsAnonymousId'),
+                sessionId: getTrackingId(sessionStorage, 'analyticsSessionId'),
+                events
+            }),
+            keepalive: true // Deliver the batch even if the page is unloading
+        }).catch(error => console.warn('Error sending events:', error));
+    } catch (error) {
+        console.warn('Error sending events:', error);
+    }
+};
+
+const trackEvent = (type, data = {}) => {
+    try {
+        pendingEvents.push({ ...data, type, page: window.location.pathname, occurredAt: new Date().toISOString() });
+        if (pendingEvents.length >= EVENT_BATCH_SIZE) {
+            flushEvents();
+        } else if (!eventFlushTimer) {
+            eventFlushTimer = setTimeout(flushEvents, EVENT_FLUSH_DELAY_MS);
+        }
+    } catch (error) {
+        console.warn('Error tracking event:', error);
+    }
+};
+
+document.addEventListener('trackEvent', (event) => {
+    if (event.detail?.type) trackEvent(event.detail.type, event.detail);
+});
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushEvents();
+});
+// --- End Behavior Event Tracker ---
+
+// --- Currency Rates (Global) ---
+// The bag stores catalog (USD) prices, so the bag and checkout pages convert them for
+// display with the rates cached here as 'currencyRates' ({ CODE: { rate, decimals } }).
+// 'currencyRatesUpdated' is dispatched once fresh rates are stored.
+const refreshCurrencyRates = async () => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/currencies`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const { currencies } = await response.json();
+        const rates = Object.fromEntries(currencies.map(({ code, rate, decimals }) => [code, { rate, decimals }]));
+        localStorage.setItem('currencyRates', JSON.stringify(rates));
+        document.dispatchEvent(new CustomEvent('currencyRatesUpdated'));
+        return currencies;
+    } catch (error) {
+        console.warn('Error loading currency rates:', error);
+        return null;
+    }
+};
+// --- End Currency Rates ---
+
 document.addEventListener('DOMContentLoaded', () => {
     // Function to load HTML content into an element
     const loadHTML = async (selector, url) => {
@@ -69,6 +259,127 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // --- Search Suggestions (header autocomplete) ---
+    // Word completions and matching products from /api/search/suggest, shown under the
+    // search input. Arrow keys move through the list, Enter opens, Escape closes.
+    const setupSearchSuggestions = (searchForm, searchInput) => {
+        const list = document.createElement('ul');
+        list.className = 'search-suggestions';
+        list.id = 'search-suggestions';
+        list.setAttribute('role', 'listbox');
+        list.style.display = 'none';
+        searchForm.after(list);
+
+        let debounceTimer = null;
+        let latestRequest = 0;
+        let activeIndex = -1;
+
+        const hide = () => {
+            list.style.display = 'none';
+            activeIndex = -1;
+        };
+        const options = () => Array.from(list.querySelectorAll('li[data-href]'));
+        const highlight = (index) => {
+            const items = options();
+            items.forEach((item, i) => item.classList.toggle('active', i === index));
+            activeIndex = index;
+        };
+        const open = (item) => {
+            if (item.dataset.query) {
+                trackEvent('search', { query: item.dataset.query });
+                flushEvents(); // Send before navigating away
+            }
+            window.location.href = item.dataset.href;
+        };
+
+        const addItem = (text, meta, href, query) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+            item.dataset.href = href;
+            if (query) item.dataset.query = query;
+            const label = document.createElement('span');
+            label.textContent = text;
+            item.appendChild(label);
+            if (meta) {
+                const metaSpan = document.createElement('span');
+                metaSpan.className = 'suggestion-meta';
+                metaSpan.textContent = meta;
+                item.appendChild(metaSpan);
+            }
+            list.appendChild(item);
+        };
+        const addHeading = (text) => {
+            const heading = document.createElement('li');
+            heading.className = 'suggestion-heading';
+            heading.textContent = text;
+            list.appendChild(heading);
+        };
+
+        const loadSuggestions = async (query) => {
+            const requestId = ++latestRequest;
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/search/suggest?q=${encodeURIComponent(query)}&currency=${getSelectedCurrency()}`);
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                const data = await response.json();
+                if (requestId !== latestRequest) return; // A newer keystroke's request is on its way
+
+                list.innerHTML = '';
+                activeIndex = -1;
+                const searchHref = (text) => `/products.html?search=${encodeURIComponent(text)}`;
+                if (data.correctedQuery) {
+                    addItem(`Search for "${data.correctedQuery}"`, 'Did you mean', searchHref(data.correctedQuery), data.correctedQuery);
+                }
+                data.completions.forEach(text => addItem(text, '', searchHref(text), text));
+                if (data.products.length > 0) {
+                    addHeading('Products');
+                    data.products.forEach(product => {
+                        addItem(product.name, product.formattedPrice, `/product-detail.html?id=${product.id}`);
+                    });
+                }
+                list.style.display = list.children.length > 0 ? 'block' : 'none';
+            } catch (error) {
+                console.warn('Error loading search suggestions:', error);
+                hide();
+            }
+        };
+
+        searchInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            const query = searchInput.value.trim();
+            if (query.length < 2) {
+                latestRequest++; // Ignore any request still in flight
+                hide();
+                return;
+            }
+            debounceTimer = setTimeout(() => loadSuggestions(query), 200);
+        });
+        searchInput.addEventListener('keydown', (event) => {
+            const items = options();
+            if (list.style.display === 'none' || items.length === 0) return;
+            if (event.key === 'ArrowDown') {
+                event.preventDefault();
+                highlight((activeIndex + 1) % items.length);
+            } else if (event.key === 'ArrowUp') {
+                event.preventDefault();
+                highlight(activeIndex <= 0 ? items.length - 1 : activeIndex - 1);
+            } else if (event.key === 'Enter' && activeIndex >= 0) {
+                event.preventDefault(); // Open the highlighted suggestion instead of submitting
+                open(items[activeIndex]);
+            } else if (event.key === 'Escape') {
+                hide();
+            }
+        });
+        // mousedown fires before the input's blur hides the list
+        list.addEventListener('mousedown', (event) => {
+            const item = event.target.closest('li[data-href]');
+            if (!item) return;
+            event.preventDefault();
+            open(item);
+        });
+        searchInput.addEventListener('blur', hide);
+    };
+    // --- End Search Suggestions ---
+
     // Load the reusable header and THEN set up listeners and check auth state
     loadHTML('#header-placeholder', '/header.html').then(() => {
         const currencySelect = document.querySelector('#header-placeholder .currency-select');
@@ -87,7 +398,10 @@ document.addEventListener('DOMContentLoaded', () => {
         if (currencySelect) {
             // --- Load saved currency or use default ---
             const savedCurrency = localStorage.getItem('selectedCurrency');
-            if (savedCurrency && currencySelect.querySelector(`option[value="${savedCurrency}"]`)) { // Check if saved option exists
+            if (savedCurrency && /^[A-Z]{3}$/.test(savedCurrency)) { // Options are replaced with the enabled currencies below
+                if (!currencySelect.querySelector(`option[value="${savedCurrency}"]`)) {
+                    currencySelect.add(new Option(savedCurrency, savedCurrency));
+                }
                 currencySelect.value = savedCurrency;
             } else {
                 // Default to USD if nothing saved or saved value is invalid
@@ -105,7 +419,28 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Save selected currency to localStorage
                 localStorage.setItem('selectedCurrency', newCurrency);
                 console.log('Saved currency:', newCurrency);
-                // Add logic here if prices need to change based on currency
+                // Every page fetches its prices in the saved currency, so reload to re-price
+                window.location.reload();
+            });
+
+            // Offer the currencies the store has enabled (admins can add or switch them off)
+            refreshCurrencyRates().then(currencies => {
+                if (!currencies || currencies.length === 0) return;
+                currencySelect.innerHTML = '';
+                currencies.forEach(({ code, name }) => {
+                    const option = document.createElement('option');
+                    option.value = code;
+                    option.textContent = code;
+                    option.title = name;
+                    currencySelect.appendChild(option);
+                });
+                if (currencies.some(({ code }) => code === getSelectedCurrency())) {
+                    currencySelect.value = getSelectedCurrency();
+                } else {
+                    // The saved currency was switched off; prices on this page were refused
+                    localStorage.setItem('selectedCurrency', currencies[0].code);
+                    window.location.reload();
+                }
             });
         } else {
             console.error("Currency select dropdown not found after header load.");
@@ -121,10 +456,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 event.preventDefault(); // Prevent default form submission
                 const query = searchInput.value.trim();
                 if (query) {
+                    trackEvent('search', { query });
+                    flushEvents(); // Send before navigating away
                     // Redirect to products page with search query
                     window.location.href = `/products.html?search=${encodeURIComponent(query)}`;
                 }
             });
+            setupSearchSuggestions(searchForm, searchInput);
         } else {
              console.error("Search form or input not found after header load.");
         }
@@ -141,6 +479,45 @@ document.addEventListener('DOMContentLoaded', () => {
 
     });
 
+    // --- "Picked for you" (account and home pages) ---
+    // Fills #user-recommendations-grid on pages that have one, for logged-in users only
+    const recommendationsSection = document.getElementById('user-recommendations');
+    const loadUserRecommendations = async () => {
+        const token = localStorage.getItem('authToken');
+        const grid = document.getElementById('user-recommendations-grid');
+        if (!token || !grid) return;
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/users/me/recommendations?limit=8&currency=${getSelectedCurrency()}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const { products } = await response.json();
+            if (!products || products.length === 0) return;
+
+            grid.innerHTML = '';
+            products.forEach(product => {
+                const card = document.createElement('a');
+                card.className = 'product-card';
+                card.href = `/product-detail.html?id=${product.id}`;
+                card.innerHTML = `
+                    <div class="product-image-container"><img alt=""></div>
+                    <p class="product-name"></p>
+                    <p class="product-price"></p>
+                `;
+                card.querySelector('img').src = product.image || '/assets/placeholder.png';
+                card.querySelector('img').alt = product.name;
+                card.querySelector('.product-name').textContent = product.name;
+                card.querySelector('.product-price').textContent = product.formattedPrice;
+                grid.appendChild(card);
+            });
+            recommendationsSection.style.display = '';
+        } catch (error) {
+            console.error('Error loading recommendations:', error);
+        }
+    };
+    if (recommendationsSection) loadUserRecommendations();
+    // --- End "Picked for you" ---
+
     // Load the reusable footer
     loadHTML('#footer-placeholder', '/footer.html');
 
@@ -11,6 +11,7 @@ import jwt from 'jsonwebtoken'; // Import jsonwebtoken
 import { Sequelize } from 'sequelize';
 import { DataTypes } from 'sequelize'; // Import DataTypes
 import stripePackage from 'stripe';
+import crypto from 'crypto';
 
 // --- JWT Secret ---
 // IMPORTANT: Store this securely in environment variables for production!
@@ -79,6 +80,25 @@ const authMiddleware = async (req, res, next) => { // Made async
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
+
+// --- Role Authorization Middleware ---
+// Use AFTER authMiddleware. The role is re-read from the DB by authMiddleware,
+// so a demoted user loses access immediately even if their JWT still says otherwise.
+const USER_ROLES = ['customer', 'staff', 'admin'];
+
+const requireRole = (...allowedRoles) => (req, res, next) => {
+  if (!req.sqlUser) {
+    return res.status(401).json({ message: 'Authorization denied' });
+  }
+  if (!allowedRoles.includes(req.sqlUser.role)) {
+    console.warn(`[Role Middleware] User ${req.sqlUser.id} (role: ${req.sqlUser.role}) denied access to ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+const adminMiddleware = requireRole('admin');
+const staffMiddleware = requireRole('staff', 'admin'); // Read-only back-office access
 // --- End Authentication Middleware ---
 
 // --- MongoDB Connection ---
@@ -187,15 +207,78 @@ const User = mongoose.model('User', UserSchema);
 // const Order = mongoose.model('Order', OrderSchema); // Create the Order model
 
 // New Feedback Schema
+// Feedback with a product is a product review: it is shown publicly (and counted in
+// the product's rating) only once an admin approves it. See Product Reviews.
+// Each user can review a product once; they edit that review instead.
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
 const FeedbackSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
-    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // Optional: Link feedback to a specific product
+    product: { type: Number, index: true }, // SQL product id (SqlProduct.id); absent for general feedback
     rating: { type: Number, min: 1, max: 5 }, // Optional: Star rating
     comment: { type: String, required: true, trim: true },
+    status: { type: String, enum: REVIEW_STATUSES, default: 'pending', index: true },
+    moderatedBy: { type: Number, default: null }, // SQL user id of the admin who approved/rejected
+    moderatedAt: { type: Date, default: null },
+    moderationNote: { type: String, trim: true, maxlength: 500 },
+    verifiedPurchase: { type: Boolean, default: false },
+    orderId: { type: Number, default: null }, // SqlOrder.id that verified the purchase
+    helpfulVoters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Never sent to clients
+    helpfulCount: { type: Number, default: 0 }, // helpfulVoters.length, kept for sorting
     createdAt: { type: Date, default: Date.now }
-});
+}, { autoIndex: false }); // Built by seedDatabase once older duplicate reviews are merged
+FeedbackSchema.index({ product: 1, status: 1, createdAt: -1 }); // Public review listing
+FeedbackSchema.index({ product: 1, status: 1, helpfulCount: -1 }); // "Most helpful" sort
+// General feedback (no product) isn't limited
+FeedbackSchema.index({ user: 1, product: 1 }, { unique: true, partialFilterExpression: { product: { $type: 'number' } } });
 const Feedback = mongoose.model('Feedback', FeedbackSchema);
 
+// Customer behavior events (see /api/events). Kept for EVENT_RETENTION_DAYS via a TTL
+// index on receivedAt, so the collection never needs manual cleanup.
+const CUSTOMER_EVENT_TYPES = ['product_view', 'add_to_cart', 'search', 'wishlist_add', 'checkout_started'];
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS, 10) || 90;
+
+const CustomerEventSchema = new mongoose.Schema({
+    type: { type: String, required: true, enum: CUSTOMER_EVENT_TYPES },
+    userId: { type: Number, default: null, index: true }, // SQL user id when the request was authenticated
+    anonymousId: { type: String, default: null, index: true }, // Browser id from main.js; links events from before login
+    sessionId: { type: String, default: null },
+    productId: { type: Number, default: null, index: true }, // SQL product id
+    category: { type: String, default: null },
+    query: { type: String, default: null }, // search
+    quantity: { type: Number, default: null }, // add_to_cart
+    value: { type: Number, default: null }, // Cart value for checkout_started, price for add_to_cart
+    page: { type: String, default: null },
+    occurredAt: { type: Date, required: true }, // Client clock, clamped by the server
+    receivedAt: { type: Date, default: Date.now, expires: EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+}, { versionKey: false });
+CustomerEventSchema.index({ type: 1, occurredAt: -1 });
+const CustomerEvent = mongoose.model('CustomerEvent', CustomerEventSchema);
+
+// Per-customer analytics, rebuilt by the rebuild-customer-profiles job (see Customer Analytics).
+// Keyed by SQL user id; customers without paid orders get segment 'prospect'.
+const CUSTOMER_SEGMENTS = ['champions', 'loyal', 'potential_loyalist', 'new_customer', 'need_attention', 'at_risk', 'hibernating', 'prospect'];
+
+const CustomerProfileSchema = new mongoose.Schema({
+    userId: { type: Number, required: true, unique: true },
+    recencyDays: { type: Number, default: null }, // Days since the last paid order
+    frequency: { type: Number, default: 0 }, // Paid orders
+    monetary: { type: Number, default: 0 }, // Total spent on paid orders
+    rfm: {
+        r: { type: Number, default: 0 }, // 1-5 (5 = best), 0 without orders
+        f: { type: Number, default: 0 },
+        m: { type: Number, default: 0 }
+    },
+    segment: { type: String, enum: CUSTOMER_SEGMENTS, default: 'prospect', index: true },
+    preferredCategory: { type: String, default: null, index: true },
+    categories: [{ _id: false, category: String, units: Number }], // Most bought first
+    priceSensitivity: { type: Number, default: null }, // Share of units bought below originalPrice (0-1)
+    firstOrderAt: { type: Date, default: null },
+    lastOrderAt: { type: Date, default: null },
+    computedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+CustomerProfileSchema.index({ segment: 1, monetary: -1, userId: 1 });
+const CustomerProfile = mongoose.model('CustomerProfile', CustomerProfileSchema);
+
 // // New Promotion Schema - MOVED TO SQL
 // const PromotionSchema = new mongoose.Schema({
 //     code: { type: String, required: true, unique: true, uppercase: true, trim: true },
@@ -254,6 +337,19 @@ const SqlUser = sequelize.define('User', {
     allowNull: false,
     defaultValue: 0
   },
+  role: { // Authorization role, also carried in the JWT payload
+    type: DataTypes.ENUM(...USER_ROLES),
+    allowNull: false,
+    defaultValue: 'customer'
+  },
+  loyaltyTier: { // Last evaluated tier name (see evaluateUserTier); null = not evaluated yet
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  birthDate: { // Optional, used by the 'birthday' personalized offer rule
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
   // We generally DON'T store the plain or hashed password directly in SQL 
   // if JWT is handled by the Node server using the Mongo user record.
   // If SQL needs separate auth, we'd add a password hash field here.
@@ -327,12 +423,35 @@ const SqlProduct = sequelize.define('Product', {
     type: DataTypes.INTEGER,
     defaultValue: 0,
     allowNull: false
+  },
+  isActive: { // Inactive products stay in order history but can't be purchased
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false
+  },
+  weightGrams: { // Shipping weight; null uses DEFAULT_ITEM_WEIGHT_GRAMS for the category
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
   // Sequelize automatically adds createdAt and updatedAt
 }, {
   tableName: 'products'
 });
 
+// --- Order Lifecycle ---
+// Pending -> Paid -> Processing -> Shipped -> Delivered, with Cancelled/Refunded
+// branches. Cancelled and Refunded are terminal.
+const ORDER_STATUSES = ['Pending', 'Paid', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'];
+const ORDER_STATUS_TRANSITIONS = {
+    Pending: ['Paid', 'Cancelled'],
+    Paid: ['Processing', 'Cancelled', 'Refunded'],
+    Processing: ['Shipped', 'Cancelled', 'Refunded'],
+    Shipped: ['Delivered', 'Refunded'],
+    Delivered: ['Refunded'],
+    Cancelled: [],
+    Refunded: []
+};
+
 // --- New Sequelize Order Model ---
 const SqlOrder = sequelize.define('Order', {
     id: {
@@ -362,14 +481,25 @@ const SqlOrder = sequelize.define('Order', {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false
     },
+    loyaltyPointsRedeemed: { // Points spent on this order (also a 'redeem' ledger entry)
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    loyaltyDiscountAmount: { // Part of discountAmount paid for with points
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
     orderDate: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
     },
-    status: {
+    status: { // See ORDER_STATUS_TRANSITIONS; change only via transitionOrderStatus()
         type: DataTypes.STRING,
-        defaultValue: 'Completed', // Or 'Pending' before fulfillment
-        allowNull: false
+        defaultValue: 'Pending',
+        allowNull: false,
+        validate: { isIn: [ORDER_STATUSES] }
     },
     // Shipping Address fields
     shippingFullName: { type: DataTypes.STRING },
@@ -378,6 +508,43 @@ const SqlOrder = sequelize.define('Order', {
     shippingState: { type: DataTypes.STRING },
     shippingPostalCode: { type: DataTypes.STRING },
     shippingCountry: { type: DataTypes.STRING },
+    // Amounts above are in BASE_CURRENCY; the customer paid in `currency`
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+    },
+    exchangeRate: { // Rate used at checkout (units of `currency` per 1 BASE_CURRENCY)
+        type: DataTypes.DECIMAL(12, 6),
+        allowNull: false,
+        defaultValue: 1
+    },
+    chargedAmount: { // Total Stripe charged, in `currency`
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    shippingMethod: { // SqlShippingMethod.code chosen at checkout
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    shippingAmount: { // Included in totalAmount; 0 when free (threshold or FREE_SHIPPING promotion)
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    taxAmount: { // Sales tax on the discounted merchandise, included in totalAmount
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    taxRate: { // SqlTaxRate.rate applied at checkout; null when no rate covered the address
+        type: DataTypes.DECIMAL(6, 5),
+        allowNull: true
+    },
+    reviewNote: { // Set when fulfillment found something staff must check (e.g. points short); null = nothing
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
     // Stripe Session ID for idempotency
     stripeSessionId: {
         type: DataTypes.STRING,
@@ -418,6 +585,14 @@ const SqlOrderItem = sequelize.define('OrderItem', {
     price: { // Store price at time of order
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false
+    },
+    color: { // Selected color (uppercase hex), null if the product has none
+        type: DataTypes.STRING(20),
+        allowNull: true
+    },
+    size: { // Selected size, null if the product has none
+        type: DataTypes.STRING(20),
+        allowNull: true
     }
     // Sequelize automatically adds createdAt and updatedAt
 }, {
@@ -435,6 +610,52 @@ SqlProduct.hasMany(SqlOrderItem, { foreignKey: 'productId' }); // Optional rever
 SqlOrder.belongsTo(SqlUser, { foreignKey: 'userId' }); // User association
 SqlUser.hasMany(SqlOrder, { foreignKey: 'userId' }); // Optional reverse association
 
+// --- Order Status History Model ---
+// One row per status change; fromStatus is null for the initial status.
+const SqlOrderStatusHistory = sequelize.define('OrderStatusHistory', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlOrder, key: 'id' }
+    },
+    fromStatus: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    toStatus: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    changedByUserId: { // null = system (e.g. Stripe webhook)
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: SqlUser, key: 'id' }
+    },
+    source: { // 'stripe-webhook', 'admin', 'system'
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'system'
+    },
+    note: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    }
+}, {
+    tableName: 'order_status_history',
+    updatedAt: false,
+    createdAt: 'changedAt',
+    indexes: [{ fields: ['orderId'] }]
+});
+
+SqlOrder.hasMany(SqlOrderStatusHistory, { foreignKey: 'orderId', as: 'statusHistory' });
+SqlOrderStatusHistory.belongsTo(SqlOrder, { foreignKey: 'orderId' });
+SqlOrderStatusHistory.belongsTo(SqlUser, { foreignKey: 'changedByUserId', as: 'changedBy' });
+
 // --- New Sequelize Promotion Model ---
 const SqlPromotion = sequelize.define('Promotion', {
     id: {
@@ -469,8 +690,8 @@ const SqlPromotion = sequelize.define('Promotion', {
         // Sequelize might add it automatically depending on usage, or add manually:
         // index: true 
     },
-    applicableTier: {
-        type: DataTypes.ENUM('Bronze', 'Silver', 'Gold'), // Null represents general
+    applicableTier: { // A loyalty_tiers name (or higher tier); null represents general
+        type: DataTypes.STRING(30),
         allowNull: true, 
         defaultValue: null
     },
@@ -500,6 +721,23 @@ const SqlPromotion = sequelize.define('Promotion', {
         type: DataTypes.INTEGER,
         allowNull: false,
         defaultValue: 0 
+    },
+    userId: { // Set for personalized offers: only this user may redeem the code
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: SqlUser, key: 'id' }
+    },
+    offerRule: { // offer_rules key that issued a personalized offer
+        type: DataTypes.STRING(40),
+        allowNull: true
+    },
+    targetSegments: { // CUSTOMER_SEGMENTS keys allowed to use the code; null = everyone
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    targetPreferredCategory: { // Only customers whose profile prefers this category; null = any
+        type: DataTypes.STRING(100),
+        allowNull: true
     }
     // Sequelize automatically adds createdAt and updatedAt
 }, {
@@ -507,10 +745,13 @@ const SqlPromotion = sequelize.define('Promotion', {
     // Add index manually if needed
     indexes: [
         { fields: ['isActive'] },
-        { fields: ['code'] }
+        { fields: ['code'] },
+        { fields: ['userId', 'offerRule'] }
     ]
 });
 
+SqlPromotion.belongsTo(SqlUser, { foreignKey: 'userId', as: 'offerUser' });
+
 // --- New Personalized Code Usage Model ---
 const PersonalizedCodeUsage = sequelize.define('PersonalizedCodeUsage', {
     id: {
@@ -544,1519 +785,6991 @@ const PersonalizedCodeUsage = sequelize.define('PersonalizedCodeUsage', {
 PersonalizedCodeUsage.belongsTo(SqlUser, { foreignKey: 'userId' });
 SqlUser.hasMany(PersonalizedCodeUsage, { foreignKey: 'userId' }); // Optional reverse association
 
-// --- End Sequelize Models ---
-
-// --- Helper to add initial data (optional) ---
-async function seedDatabase() {
-    try {
-        // Seed Products into MySQL if table is empty
-        const productCountSql = await SqlProduct.count();
-        if (productCountSql === 0) {
-            console.log('No products found in SQL, seeding database...');
-            const initialProducts = [
-              // Shoes (Using numeric sizes)
-              { name: "Stylish Shoe 1", price: 79.95, image: "/assets/shoes/nm_4950959_100491_m.jpeg", category: "shoes", colors: ["#FFFFFF", "#000000", "#F5F5DC"], sizes: ["6", "7", "8", "9"], isNew: true },
-              { name: "Comfortable Shoe 2", price: 89.95, image: "/assets/shoes/nm_4859632_100244_m.jpeg", category: "shoes", colors: ["#A0522D", "#F5F5DC"], sizes: ["7", "8", "9", "10", "11"], isBestSeller: true },
-              { name: "Classic Shoe 3", price: 119.95, image: "/assets/shoes/nm_4837164_100212_m.jpeg", category: "shoes", colors: ["#8B4513"], sizes: ["8", "9", "10"] },
-              { name: "Elegant Shoe 4", price: 99.00, originalPrice: 140.00, image: "/assets/shoes/nm_4837164_100106_m.jpeg", category: "shoes", colors: ["#000000", "#FFC0CB"], sizes: ["5", "6", "7", "8"] },
-              { name: "Stylish Shoe 5", price: 69.95, image: "/assets/shoes/nm_4820370_100339_m.jpeg", category: "shoes", colors: ["#FFFFFF", "#000000"], sizes: ["6", "7", "8", "9", "10"], isNew: true },
-              { name: "Comfortable Shoe 6", price: 95.50, image: "/assets/shoes/nm_4820370_100147_m.jpeg", category: "shoes", colors: ["#A0522D"], sizes: ["7", "8", "9"] },
-              { name: "Classic Shoe 7", price: 129.00, image: "/assets/shoes/nm_4816957_100106_m.jpeg", category: "shoes", colors: ["#8B4513", "#F5F5DC"], sizes: ["8", "9", "10", "11"], isBestSeller: true },
-              { name: "Elegant Shoe 8", price: 75.00, image: "/assets/shoes/nm_4735356_100188_m.jpeg", category: "shoes", colors: ["#000000"], sizes: ["6", "7", "8"] },
-              { name: "Stylish Shoe 9", price: 105.00, image: "/assets/shoes/nm_4623078_100602_m.jpeg", category: "shoes", colors: ["#FFFFFF", "#FFC0CB"], sizes: ["7", "8", "9"], isNew: true },
-              { name: "Comfortable Shoe 10", price: 99.99, image: "/assets/shoes/nm_2502690_100106_m.jpeg", category: "shoes", colors: ["#A0522D", "#000000"], sizes: ["8", "9", "10", "11", "12"] },
-              // Clothes (Using S-M-L sizes)
-              { name: "Stylish Top 1", price: 49.95, image: "/assets/clothes/nm_5008742_100106_m.jpeg", category: "clothes", colors: ["#ADD8E6", "#FFFFFF"], sizes: ["S", "M", "L"], matchingSet: true },
-              { name: "Comfy Pants 2", price: 59.95, image: "/assets/clothes/nm_4988442_100106_m.jpeg", category: "clothes", colors: ["#000000"], sizes: ["XS", "S", "M"] },
-              { name: "Elegant Dress 3", price: 120.00, image: "/assets/clothes/nm_4961408_100550_m.jpeg", category: "clothes", colors: ["#F5F5DC", "#FFC0CB"], sizes: ["S", "M", "L", "XL"], isNew: true },
-              { name: "Casual Shirt 4", price: 39.00, image: "/assets/clothes/nm_4959949_100106_m.jpeg", category: "clothes", colors: ["#FFFFFF", "#A0522D"], sizes: ["M", "L"] },
-              { name: "Basic Tee 5", price: 25.00, image: "/assets/clothes/nm_4946782_100550_m.jpeg", category: "clothes", colors: ["#000000", "#FFFFFF"], sizes: ["S", "M", "L", "XL"], isBestSeller: true },
-              { name: "Warm Sweater 6", price: 75.50, image: "/assets/clothes/nm_4943384_100106_m.jpeg", category: "clothes", colors: ["#ADD8E6", "#8B4513"], sizes: ["M", "L", "XL"] },
-              { name: "Summer Skirt 7", price: 65.00, image: "/assets/clothes/nm_4939109_100241_m.jpeg", category: "clothes", colors: ["#FFFFFF"], sizes: ["XS", "S", "M"] , isNew: true },
-              { name: "Denim Jacket 8", price: 110.00, image: "/assets/clothes/nm_4936319_100055_m.jpeg", category: "clothes", colors: ["#00008B"], sizes: ["S", "M", "L"] },
-              { name: "Linen Trousers 9", price: 88.00, image: "/assets/clothes/nm_4925658_100189_m.jpeg", category: "clothes", colors: ["#F5F5DC"], sizes: ["S", "M", "L"] },
-              { name: "Silk Blouse 10", price: 92.00, image: "/assets/clothes/nm_4921059_100324_m.tiff.jpeg", category: "clothes", colors: ["#FFFFFF", "#A0522D"], sizes: ["XS", "S", "M"], isBestSeller: true },
-              { name: "Wool Coat 11", price: 250.00, image: "/assets/clothes/nm_4915015_100244_m.tiff.jpeg", category: "clothes", colors: ["#000000", "#8B4513"], sizes: ["M", "L", "XL"] },
-              { name: "Cotton Shorts 12", price: 45.00, image: "/assets/clothes/nm_3519921_100404_m.jpeg", category: "clothes", colors: ["#ADD8E6", "#FFFFFF"], sizes: ["S", "M", "L"] , isNew: true },
-              { name: "Vintage T-Shirt 13", price: 30.00, image: "/assets/clothes/nm_2471915_100380_m.jpeg", category: "clothes", colors: ["#FFFFFF", "#000000", "#FF0000"], sizes: ["S", "M", "L", "XL"] }
-            ];
-            // Need to serialize arrays to JSON for MySQL JSON columns
-            const initialProductsForSql = initialProducts.map(p => ({
-                ...p,
-                colors: JSON.stringify(p.colors || []), // Serialize colors or use empty array
-                sizes: JSON.stringify(p.sizes || [])   // Serialize sizes or use empty array
-            }));
-            await SqlProduct.bulkCreate(initialProductsForSql);
-            console.log('SQL Database seeded with 23 products!');
-        } else {
-             console.log('SQL Products table already seeded.');
-        }
-
-        // Seed Promotions into SQL if table is empty
-        const promoCountSql = await SqlPromotion.count();
-        if (promoCountSql === 0) {
-             console.log('No promotions found in SQL, seeding database...');
-             const initialPromotions = [
-                 {
-                     code: 'WELCOME10',
-                     description: '10% off your first order!',
-                     discountType: 'PERCENTAGE',
-                     discountValue: 10,
-                     isActive: true,
-                     maxUsesPerUser: 1
-                     // applicableTier, minSpend, etc. use defaults
-                 },
-                 {
-                     code: 'FREESHIP100',
-                     description: 'Free Shipping (Silver Tier - 100+ points)',
-                     discountType: 'FREE_SHIPPING',
-                     discountValue: 0, 
-                     isActive: true,
-                     applicableTier: 'Silver',
-                     maxUsesPerUser: null // Can be used multiple times once unlocked
-                 },
-                 {
-                     code: 'GOLD10',
-                     description: '10% Off (Gold Tier - 500+ points)',
-                     discountType: 'PERCENTAGE',
-                     discountValue: 10,
-                     isActive: true,
-                     applicableTier: 'Gold',
-                     maxUsesPerUser: null
-                 }
-             ];
-             await SqlPromotion.bulkCreate(initialPromotions);
-             console.log('SQL Database seeded with initial promotions!');
-        } else {
-             console.log('SQL Promotions table already seeded.');
-        }
-
-    } catch (err) {
-        console.error('Error seeding database:', err);
+// --- Product Variant (Inventory) Model ---
+// One row per product x color x size. '' stands for "no color/size option".
+// Products without any variant rows are not stock-tracked.
+const SqlProductVariant = sequelize.define('ProductVariant', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlProduct, key: 'id' }
+    },
+    color: { // Uppercase hex, matches SqlProduct.colors
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: ''
+    },
+    size: { // Uppercase, matches SqlProduct.sizes
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: ''
+    },
+    onHand: { // Physically in stock
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    reserved: { // Held by open checkout sessions; available = onHand - reserved
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
     }
-}
-seedDatabase(); // Run the seeding check on server start
-
-// Get directory name in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const app = express();
-const PORT = process.env.PORT || 3001;
+}, {
+    tableName: 'product_variants',
+    indexes: [
+        { unique: true, fields: ['productId', 'color', 'size'] }
+    ]
+});
 
-// Middleware
-app.use(cors());
+SqlProduct.hasMany(SqlProductVariant, { foreignKey: 'productId', as: 'variants' });
+SqlProductVariant.belongsTo(SqlProduct, { foreignKey: 'productId' });
 
-// --- Add Global Request Logger ---
-app.use((req, res, next) => {
-  console.log(`[Request Logger] Received: ${req.method} ${req.originalUrl}`);
-  next(); // Pass control to the next middleware function
+// --- Stock Reservation Model ---
+// Stock held for one checkout attempt (reservationKey is sent to Stripe as metadata).
+const SqlStockReservation = sequelize.define('StockReservation', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    reservationKey: {
+        type: DataTypes.STRING(36),
+        allowNull: false
+    },
+    variantId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlProductVariant, key: 'id' }
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlUser, key: 'id' }
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 }
+    },
+    status: {
+        type: DataTypes.ENUM('reserved', 'committed', 'released'),
+        allowNull: false,
+        defaultValue: 'reserved'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'stock_reservations',
+    indexes: [
+        { fields: ['reservationKey'] },
+        { fields: ['status', 'expiresAt'] }
+    ]
 });
-// --- End Global Request Logger ---
 
-// app.use(express.static(path.join(__dirname))); // <-- MOVE THIS LINE
+SqlStockReservation.belongsTo(SqlProductVariant, { foreignKey: 'variantId' });
 
-// --- Webhook Endpoint (needs to be before express.json() for raw body) ---
+// --- Saved Cart Model ---
+// Server copy of a signed-in user's bag. createdAt/updatedAt are kept per line
+// so carts that stop changing without an order can be found later.
+const SqlCartItem = sequelize.define('CartItem', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlUser, key: 'id' }
+    },
+    productId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlProduct, key: 'id' }
+    },
+    color: { // Same normalization as SqlProductVariant ('' = no option)
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: ''
+    },
+    size: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: ''
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: { min: 1 }
+    }
+}, {
+    tableName: 'cart_items',
+    indexes: [
+        { unique: true, fields: ['userId', 'productId', 'color', 'size'] },
+        { fields: ['updatedAt'] }
+    ]
+});
+
+SqlUser.hasMany(SqlCartItem, { foreignKey: 'userId', as: 'cartItems' });
+SqlCartItem.belongsTo(SqlUser, { foreignKey: 'userId' });
+SqlCartItem.belongsTo(SqlProduct, { foreignKey: 'productId' });
+
+// --- Address Book Model ---
+// Saved delivery addresses. Field names match the delivery form on shipping.html so a
+// saved address can fill it (and be sent as deliveryAddress) as-is. At most one
+// address per user has isDefaultShipping set.
+const SqlUserAddress = sequelize.define('UserAddress', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlUser, key: 'id' }
+    },
+    label: { // e.g. 'Home', 'Work'
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    firstName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    lastName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    company: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    address: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    aptSuite: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    city: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    state: { // State/province code; null where the country has none
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    zipCode: { // Normalized per country (see POSTAL_CODE_FORMATS)
+        type: DataTypes.STRING(20),
+        allowNull: false
+    },
+    country: { // ISO 3166-1 alpha-2
+        type: DataTypes.STRING(2),
+        allowNull: false
+    },
+    isDefaultShipping: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }
+}, {
+    tableName: 'user_addresses',
+    indexes: [
+        { fields: ['userId'] }
+    ]
+});
+
+SqlUser.hasMany(SqlUserAddress, { foreignKey: 'userId', as: 'addresses' });
+SqlUserAddress.belongsTo(SqlUser, { foreignKey: 'userId' });
+
+// --- Loyalty Ledger Model ---
+// Every change to a user's points is one row. SqlUser.loyaltyPoints is a cached
+// balance kept equal to SUM(points) (see recordLoyaltyTransaction / reconcileLoyaltyBalances).
+const LOYALTY_TRANSACTION_TYPES = ['earn', 'redeem', 'expire', 'adjust', 'refund_reversal', 'hold_release'];
+
+const SqlLoyaltyTransaction = sequelize.define('LoyaltyTransaction', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlUser, key: 'id' }
+    },
+    type: {
+        type: DataTypes.ENUM(...LOYALTY_TRANSACTION_TYPES),
+        allowNull: false
+    },
+    points: { // Signed: credits are positive, debits negative
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    balanceAfter: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    orderId: { // Set for earn/redeem/refund_reversal entries
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: SqlOrder, key: 'id' }
+    },
+    actorUserId: { // Admin who made a manual adjustment; null = system
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: SqlUser, key: 'id' }
+    },
+    reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    status: { // 'pending' = points held by an unpaid checkout session, 'released' = hold given back (see holdLoyaltyPoints)
+        type: DataTypes.ENUM('pending', 'posted', 'released'),
+        allowNull: false,
+        defaultValue: 'posted'
+    },
+    holdKey: { // Set on checkout holds; in the session's loyalty_hold_id metadata
+        type: DataTypes.STRING(36),
+        allowNull: true
+    },
+    expiresAt: { // When a pending hold is released if the session hasn't been paid
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'loyalty_transactions',
+    updatedAt: false,
+    indexes: [
+        { fields: ['userId', 'createdAt'] },
+        { fields: ['orderId'] },
+        { fields: ['holdKey'] },
+        { fields: ['status', 'expiresAt'] }
+    ]
+});
+
+SqlUser.hasMany(SqlLoyaltyTransaction, { foreignKey: 'userId', as: 'loyaltyTransactions' });
+SqlLoyaltyTransaction.belongsTo(SqlUser, { foreignKey: 'userId' });
+SqlLoyaltyTransaction.belongsTo(SqlOrder, { foreignKey: 'orderId' });
+
+// --- Loyalty Tier Model ---
+// Tiers are ranked; a user is in the highest-ranked active tier whose threshold
+// they meet on its qualification metric. The lowest tier should have threshold 0.
+const LOYALTY_TIER_METRICS = ['lifetime_points', 'points_in_window', 'spend_in_window'];
+
+const SqlLoyaltyTier = sequelize.define('LoyaltyTier', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        unique: true
+    },
+    rank: { // Higher = better tier
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    qualificationMetric: {
+        type: DataTypes.ENUM(...LOYALTY_TIER_METRICS),
+        allowNull: false,
+        defaultValue: 'lifetime_points'
+    },
+    threshold: { // Points or dollars, depending on qualificationMetric
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    windowMonths: { // Rolling window for *_in_window metrics; null = all time
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    earnMultiplier: { // Applied to points earned on each order
+        type: DataTypes.DECIMAL(4, 2),
+        allowNull: false,
+        defaultValue: 1
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'loyalty_tiers'
+});
+
+// --- Job Run Model ---
+// One row per scheduled (or manually triggered) job run, see the Job Scheduler section.
+const SqlJobRun = sequelize.define('JobRun', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    jobName: {
+        type: DataTypes.STRING(60),
+        allowNull: false
+    },
+    trigger: { // 'schedule' or 'manual'
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'schedule'
+    },
+    status: {
+        type: DataTypes.ENUM('running', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'running'
+    },
+    startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    result: { // Summary object returned by the job (counts etc.)
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'job_runs',
+    timestamps: false,
+    indexes: [{ fields: ['jobName', 'startedAt'] }]
+});
+
+// --- User Notification Model ---
+// In-app messages shown on account.html (e.g. points about to expire)
+const SqlUserNotification = sequelize.define('UserNotification', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlUser, key: 'id' }
+    },
+    type: { // e.g. 'points_expiring'
+        type: DataTypes.STRING(40),
+        allowNull: false
+    },
+    message: {
+        type: DataTypes.STRING(500),
+        allowNull: false
+    },
+    readAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'user_notifications',
+    updatedAt: false,
+    indexes: [{ fields: ['userId', 'createdAt'] }]
+});
+
+SqlUser.hasMany(SqlUserNotification, { foreignKey: 'userId', as: 'notifications' });
+
+// --- Personalized Offer Rule Model ---
+// One row per rule in OFFER_RULE_EVALUATORS (see Personalized Offer Engine).
+// The rule logic lives in code; what it gives away and how often is configured here.
+const SqlOfferRule = sequelize.define('OfferRule', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    ruleKey: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+        unique: true
+    },
+    codePrefix: { // Issued codes look like {codePrefix}-{userId}-XXXXXX
+        type: DataTypes.STRING(10),
+        allowNull: false
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    discountType: {
+        type: DataTypes.ENUM('PERCENTAGE', 'FIXED_AMOUNT'),
+        allowNull: false,
+        defaultValue: 'PERCENTAGE'
+    },
+    discountValue: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    minSpend: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    validDays: { // Issued offer expires this many days after issue
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 14
+    },
+    cooldownDays: { // Minimum days between two offers from this rule to the same user
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 30
+    },
+    params: { // Rule-specific settings, e.g. { lapsedDays: 90 }
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: 'offer_rules'
+});
+
+// --- Recommendation Cache Model ---
+// Precomputed recommendations per product or user (see the Recommendations section).
+// Rows are refreshed by the refresh-recommendations job, or on read once stale.
+const SqlRecommendation = sequelize.define('Recommendation', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    subjectType: {
+        type: DataTypes.ENUM('product', 'user'),
+        allowNull: false
+    },
+    subjectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    items: { // [{ productId, score, reason }], best first
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    computedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'recommendations',
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['subjectType', 'subjectId'] }]
+});
+
+// --- Shipping Models ---
+// A destination falls in the most specific active zone: one listing its state, then one
+// listing its country, then a zone with no countries (rest of world). Each zone prices
+// each method with rate rows; see the Shipping section.
+const SqlShippingZone = sequelize.define('ShippingZone', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    countries: { // ISO 3166-1 alpha-2 codes; [] = everywhere not covered by another zone
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    states: { // State/province codes within countries; null = the whole country
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'shipping_zones'
+});
+
+const SqlShippingMethod = sequelize.define('ShippingMethod', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    code: { // e.g. 'standard', 'express'
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    minDays: { // Delivery estimate in business days
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    maxDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    sortOrder: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'shipping_methods'
+});
+
+const SqlShippingRate = sequelize.define('ShippingRate', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    zoneId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlShippingZone, key: 'id' }
+    },
+    methodId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: SqlShippingMethod, key: 'id' }
+    },
+    basis: { // What minValue/maxValue measure: merchandise total (BASE_CURRENCY) or weight (grams)
+        type: DataTypes.ENUM('price', 'weight'),
+        allowNull: false,
+        defaultValue: 'price'
+    },
+    minValue: { // Inclusive
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    maxValue: { // Exclusive; null = no upper limit
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    amount: { // BASE_CURRENCY
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    freeShippingThreshold: { // Merchandise total (after promotion) at which this method is free
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'shipping_rates'
+});
+
+// --- Tax Rate Model ---
+// Locally maintained sales tax rates. A destination uses the single most specific active
+// row: postal prefix, then state, then country (see findTaxRate). Rates are combined
+// (state + local), not added together across rows.
+const SqlTaxRate = sequelize.define('TaxRate', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    name: { // Shown to shoppers, e.g. 'CA sales tax'
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    country: { // ISO 3166-1 alpha-2
+        type: DataTypes.STRING(2),
+        allowNull: false
+    },
+    state: { // State/province code; null = the whole country
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    postalPrefix: { // Leading characters of the postal code (spaces ignored); null = any
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    rate: { // Fraction, e.g. 0.0725 for 7.25%
+        type: DataTypes.DECIMAL(6, 5),
+        allowNull: false
+    },
+    exemptCategories: { // Product categories not taxed here, e.g. ['clothes']
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    stripeTaxRateId: { // Matching Stripe tax rate, created on first checkout (see getStripeTaxRateId)
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+}, {
+    tableName: 'tax_rates'
+});
+
+// --- Currency Rate Model ---
+// Exchange rates against the catalog currency (BASE_CURRENCY), edited by admins.
+// decimals must match Stripe's minor unit for the currency (2 for USD/CAD/EUR/GBP).
+const SqlCurrencyRate = sequelize.define('CurrencyRate', {
+    code: { // ISO 4217, e.g. 'EUR'
+        type: DataTypes.STRING(3),
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    rate: { // Units of this currency per 1 BASE_CURRENCY
+        type: DataTypes.DECIMAL(12, 6),
+        allowNull: false
+    },
+    decimals: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 2
+    },
+    isActive: { // Inactive currencies can't be requested or charged
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    updatedByUserId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: SqlUser, key: 'id' }
+    }
+}, {
+    tableName: 'currency_rates'
+});
+
+// --- End Sequelize Models ---
+
+// Keeps each user's newest review per product and deletes the older ones, carrying over
+// their helpful votes and verified purchase. Returns the number of reviews removed.
+async function mergeDuplicateReviews() {
+    const groups = await Feedback.aggregate([
+        { $match: { product: { $type: 'number' } } },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $group: { _id: { user: '$user', product: '$product' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+    let removed = 0;
+    for (const { ids } of groups) {
+        const [keepId, ...olderIds] = ids;
+        const reviews = await Feedback.find({ _id: ids }).select('helpfulVoters verifiedPurchase orderId').lean();
+        const voters = new Map();
+        reviews.forEach(review => (review.helpfulVoters || []).forEach(voter => voters.set(String(voter), voter)));
+        const verified = reviews.find(review => review.verifiedPurchase);
+        await Feedback.updateOne({ _id: keepId }, {
+            $set: {
+                helpfulVoters: [...voters.values()],
+                helpfulCount: voters.size,
+                ...(verified ? { verifiedPurchase: true, orderId: verified.orderId } : {})
+            }
+        });
+        removed += (await Feedback.deleteMany({ _id: olderIds })).deletedCount;
+    }
+    return removed;
+}
+
+// --- Helper to add initial data (optional) ---
+const SEED_STOCK_PER_VARIANT = 10;
+async function seedDatabase() {
+    try {
+        // Seed Products into MySQL if table is empty
+        const productCountSql = await SqlProduct.count();
+        if (productCountSql === 0) {
+            console.log('No products found in SQL, seeding database...');
+            const initialProducts = [
+              // Shoes (Using numeric sizes)
+              { name: "Stylish Shoe 1", price: 79.95, image: "/assets/shoes/nm_4950959_100491_m.jpeg", category: "shoes", colors: ["#FFFFFF", "#000000", "#F5F5DC"], sizes: ["6", "7", "8", "9"], isNew: true },
+              { name: "Comfortable Shoe 2", price: 89.95, image: "/assets/shoes/nm_4859632_100244_m.jpeg", category: "shoes", colors: ["#A0522D", "#F5F5DC"], sizes: ["7", "8", "9", "10", "11"], isBestSeller: true },
+              { name: "Classic Shoe 3", price: 119.95, image: "/assets/shoes/nm_4837164_100212_m.jpeg", category: "shoes", colors: ["#8B4513"], sizes: ["8", "9", "10"] },
+              { name: "Elegant Shoe 4", price: 99.00, originalPrice: 140.00, image: "/assets/shoes/nm_4837164_100106_m.jpeg", category: "shoes", colors: ["#000000", "#FFC0CB"], sizes: ["5", "6", "7", "8"] },
+              { name: "Stylish Shoe 5", price: 69.95, image: "/assets/shoes/nm_4820370_100339_m.jpeg", category: "shoes", colors: ["#FFFFFF", "#000000"], sizes: ["6", "7", "8", "9", "10"], isNew: true },
+              { name: "Comfortable Shoe 6", price: 95.50, image: "/assets/shoes/nm_4820370_100147_m.jpeg", category: "shoes", colors: ["#A0522D"], sizes: ["7", "8", "9"] },
+              { name: "Classic Shoe 7", price: 129.00, image: "/assets/shoes/nm_4816957_100106_m.jpeg", category: "shoes", colors: ["#8B4513", "#F5F5DC"], sizes: ["8", "9", "10", "11"], isBestSeller: true },
+              { name: "Elegant Shoe 8", price: 75.00, image: "/assets/shoes/nm_4735356_100188_m.jpeg", category: "shoes", colors: ["#000000"], sizes: ["6", "7", "8"] },
+              { name: "Stylish Shoe 9", price: 105.00, image: "/assets/shoes/nm_4623078_100602_m.jpeg", category: "shoes", colors: ["#FFFFFF", "#FFC0CB"], sizes: ["7", "8", "9"], isNew: true },
+              { name: "Comfortable Shoe 10", price: 99.99, image: "/assets/shoes/nm_2502690_100106_m.jpeg", category: "shoes", colors: ["#A0522D", "#000000"], sizes: ["8", "9", "10", "11", "12"] },
+              // Clothes (Using S-M-L sizes)
+              { name: "Stylish Top 1", price: 49.95, image: "/assets/clothes/nm_5008742_100106_m.jpeg", category: "clothes", colors: ["#ADD8E6", "#FFFFFF"], sizes: ["S", "M", "L"], matchingSet: true },
+              { name: "Comfy Pants 2", price: 59.95, image: "/assets/clothes/nm_4988442_100106_m.jpeg", category: "clothes", colors: ["#000000"], sizes: ["XS", "S", "M"] },
+              { name: "Elegant Dress 3", price: 120.00, image: "/assets/clothes/nm_4961408_100550_m.jpeg", category: "clothes", colors: ["#F5F5DC", "#FFC0CB"], sizes: ["S", "M", "L", "XL"], isNew: true },
+              { name: "Casual Shirt 4", price: 39.00, image: "/assets/clothes/nm_4959949_100106_m.jpeg", category: "clothes", colors: ["#FFFFFF", "#A0522D"], sizes: ["M", "L"] },
+              { name: "Basic Tee 5", price: 25.00, image: "/assets/clothes/nm_4946782_100550_m.jpeg", category: "clothes", colors: ["#000000", "#FFFFFF"], sizes: ["S", "M", "L", "XL"], isBestSeller: true },
+              { name: "Warm Sweater 6", price: 75.50, image: "/assets/clothes/nm_4943384_100106_m.jpeg", category: "clothes", colors: ["#ADD8E6", "#8B4513"], sizes: ["M", "L", "XL"] },
+              { name: "Summer Skirt 7", price: 65.00, image: "/assets/clothes/nm_4939109_100241_m.jpeg", category: "clothes", colors: ["#FFFFFF"], sizes: ["XS", "S", "M"] , isNew: true },
+              { name: "Denim Jacket 8", price: 110.00, image: "/assets/clothes/nm_4936319_100055_m.jpeg", category: "clothes", colors: ["#00008B"], sizes: ["S", "M", "L"] },
+              { name: "Linen Trousers 9", price: 88.00, image: "/assets/clothes/nm_4925658_100189_m.jpeg", category: "clothes", colors: ["#F5F5DC"], sizes: ["S", "M", "L"] },
+              { name: "Silk Blouse 10", price: 92.00, image: "/assets/clothes/nm_4921059_100324_m.tiff.jpeg", category: "clothes", colors: ["#FFFFFF", "#A0522D"], sizes: ["XS", "S", "M"], isBestSeller: true },
+              { name: "Wool Coat 11", price: 250.00, image: "/assets/clothes/nm_4915015_100244_m.tiff.jpeg", category: "clothes", colors: ["#000000", "#8B4513"], sizes: ["M", "L", "XL"] },
+              { name: "Cotton Shorts 12", price: 45.00, image: "/assets/clothes/nm_3519921_100404_m.jpeg", category: "clothes", colors: ["#ADD8E6", "#FFFFFF"], sizes: ["S", "M", "L"] , isNew: true },
+              { name: "Vintage T-Shirt 13", price: 30.00, image: "/assets/clothes/nm_2471915_100380_m.jpeg", category: "clothes", colors: ["#FFFFFF", "#000000", "#FF0000"], sizes: ["S", "M", "L", "XL"] }
+            ];
+            // Need to serialize arrays to JSON for MySQL JSON columns
+            const initialProductsForSql = initialProducts.map(p => ({
+                ...p,
+                colors: JSON.stringify(p.colors || []), // Serialize colors or use empty array
+                sizes: JSON.stringify(p.sizes || [])   // Serialize sizes or use empty array
+            }));
+            await SqlProduct.bulkCreate(initialProductsForSql);
+            console.log('SQL Database seeded with 23 products!');
+        } else {
+             console.log('SQL Products table already seeded.');
+        }
+
+        // Seed Promotions into SQL if table is empty
+        const promoCountSql = await SqlPromotion.count();
+        if (promoCountSql === 0) {
+             console.log('No promotions found in SQL, seeding database...');
+             const initialPromotions = [
+                 {
+                     code: 'WELCOME10',
+                     description: '10% off your first order!',
+                     discountType: 'PERCENTAGE',
+                     discountValue: 10,
+                     isActive: true,
+                     maxUsesPerUser: 1
+                     // applicableTier, minSpend, etc. use defaults
+                 },
+                 {
+                     code: 'FREESHIP100',
+                     description: 'Free Shipping (Silver Tier - 100+ points)',
+                     discountType: 'FREE_SHIPPING',
+                     discountValue: 0, 
+                     isActive: true,
+                     applicableTier: 'Silver',
+                     maxUsesPerUser: null // Can be used multiple times once unlocked
+                 },
+                 {
+                     code: 'GOLD10',
+                     description: '10% Off (Gold Tier - 500+ points)',
+                     discountType: 'PERCENTAGE',
+                     discountValue: 10,
+                     isActive: true,
+                     applicableTier: 'Gold',
+                     maxUsesPerUser: null
+                 }
+             ];
+             await SqlPromotion.bulkCreate(initialPromotions);
+             console.log('SQL Database seeded with initial promotions!');
+        } else {
+             console.log('SQL Promotions table already seeded.');
+        }
+
+        // Seed stock for every product/color/size combination if inventory is empty
+        const variantCount = await SqlProductVariant.count();
+        if (variantCount === 0) {
+            const products = await SqlProduct.findAll({ attributes: ['id', 'colors', 'sizes'] });
+            const variants = [];
+            products.forEach(product => {
+                let colors = [], sizes = [];
+                try { colors = JSON.parse(product.colors) || []; } catch (e) { /* no colors */ }
+                try { sizes = JSON.parse(product.sizes) || []; } catch (e) { /* no sizes */ }
+                (colors.length > 0 ? colors : ['']).forEach(color => {
+                    (sizes.length > 0 ? sizes : ['']).forEach(size => {
+                        variants.push({
+                            productId: product.id,
+                            color: normalizeVariantOption(color),
+                            size: normalizeVariantOption(size),
+                            onHand: SEED_STOCK_PER_VARIANT
+                        });
+                    });
+                });
+            });
+            if (variants.length > 0) {
+                await SqlProductVariant.bulkCreate(variants);
+                console.log(`SQL Database seeded with ${variants.length} product variants.`);
+            }
+        }
+
+        // Orders fulfilled before the lifecycle existed were stored as 'Completed' (i.e. paid)
+        const [migratedOrderCount] = await SqlOrder.update({ status: 'Paid' }, { where: { status: 'Completed' } });
+        if (migratedOrderCount > 0) console.log(`Migrated ${migratedOrderCount} legacy 'Completed' order(s) to 'Paid'.`);
+
+        // Seed the default loyalty tiers if none are configured. These keep the old fixed
+        // points thresholds; switching to spend-based tiers is left to admins.
+        const tierCount = await SqlLoyaltyTier.count();
+        if (tierCount === 0) {
+            await SqlLoyaltyTier.bulkCreate([
+                { name: 'Bronze', rank: 0, qualificationMetric: 'lifetime_points', threshold: 0, windowMonths: null, earnMultiplier: 1 },
+                { name: 'Silver', rank: 1, qualificationMetric: 'lifetime_points', threshold: 100, windowMonths: null, earnMultiplier: 1.25 },
+                { name: 'Gold', rank: 2, qualificationMetric: 'lifetime_points', threshold: 500, windowMonths: null, earnMultiplier: 1.5 }
+            ]);
+            console.log('SQL Database seeded with default loyalty tiers.');
+        }
+
+        // Seed the currencies offered in the header if no rates are configured
+        const currencyRateCount = await SqlCurrencyRate.count();
+        if (currencyRateCount === 0) {
+            await SqlCurrencyRate.bulkCreate([
+                { code: 'USD', name: 'US Dollar', rate: 1 },
+                { code: 'CAD', name: 'Canadian Dollar', rate: 1.36 },
+                { code: 'EUR', name: 'Euro', rate: 0.92 },
+                { code: 'GBP', name: 'British Pound', rate: 0.79 }
+            ]);
+            console.log('SQL Database seeded with default currency rates.');
+        }
+
+        // Seed shipping methods, zones and rates if none are configured
+        const shippingMethodCount = await SqlShippingMethod.count();
+        if (shippingMethodCount === 0) {
+            const [standard, express] = await SqlShippingMethod.bulkCreate([
+                { code: 'standard', name: 'Standard', minDays: 3, maxDays: 7, sortOrder: 0 },
+                { code: 'express', name: 'Express', minDays: 1, maxDays: 2, sortOrder: 1 }
+            ]);
+            const [contiguousUs, remoteUs, canada, restOfWorld] = await SqlShippingZone.bulkCreate([
+                { name: 'United States', countries: ['US'], states: null },
+                { name: 'Alaska & Hawaii', countries: ['US'], states: ['AK', 'HI'] },
+                { name: 'Canada', countries: ['CA'], states: null },
+                { name: 'Rest of world', countries: [], states: null }
+            ]);
+            await SqlShippingRate.bulkCreate([
+                // Domestic: flat, free from $75 (the header banner)
+                { zoneId: contiguousUs.id, methodId: standard.id, basis: 'price', minValue: 0, amount: 7.95, freeShippingThreshold: 75 },
+                { zoneId: contiguousUs.id, methodId: express.id, basis: 'price', minValue: 0, amount: 19.95 },
+                { zoneId: remoteUs.id, methodId: standard.id, basis: 'weight', minValue: 0, maxValue: 2000, amount: 14.95, freeShippingThreshold: 150 },
+                { zoneId: remoteUs.id, methodId: standard.id, basis: 'weight', minValue: 2000, amount: 24.95, freeShippingThreshold: 150 },
+                { zoneId: remoteUs.id, methodId: express.id, basis: 'weight', minValue: 0, amount: 34.95 },
+                // International: by weight
+                { zoneId: canada.id, methodId: standard.id, basis: 'weight', minValue: 0, maxValue: 1000, amount: 12 },
+                { zoneId: canada.id, methodId: standard.id, basis: 'weight', minValue: 1000, maxValue: 3000, amount: 18 },
+                { zoneId: canada.id, methodId: standard.id, basis: 'weight', minValue: 3000, amount: 25 },
+                { zoneId: canada.id, methodId: express.id, basis: 'weight', minValue: 0, maxValue: 3000, amount: 35 },
+                { zoneId: canada.id, methodId: express.id, basis: 'weight', minValue: 3000, amount: 50 },
+                { zoneId: restOfWorld.id, methodId: standard.id, basis: 'weight', minValue: 0, maxValue: 1000, amount: 20 },
+                { zoneId: restOfWorld.id, methodId: standard.id, basis: 'weight', minValue: 1000, maxValue: 3000, amount: 30 },
+                { zoneId: restOfWorld.id, methodId: standard.id, basis: 'weight', minValue: 3000, amount: 45 },
+                { zoneId: restOfWorld.id, methodId: express.id, basis: 'weight', minValue: 0, amount: 60 }
+            ]);
+            console.log('SQL Database seeded with default shipping methods, zones and rates.');
+        }
+
+        // Seed sales tax rates if none are configured (combined state + local rates)
+        const taxRateCount = await SqlTaxRate.count();
+        if (taxRateCount === 0) {
+            await SqlTaxRate.bulkCreate([
+                { name: 'CA sales tax', country: 'US', state: 'CA', rate: 0.0725 },
+                { name: 'Los Angeles sales tax', country: 'US', state: 'CA', postalPrefix: '900', rate: 0.095 },
+                { name: 'NY sales tax', country: 'US', state: 'NY', rate: 0.04 },
+                { name: 'New York City sales tax', country: 'US', state: 'NY', postalPrefix: '100', rate: 0.08875 },
+                { name: 'TX sales tax', country: 'US', state: 'TX', rate: 0.0625 },
+                { name: 'WA sales tax', country: 'US', state: 'WA', rate: 0.065 },
+                { name: 'FL sales tax', country: 'US', state: 'FL', rate: 0.06 },
+                { name: 'IL sales tax', country: 'US', state: 'IL', rate: 0.0625 },
+                // Clothing and footwear are exempt in these states
+                { name: 'NJ sales tax', country: 'US', state: 'NJ', rate: 0.06625, exemptCategories: ['clothes', 'shoes'] },
+                { name: 'PA sales tax', country: 'US', state: 'PA', rate: 0.06, exemptCategories: ['clothes', 'shoes'] },
+                { name: 'MN sales tax', country: 'US', state: 'MN', rate: 0.06875, exemptCategories: ['clothes', 'shoes'] },
+                { name: 'GST', country: 'CA', rate: 0.05 },
+                { name: 'HST', country: 'CA', state: 'ON', rate: 0.13 },
+                { name: 'GST + PST', country: 'CA', state: 'BC', rate: 0.12 },
+                { name: 'GST + QST', country: 'CA', state: 'QC', rate: 0.14975 }
+            ]);
+            console.log('SQL Database seeded with default tax rates.');
+        }
+
+        // Add any personalized offer rules that aren't configured yet
+        const offerRuleCount = await seedOfferRules();
+        if (offerRuleCount > 0) console.log(`SQL Database seeded with ${offerRuleCount} personalized offer rule(s).`);
+
+        // Keep SqlUser.loyaltyPoints in line with the loyalty_transactions ledger
+        await reconcileLoyaltyBalances();
+
+        // Backfill customer profiles on first start so targeting doesn't wait for the nightly job
+        if (await CustomerProfile.estimatedDocumentCount() === 0) {
+            const { profiles } = await rebuildCustomerProfiles();
+            if (profiles > 0) console.log(`Built ${profiles} customer profile(s).`);
+        }
+
+        // Promote accounts listed in ADMIN_EMAILS (comma separated) to admin
+        const adminEmails = (process.env.ADMIN_EMAILS || '')
+            .split(',')
+            .map(email => email.trim().toLowerCase())
+            .filter(Boolean);
+        if (adminEmails.length > 0) {
+            const [promotedCount] = await SqlUser.update(
+                { role: 'admin' },
+                { where: { email: adminEmails, role: { [Sequelize.Op.ne]: 'admin' } } }
+            );
+            if (promotedCount > 0) console.log(`Promoted ${promotedCount} user(s) from ADMIN_EMAILS to admin.`);
+        }
+
+        // Feedback saved before moderation existed has no status; queue it for review
+        const { modifiedCount } = await Feedback.updateMany({ status: { $exists: false } }, { $set: { status: 'pending' } });
+        if (modifiedCount > 0) console.log(`Queued ${modifiedCount} existing feedback document(s) for moderation.`);
+        // Keyset paging on the "most helpful" sort needs the count on every document
+        await Feedback.updateMany({ helpfulCount: { $exists: false } }, { $set: { helpfulCount: 0, helpfulVoters: [] } });
+
+        // One review per user and product: merge reviews posted before that rule, then build
+        // the unique index (it can't be built while duplicates exist)
+        const mergedReviewCount = await mergeDuplicateReviews();
+        if (mergedReviewCount > 0) console.log(`Merged ${mergedReviewCount} duplicate product review(s) into each user's newest review.`);
+        try {
+            await Feedback.syncIndexes();
+        } catch (indexError) {
+            console.error('*** Feedback indexes could not be built; one-review-per-product is NOT enforced ***', indexError);
+        }
+
+    } catch (err) {
+        console.error('Error seeding database:', err);
+    }
+}
+seedDatabase(); // Run the seeding check on server start
+
+// Get directory name in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const app = express();
+const PORT = process.env.PORT || 3001;
+
+// Middleware
+app.use(cors());
+
+// --- Add Global Request Logger ---
+app.use((req, res, next) => {
+  console.log(`[Request Logger] Received: ${req.method} ${req.originalUrl}`);
+  next(); // Pass control to the next middleware function
+});
+// --- End Global Request Logger ---
+
+// app.use(express.static(path.join(__dirname))); // <-- MOVE THIS LINE
+
+// --- Webhook Endpoint (needs to be before express.json() for raw body) ---
 // Use express.raw middleware for the webhook route BEFORE express.json()
 app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (request, response) => { // Made async
   console.log("[Stripe Webhook] Received event");
   const sig = request.headers['stripe-signature'];
   let event;
 
-  if (!STRIPE_WEBHOOK_SECRET) {
-      console.error('*** Stripe Webhook Secret is missing. Please set STRIPE_WEBHOOK_SECRET in your .env file ***');
-      return response.status(400).send(`Webhook Error: Missing webhook secret`);
-  }
-  if (!sig) {
-      console.error('*** Stripe Webhook Error: Missing stripe-signature header ***');
-      return response.status(400).send(`Webhook Error: Missing signature`);
-  }
+  if (!STRIPE_WEBHOOK_SECRET) {
+      console.error('*** Stripe Webhook Secret is missing. Please set STRIPE_WEBHOOK_SECRET in your .env file ***');
+      return response.status(400).send(`Webhook Error: Missing webhook secret`);
+  }
+  if (!sig) {
+      console.error('*** Stripe Webhook Error: Missing stripe-signature header ***');
+      return response.status(400).send(`Webhook Error: Missing signature`);
+  }
+
+  try {
+    event = stripe.webhooks.constructEvent(request.body, sig, STRIPE_WEBHOOK_SECRET);
+    console.log("[Stripe Webhook] Event constructed successfully:", event.id, event.type);
+  } catch (err) {
+    console.error(`[Stripe Webhook] Error verifying webhook signature: ${err.message}`);
+    return response.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  // Handle the event
+  switch (event.type) {
+    case 'checkout.session.completed':
+      const session = event.data.object;
+      console.log(`[Stripe Webhook] Checkout Session Completed for session ${session.id}`);
+
+      // --- Fulfill the order --- 
+      if (session.payment_status === 'paid') {
+        console.log("[Stripe Webhook] Payment was successful. Fulfilling order using SQL...");
+        // Start SQL fulfillment process (run async function)
+        fulfillOrderSql(session).catch(err => { // <-- Changed to fulfillOrderSql
+           console.error("[Stripe Webhook] Error fulfilling SQL order:", err);
+           // Decide how to handle fulfillment failure - retry? notify admin?
+           // For now, we just log it. A robust system needs error handling.
+        });
+      } else {
+          console.log(`[Stripe Webhook] Payment status is ${session.payment_status}. Order not fulfilled.`);
+      }
+      break;
+    case 'checkout.session.expired': {
+      // Abandoned checkout - give the held stock and points back
+      const expiredSession = event.data.object;
+      const expiredReservationKey = expiredSession.metadata?.reservation_id;
+      const expiredLoyaltyHoldKey = expiredSession.metadata?.loyalty_hold_id;
+      console.log(`[Stripe Webhook] Checkout Session Expired for session ${expiredSession.id}`);
+      if (expiredReservationKey) {
+        releaseStockReservation(expiredReservationKey, `session ${expiredSession.id} expired`).catch(err => {
+           console.error("[Stripe Webhook] Error releasing stock reservation:", err);
+        });
+      }
+      if (expiredLoyaltyHoldKey) {
+        releaseLoyaltyHold(expiredLoyaltyHoldKey, `session ${expiredSession.id} expired`).catch(err => {
+           console.error("[Stripe Webhook] Error releasing points hold:", err);
+        });
+      }
+      // The session's single-use coupon can never be redeemed now
+      if (expiredSession.metadata?.coupon_id) {
+        stripe.coupons.del(expiredSession.metadata.coupon_id).catch(err => {
+           console.error(`[Stripe Webhook] Error deleting coupon ${expiredSession.metadata.coupon_id}:`, err);
+        });
+      }
+      break;
+    }
+    // ... handle other event types (payment_intent.succeeded, etc.)
+    default:
+      console.log(`[Stripe Webhook] Unhandled event type ${event.type}`);
+  }
+
+  // Return a 200 response to acknowledge receipt of the event
+  response.json({received: true});
+});
+// --- End Webhook Endpoint ---
+
+// Apply express.json() globally AFTER the webhook endpoint
+app.use(express.json());
+
+// --- API Endpoints using MySQL for Products (Refactored) ---
+
+// --- Pagination Helpers ---
+// List endpoints support offset paging (?page=2&pageSize=24) and keyset
+// cursors (?after=<nextCursor>). Cursors are stable under inserts, pages are
+// convenient for numbered page controls.
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Cursor = base64url JSON array of the last row's ORDER BY values
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+      const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      return Array.isArray(values) ? values : null;
+  } catch (e) {
+      return null;
+  }
+}
+
+// Returns { page, pageSize, offset, cursor } or { error } for a 400 response.
+// pageSize above MAX_PAGE_SIZE is clamped rather than rejected.
+function parsePaginationParams(query, defaultPageSize = DEFAULT_PAGE_SIZE) {
+  let pageSize = defaultPageSize;
+  if (query.pageSize !== undefined) {
+      pageSize = parseInt(query.pageSize, 10);
+      if (isNaN(pageSize) || pageSize < 1) {
+          return { error: 'pageSize must be a positive integer' };
+      }
+      pageSize = Math.min(pageSize, MAX_PAGE_SIZE);
+  }
+
+  let page = 1;
+  if (query.page !== undefined) {
+      page = parseInt(query.page, 10);
+      if (isNaN(page) || page < 1) {
+          return { error: 'page must be a positive integer' };
+      }
+  }
+
+  let cursor = null;
+  if (query.after !== undefined) {
+      if (query.page !== undefined) {
+          return { error: 'Use either page or after, not both' };
+      }
+      cursor = decodeCursor(query.after);
+      if (!cursor) {
+          return { error: 'Invalid cursor' };
+      }
+  }
+
+  return { page: cursor ? null : page, pageSize, offset: cursor ? 0 : (page - 1) * pageSize, cursor };
+}
+
+// WHERE clause selecting rows strictly after cursorValues for an ORDER BY list
+// such as [['price', 'ASC'], ['id', 'ASC']] (last entry must be a unique key).
+function buildKeysetWhere(order, cursorValues) {
+  const { Op } = Sequelize;
+  return {
+      [Op.or]: order.map(([field, direction], i) => {
+          const clause = {};
+          order.slice(0, i).forEach(([prevField], j) => { clause[prevField] = cursorValues[j]; });
+          clause[field] = { [direction === 'DESC' ? Op.lt : Op.gt]: cursorValues[i] };
+          return clause;
+      })
+  };
+}
+
+// Mongo equivalents of the above for collections paged with the same cursors.
+// Cursor values come back from JSON, so callers cast Dates/ObjectIds first.
+function buildMongoKeysetFilter(order, cursorValues) {
+  return {
+      $or: order.map(([field, direction], i) => {
+          const clause = {};
+          order.slice(0, i).forEach(([prevField], j) => { clause[prevField] = cursorValues[j]; });
+          clause[field] = { [direction === 'DESC' ? '$lt' : '$gt']: cursorValues[i] };
+          return clause;
+      })
+  };
+}
+
+function toMongoSort(order) {
+  return Object.fromEntries(order.map(([field, direction]) => [field, direction === 'DESC' ? -1 : 1]));
+}
+
+// Trims the extra "lookahead" row and builds paging metadata + Link header.
+// Callers query with limit: pageSize + 1 so hasMore needs no extra COUNT.
+function paginateResult(req, res, rows, order, pagination, totalCount) {
+  const hasMore = rows.length > pagination.pageSize;
+  const pageRows = hasMore ? rows.slice(0, pagination.pageSize) : rows;
+  const lastRow = pageRows[pageRows.length - 1];
+  const nextCursor = hasMore && lastRow ? encodeCursor(order.map(([field]) => lastRow[field])) : null;
+
+  // RFC 8288 Link header, preserving the caller's other query params
+  const links = [];
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+  const linkFor = (changes) => {
+      const params = new URLSearchParams(req.query);
+      params.delete('page');
+      params.delete('after');
+      Object.entries(changes).forEach(([key, value]) => params.set(key, value));
+      return `${baseUrl}?${params.toString()}`;
+  };
+  if (hasMore) {
+      links.push(`<${linkFor(pagination.cursor ? { after: nextCursor } : { page: pagination.page + 1 })}>; rel="next"`);
+  }
+  if (pagination.page && pagination.page > 1) {
+      links.push(`<${linkFor({ page: pagination.page - 1 })}>; rel="prev"`);
+  }
+  if (links.length > 0) {
+      res.set('Link', links.join(', '));
+  }
+
+  return {
+      rows: pageRows,
+      meta: {
+          totalCount: totalCount,
+          page: pagination.page, // null when paging by cursor
+          pageSize: pagination.pageSize,
+          totalPages: Math.ceil(totalCount / pagination.pageSize),
+          hasMore: hasMore,
+          nextCursor: nextCursor
+      }
+  };
+}
+// --- End Pagination Helpers ---
+
+// --- Product Filter Helpers ---
+// Accepts both comma lists (?size=S,M) and repeated params (?size=S&size=M)
+function parseListParam(value) {
+  if (value === undefined || value === null) return [];
+  const rawValues = Array.isArray(value) ? value : [value];
+  return rawValues
+      .flatMap(v => String(v).split(','))
+      .map(v => v.trim())
+      .filter(v => v.length > 0);
+}
+
+// WHERE fragment matching rows whose JSON array column contains ANY of values.
+// Seeded rows store colors/sizes as a JSON-encoded string inside the JSON column,
+// so unquote + cast first; this is a no-op for columns holding real JSON arrays.
+function jsonArrayContainsAny(column, values) {
+  const { Op } = Sequelize;
+  const columnAsArray = sequelize.cast(sequelize.fn('JSON_UNQUOTE', sequelize.col(column)), 'JSON');
+  return {
+      [Op.or]: values.map(value =>
+          sequelize.where(sequelize.fn('JSON_CONTAINS', columnAsArray, JSON.stringify(value)), 1)
+      )
+  };
+}
+// --- End Product Filter Helpers ---
+
+// --- Currency ---
+// Catalog prices and order amounts are stored in BASE_CURRENCY. Endpoints that return
+// prices take ?currency= and convert with the admin-managed currency_rates table,
+// rounding to the currency's minor unit. Rates are cached until an admin edits them.
+const BASE_CURRENCY = 'USD';
+const CURRENCY_RATES_TTL_MS = 5 * 60 * 1000;
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+let currencyRatesCache = null; // { loadedAt, promise }
+
+// code -> { code, name, rate, decimals, isActive, updatedAt } for every configured currency
+function getCurrencyRates() {
+    if (currencyRatesCache && Date.now() - currencyRatesCache.loadedAt < CURRENCY_RATES_TTL_MS) {
+        return currencyRatesCache.promise;
+    }
+    const promise = SqlCurrencyRate.findAll().then(rows => new Map(rows.map(row => [row.code, {
+        code: row.code,
+        name: row.name,
+        rate: parseFloat(row.rate), // DECIMAL comes back as string
+        decimals: row.decimals,
+        isActive: row.isActive,
+        updatedAt: row.updatedAt
+    }])));
+    currencyRatesCache = { loadedAt: Date.now(), promise };
+    promise.catch(() => { currencyRatesCache = null; }); // Retry on the next request
+    return promise;
+}
+
+function invalidateCurrencyRates() {
+    currencyRatesCache = null;
+}
+
+// Base currency info, used when the rates table hasn't been seeded yet
+function baseCurrencyInfo() {
+    return { code: BASE_CURRENCY, name: 'US Dollar', rate: 1, decimals: 2, isActive: true, updatedAt: null };
+}
+
+// Active currency for a code (case-insensitive). Returns { currency } or { error }.
+async function resolveCurrency(code) {
+    const normalizedCode = String(code).trim().toUpperCase();
+    const rates = await getCurrencyRates();
+    const currency = rates.get(normalizedCode) || (normalizedCode === BASE_CURRENCY ? baseCurrencyInfo() : null);
+    if (!currency || !currency.isActive) {
+        const activeCodes = [...rates.values()].filter(rate => rate.isActive).map(rate => rate.code);
+        return { error: `currency must be one of: ${(activeCodes.length > 0 ? activeCodes : [BASE_CURRENCY]).join(', ')}` };
+    }
+    return { currency };
+}
+
+// ?currency= (defaults to fallbackCode). Returns { currency } or { error }.
+function parseCurrencyParam(query, fallbackCode = BASE_CURRENCY) {
+    const code = query.currency === undefined || query.currency === '' ? fallbackCode : query.currency;
+    return resolveCurrency(code);
+}
+
+function roundToCurrency(amount, currency) {
+    const factor = 10 ** currency.decimals;
+    return Math.round(amount * factor) / factor;
+}
+
+// BASE_CURRENCY amount -> currency, rounded to its minor unit. rate overrides the
+// current rate (orders keep the one they were charged at).
+function convertFromBase(amount, currency, rate = currency.rate) {
+    if (amount === null || amount === undefined) return amount;
+    return roundToCurrency(amount * rate, currency);
+}
+
+// currency amount -> BASE_CURRENCY (unrounded; used for filters like ?minPrice=)
+function convertToBase(amount, currency) {
+    return amount / currency.rate;
+}
+
+// Whole minor units (cents) for Stripe
+function toMinorUnits(amount, currency) {
+    return Math.round(amount * 10 ** currency.decimals);
+}
+
+function formatMoney(amount, currency) {
+    if (amount === null || amount === undefined) return null;
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency.code,
+        minimumFractionDigits: currency.decimals,
+        maximumFractionDigits: currency.decimals
+    }).format(amount);
+}
+
+// Catalog product (numeric prices in BASE_CURRENCY) -> prices in currency. basePrice is
+// kept so the bag can send the catalog price back for repriceCart().
+function localizeProductPrices(product, currency) {
+    product.basePrice = product.price;
+    product.baseOriginalPrice = product.originalPrice ?? null;
+    product.currency = currency.code;
+    product.price = convertFromBase(product.price, currency);
+    product.originalPrice = convertFromBase(product.originalPrice ?? null, currency);
+    product.formattedPrice = formatMoney(product.price, currency);
+    product.formattedOriginalPrice = formatMoney(product.originalPrice, currency);
+    return product;
+}
+
+// GET currencies shoppers can pick (header dropdown, client-side bag totals)
+app.get('/api/currencies', async (req, res) => {
+    try {
+        const rates = await getCurrencyRates();
+        const currencies = [...rates.values()]
+            .filter(rate => rate.isActive)
+            .sort((a, b) => (a.code === BASE_CURRENCY ? -1 : b.code === BASE_CURRENCY ? 1 : a.code.localeCompare(b.code)))
+            .map(({ code, name, rate, decimals, updatedAt }) => ({ code, name, rate, decimals, updatedAt }));
+        res.json({ baseCurrency: BASE_CURRENCY, currencies });
+    } catch (err) {
+        console.error('[Currency] Error fetching currencies:', err);
+        res.status(500).json({ message: 'Failed to fetch currencies.' });
+    }
+});
+// --- End Currency ---
+
+// GET all products (with sorting, filtering, and count) - REFRACTORED for MySQL
+app.get('/api/products', async (req, res) => {
+  try {
+    const { category, color, size, brand, minPrice, maxPrice, isNew, isBestSeller, sort } = req.query;
+    const { Op } = Sequelize;
+    const pagination = parsePaginationParams(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
+    const { currency, error: currencyError } = await parseCurrencyParam(req.query);
+    if (currencyError) {
+        return res.status(400).json({ message: currencyError });
+    }
+    const whereOptions = { isActive: true }; // Deleted (deactivated) products are hidden from listings
+    const andConditions = []; // Conditions that can't share a key in whereOptions
+    let orderOptions = [];
+
+    // --- Filtering --- 
+    if (category) whereOptions.category = category;
+    if (isNew === 'true') whereOptions.isNew = true;
+    if (isBestSeller === 'true') whereOptions.isBestSeller = true;
+
+    // Brand (one or more, exact match)
+    const brands = parseListParam(brand);
+    if (brands.length > 0) whereOptions.brand = { [Op.in]: brands };
+
+    // Colors/sizes are JSON arrays: match products offering ANY requested value
+    // Values are stored uppercase (hex colors, S/M/L) so normalize input
+    const colors = parseListParam(color).map(c => c.toUpperCase());
+    if (colors.length > 0) andConditions.push(jsonArrayContainsAny('colors', colors));
+    const sizes = parseListParam(size).map(s => s.toUpperCase());
+    if (sizes.length > 0) andConditions.push(jsonArrayContainsAny('sizes', sizes));
+
+    // Price range (inclusive), given in the requested currency
+    const priceRange = {};
+    if (minPrice !== undefined && minPrice !== '') {
+        const min = parseFloat(minPrice);
+        if (isNaN(min) || min < 0) {
+            return res.status(400).json({ message: 'minPrice must be a non-negative number' });
+        }
+        priceRange[Op.gte] = convertToBase(min, currency);
+    }
+    if (maxPrice !== undefined && maxPrice !== '') {
+        const max = parseFloat(maxPrice);
+        if (isNaN(max) || max < 0) {
+            return res.status(400).json({ message: 'maxPrice must be a non-negative number' });
+        }
+        if (priceRange[Op.gte] !== undefined && max < parseFloat(minPrice)) {
+            return res.status(400).json({ message: 'maxPrice cannot be less than minPrice' });
+        }
+        priceRange[Op.lte] = convertToBase(max, currency);
+    }
+    if (Object.getOwnPropertySymbols(priceRange).length > 0) whereOptions.price = priceRange;
+
+    if (andConditions.length > 0) whereOptions[Op.and] = andConditions;
+
+    // --- Sorting --- 
+    if (sort === 'price-asc') orderOptions.push(['price', 'ASC']);
+    else if (sort === 'price-desc') orderOptions.push(['price', 'DESC']);
+    else if (sort === 'popularity-desc') orderOptions.push(['wishlistCount', 'DESC']);
+    // Add default sort if needed, e.g., ['name', 'ASC']
+    if (orderOptions.length === 0) {
+        orderOptions.push(['name', 'ASC']); // Default sort by name
+    }
+    orderOptions.push(['id', 'ASC']); // Unique tie-breaker keeps pages/cursors stable
+
+    // --- Querying --- 
+    const count = await SqlProduct.count({ where: whereOptions });
+    const pageWhere = pagination.cursor
+        ? { [Op.and]: [whereOptions, buildKeysetWhere(orderOptions, pagination.cursor)] }
+        : whereOptions;
+    const fetchedRows = await SqlProduct.findAll({
+        where: pageWhere,
+        order: orderOptions,
+        limit: pagination.pageSize + 1, // One extra row tells us if there's a next page
+        offset: pagination.offset
+    });
+    const { rows, meta } = paginateResult(req, res, fetchedRows, orderOptions, pagination, count);
+
+    // --- Post-processing (Parse JSON columns) --- 
+    const products = rows.map(p => {
+        const productJson = p.toJSON(); // Get plain JSON object
+        try {
+            productJson.colors = JSON.parse(productJson.colors); // Parse colors
+        } catch (e) { productJson.colors = []; } // Handle parsing error
+        try {
+            productJson.sizes = JSON.parse(productJson.sizes); // Parse sizes
+        } catch (e) { productJson.sizes = []; } // Handle parsing error
+        
+        // Parse DECIMAL strings to numbers
+        if (productJson.price !== null && productJson.price !== undefined) {
+            productJson.price = parseFloat(productJson.price);
+        }
+        if (productJson.originalPrice !== null && productJson.originalPrice !== undefined) {
+            productJson.originalPrice = parseFloat(productJson.originalPrice);
+        }
+        
+        return localizeProductPrices(productJson, currency);
+    });
+    
+    await attachReviewStats(products); // Ratings live in MongoDB (approved reviews only)
+
+    res.json({ 
+        products: products, 
+        ...meta // totalCount, page, pageSize, totalPages, hasMore, nextCursor
+    });
+    
+  } catch (err) {
+    console.error("Error fetching products from SQL:", err);
+    res.status(500).json({ message: 'Error fetching products' });
+  }
+});
+
+// GET product by ID - REFRACTORED for MySQL
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id, 10); // Ensure ID is integer
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+    const { currency, error: currencyError } = await parseCurrencyParam(req.query);
+    if (currencyError) {
+        return res.status(400).json({ message: currencyError });
+    }
+    
+    const productInstance = await SqlProduct.findByPk(productId);
+    
+    if (!productInstance) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    // --- Post-processing (Parse JSON columns) --- 
+    const product = productInstance.toJSON();
+    try {
+        product.colors = JSON.parse(product.colors);
+    } catch (e) { product.colors = []; }
+    try {
+        product.sizes = JSON.parse(product.sizes);
+    } catch (e) { product.sizes = []; }
+
+    // Parse DECIMAL strings to numbers
+    if (product.price !== null && product.price !== undefined) {
+        product.price = parseFloat(product.price);
+    }
+    if (product.originalPrice !== null && product.originalPrice !== undefined) {
+        product.originalPrice = parseFloat(product.originalPrice);
+    }
+    localizeProductPrices(product, currency);
+
+    // Per color/size availability so the page can disable sold-out combinations
+    const availability = await getProductAvailability(productId);
+    product.stockTracked = availability.stockTracked;
+    product.variants = availability.variants;
+
+    await attachReviewStats([product]); // averageRating, numReviews, ratingDistribution
+
+    res.json(product); 
+    
+  } catch (err) {
+     console.error("Error fetching product by ID from SQL:", err);
+     res.status(500).json({ message: 'Error fetching product' });
+  }
+});
+
+// --- Product Search ---
+// In-process inverted index over active products (name, brand, category, description
+// and color names), built from MySQL and kept for SEARCH_INDEX_TTL_MS or until an
+// admin edits a product. A query word matches index terms exactly, as a prefix, or
+// within a small edit distance (typo tolerance); weaker matches score lower.
+const SEARCH_FIELD_WEIGHTS = { name: 3, brand: 2, category: 2, colors: 1.5, description: 1 };
+const SEARCH_MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+const SEARCH_INDEX_TTL_MS = 10 * 60 * 1000;
+const SEARCH_STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'in', 'with', 'on', 'to', 'by']);
+const SEARCH_SORT_ORDERS = {
+    relevance: [['score', 'DESC'], ['id', 'ASC']],
+    'price-asc': [['price', 'ASC'], ['id', 'ASC']],
+    'price-desc': [['price', 'DESC'], ['id', 'ASC']],
+    'popularity-desc': [['wishlistCount', 'DESC'], ['id', 'ASC']]
+};
+// Names for the hex values products are stored with (searchable and shown in facets)
+const COLOR_NAMES = {
+    '#FFFFFF': 'White',
+    '#000000': 'Black',
+    '#F5F5DC': 'Beige',
+    '#A0522D': 'Brown',
+    '#8B4513': 'Saddle Brown',
+    '#FF0000': 'Red',
+    '#ADD8E6': 'Light Blue',
+    '#00008B': 'Navy',
+    '#FFC0CB': 'Pink'
+};
+const PRICE_BANDS = [ // BASE_CURRENCY
+    { key: 'under-50', min: 0, max: 50 },
+    { key: '50-100', min: 50, max: 100 },
+    { key: '100-200', min: 100, max: 200 },
+    { key: '200-plus', min: 200, max: null }
+];
+
+// e.g. "Under $50", "€46 - €92", "£158+"
+function priceBandLabel(band, currency) {
+    const format = amount => formatMoney(convertFromBase(amount, currency), currency).replace(/[.,]0+(?=\D*$)/, '');
+    if (band.min === 0) return `Under ${format(band.max)}`;
+    if (band.max === null) return `${format(band.min)}+`;
+    return `${format(band.min)} - ${format(band.max)}`;
+}
+
+let searchIndexCache = null; // { builtAt, promise }
+
+// Plural "s"/"es" is dropped so "dress" finds "dresses" and "shoes" finds "shoe"
+function stemSearchTerm(word) {
+    if (word.length > 4 && /(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+// Returns [{ term, word }]: the stemmed index term and the word as typed (lowercase)
+function tokenizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // "Café" matches "cafe"
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length >= 2 && !SEARCH_STOP_WORDS.has(word))
+        .map(word => ({ term: stemSearchTerm(word), word }));
+}
+
+// Optimal string alignment distance (adjacent swaps count as one edit).
+// Stops early and returns max + 1 once the distance must exceed max.
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+async function buildSearchIndex() {
+    const products = (await SqlProduct.findAll({ where: { isActive: true } })).map(formatSqlProduct);
+    const docs = new Map();
+    const postings = new Map(); // term -> Map(productId -> summed field weight)
+    const surfaceForms = new Map(); // term -> a word as it appears in the catalog (for corrections/completions)
+
+    products.forEach(product => {
+        docs.set(product.id, {
+            id: product.id,
+            name: product.name,
+            category: product.category,
+            brand: product.brand,
+            price: product.price,
+            colors: product.colors || [],
+            sizes: product.sizes || [],
+            isNew: product.isNew,
+            isBestSeller: product.isBestSeller,
+            wishlistCount: product.wishlistCount
+        });
+        const fields = {
+            name: product.name,
+            brand: product.brand,
+            category: product.category,
+            colors: (product.colors || []).map(color => COLOR_NAMES[color] || '').join(' '),
+            description: product.description
+        };
+        Object.entries(fields).forEach(([field, text]) => {
+            // Each field counts once per term, however often the word repeats in it
+            new Map(tokenizeSearchText(text).map(token => [token.term, token.word])).forEach((word, term) => {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const termPostings = postings.get(term);
+                termPostings.set(product.id, (termPostings.get(product.id) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+                if (!surfaceForms.has(term)) surfaceForms.set(term, word);
+            });
+        });
+    });
+
+    return { docs, postings, surfaceForms, terms: [...postings.keys()] };
+}
+
+function getSearchIndex() {
+    if (!searchIndexCache || Date.now() - searchIndexCache.builtAt > SEARCH_INDEX_TTL_MS) {
+        const promise = buildSearchIndex();
+        searchIndexCache = { builtAt: Date.now(), promise };
+        promise.catch(() => {
+            if (searchIndexCache?.promise === promise) searchIndexCache = null;
+        });
+    }
+    return searchIndexCache.promise;
+}
+
+// Called after admin product changes so results never show stale names or prices
+function invalidateSearchIndex() {
+    searchIndexCache = null;
+}
+
+// Index terms a query term can match: Map(indexTerm -> match weight)
+function matchSearchTerm(term, index, { allowPrefix = true } = {}) {
+    const matches = new Map();
+    if (index.postings.has(term)) matches.set(term, SEARCH_MATCH_WEIGHTS.exact);
+    if (allowPrefix && term.length >= 2) {
+        index.terms.forEach(candidate => {
+            if (candidate !== term && candidate.startsWith(term)) matches.set(candidate, SEARCH_MATCH_WEIGHTS.prefix);
+        });
+    }
+    // Typos: one edit for 4-7 letters, two from 8; short words must match exactly
+    if (matches.size === 0 && term.length >= 4) {
+        const maxEdits = term.length >= 8 ? 2 : 1;
+        index.terms.forEach(candidate => {
+            if (editDistance(term, candidate, maxEdits) <= maxEdits) matches.set(candidate, SEARCH_MATCH_WEIGHTS.fuzzy);
+        });
+    }
+    return matches;
+}
+
+// Scores every product against the query. Products must match every query word;
+// if none do, products matching any word are returned instead.
+// Returns { scores: Map(productId -> score), correctedQuery }
+function scoreSearchQuery(query, index, { prefixLastTermOnly = false } = {}) {
+    const tokens = tokenizeSearchText(query);
+    const scores = new Map();
+    const matchedTokenCounts = new Map();
+    let corrected = false;
+    const correctedWords = [];
+    const docCount = Math.max(index.docs.size, 1);
+
+    tokens.forEach(({ term, word }, position) => {
+        const allowPrefix = !prefixLastTermOnly || position === tokens.length - 1;
+        const matches = matchSearchTerm(term, index, { allowPrefix });
+        const tokenScores = new Map();
+        matches.forEach((matchWeight, indexTerm) => {
+            const termPostings = index.postings.get(indexTerm);
+            const idf = Math.log(1 + docCount / termPostings.size);
+            termPostings.forEach((fieldWeight, productId) => {
+                const score = matchWeight * idf * fieldWeight;
+                if (score > (tokenScores.get(productId) || 0)) tokenScores.set(productId, score);
+            });
+        });
+        tokenScores.forEach((score, productId) => {
+            scores.set(productId, (scores.get(productId) || 0) + score);
+            matchedTokenCounts.set(productId, (matchedTokenCounts.get(productId) || 0) + 1);
+        });
+
+        // Suggest the most common fuzzy match when the word itself isn't in the catalog
+        const isFuzzyOnly = matches.size > 0 && [...matches.values()].every(weight => weight === SEARCH_MATCH_WEIGHTS.fuzzy);
+        if (isFuzzyOnly) {
+            const best = [...matches.keys()].sort((a, b) => index.postings.get(b).size - index.postings.get(a).size)[0];
+            correctedWords.push(index.surfaceForms.get(best));
+            corrected = true;
+        } else {
+            correctedWords.push(word);
+        }
+    });
+
+    const matchesAll = [...scores.keys()].filter(productId => matchedTokenCounts.get(productId) === tokens.length);
+    if (matchesAll.length > 0) {
+        [...scores.keys()].forEach(productId => {
+            if (matchedTokenCounts.get(productId) !== tokens.length) scores.delete(productId);
+        });
+    }
+    // Whole query in the product name (e.g. an exact product title) ranks first
+    const phrase = String(query).trim().toLowerCase();
+    scores.forEach((score, productId) => {
+        if (phrase.length >= 3 && index.docs.get(productId).name.toLowerCase().includes(phrase)) scores.set(productId, score * 1.5);
+    });
+
+    return { scores, correctedQuery: corrected ? correctedWords.join(' ') : null };
+}
+
+// Same filter params as /api/products. Returns { filters } or { error }.
+// minPrice/maxPrice are in currency and are converted to BASE_CURRENCY here
+function parseSearchFilters(query, currency) {
+    const filters = {
+        category: query.category || null,
+        brands: parseListParam(query.brand),
+        colors: parseListParam(query.color).map(color => color.toUpperCase()),
+        sizes: parseListParam(query.size).map(size => size.toUpperCase()),
+        minPrice: null,
+        maxPrice: null,
+        isNew: query.isNew === 'true',
+        isBestSeller: query.isBestSeller === 'true'
+    };
+    if (query.minPrice !== undefined && query.minPrice !== '') {
+        filters.minPrice = parseFloat(query.minPrice);
+        if (isNaN(filters.minPrice) || filters.minPrice < 0) return { error: 'minPrice must be a non-negative number' };
+    }
+    if (query.maxPrice !== undefined && query.maxPrice !== '') {
+        filters.maxPrice = parseFloat(query.maxPrice);
+        if (isNaN(filters.maxPrice) || filters.maxPrice < 0) return { error: 'maxPrice must be a non-negative number' };
+        if (filters.minPrice !== null && filters.maxPrice < filters.minPrice) return { error: 'maxPrice cannot be less than minPrice' };
+    }
+    if (filters.minPrice !== null) filters.minPrice = convertToBase(filters.minPrice, currency);
+    if (filters.maxPrice !== null) filters.maxPrice = convertToBase(filters.maxPrice, currency);
+    return { filters };
+}
+
+// skip names one facet dimension to ignore, so each facet counts what picking it would give
+function searchDocMatchesFilters(doc, filters, skip = null) {
+    if (skip !== 'category' && filters.category && doc.category !== filters.category) return false;
+    if (filters.brands.length > 0 && !filters.brands.includes(doc.brand)) return false;
+    if (skip !== 'color' && filters.colors.length > 0 && !doc.colors.some(color => filters.colors.includes(String(color).toUpperCase()))) return false;
+    if (skip !== 'size' && filters.sizes.length > 0 && !doc.sizes.some(size => filters.sizes.includes(String(size).toUpperCase()))) return false;
+    if (skip !== 'price' && filters.minPrice !== null && doc.price < filters.minPrice) return false;
+    if (skip !== 'price' && filters.maxPrice !== null && doc.price > filters.maxPrice) return false;
+    if (filters.isNew && !doc.isNew) return false;
+    if (filters.isBestSeller && !doc.isBestSeller) return false;
+    return true;
+}
+
+// Price bands are defined in BASE_CURRENCY; their bounds and labels are returned in currency
+function countSearchFacets(docs, filters, currency) {
+    const countBy = (skip, keysOf) => {
+        const counts = new Map();
+        docs.filter(doc => searchDocMatchesFilters(doc, filters, skip)).forEach(doc => {
+            new Set(keysOf(doc)).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+        });
+        return counts;
+    };
+    const toList = (counts, extra = () => ({})) => [...counts.entries()]
+        .map(([value, count]) => ({ value, count, ...extra(value) }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+    // Bounds are inclusive like the minPrice/maxPrice filters a band click sets, so each
+    // count matches its filtered results (a price on a boundary counts in both bands)
+    const priceCounts = countBy('price', doc => PRICE_BANDS
+        .filter(band => doc.price >= band.min && (band.max === null || doc.price <= band.max))
+        .map(band => band.key));
+    return {
+        category: toList(countBy('category', doc => (doc.category ? [doc.category] : []))),
+        size: toList(countBy('size', doc => doc.sizes.map(size => String(size).toUpperCase()))),
+        color: toList(countBy('color', doc => doc.colors.map(color => String(color).toUpperCase())), value => ({ label: COLOR_NAMES[value] || value })),
+        priceBand: PRICE_BANDS.map(band => ({
+            ...band,
+            min: convertFromBase(band.min, currency),
+            max: convertFromBase(band.max, currency),
+            label: priceBandLabel(band, currency),
+            count: priceCounts.get(band.key) || 0
+        }))
+    };
+}
+
+// Sorts in-memory rows by an ORDER BY list (see buildKeysetWhere)
+function compareByOrder(order) {
+    return (a, b) => {
+        for (const [field, direction] of order) {
+            if (a[field] < b[field]) return direction === 'DESC' ? 1 : -1;
+            if (a[field] > b[field]) return direction === 'DESC' ? -1 : 1;
+        }
+        return 0;
+    };
+}
+
+// GET ranked product search with facets (?q=, same filters/paging as /api/products,
+// sort=relevance|price-asc|price-desc|popularity-desc)
+app.get('/api/search', async (req, res) => {
+  const query = (req.query.q || '').trim();
+  console.log(`[Search API] Received search query: '${query}'`);
+
+  if (!query) {
+    console.log("[Search API] Query is empty, returning 400.");
+    return res.status(400).json({ message: 'Search query cannot be empty' });
+  }
+  if (query.length > 200) {
+    return res.status(400).json({ message: 'Search query is too long' });
+  }
+
+  const pagination = parsePaginationParams(req.query);
+  if (pagination.error) {
+    return res.status(400).json({ message: pagination.error });
+  }
+  const order = SEARCH_SORT_ORDERS[req.query.sort] || SEARCH_SORT_ORDERS.relevance;
+
+  try {
+    const { currency, error: currencyError } = await parseCurrencyParam(req.query);
+    if (currencyError) {
+      return res.status(400).json({ message: currencyError });
+    }
+    const { filters, error } = parseSearchFilters(req.query, currency);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const index = await getSearchIndex();
+    const { scores, correctedQuery } = scoreSearchQuery(query, index);
+    const matchedDocs = [...scores.keys()].map(productId => index.docs.get(productId));
+
+    const rankedRows = matchedDocs
+        .filter(doc => searchDocMatchesFilters(doc, filters))
+        .map(doc => ({ id: doc.id, score: Math.round(scores.get(doc.id) * 10000) / 10000, price: doc.price, wishlistCount: doc.wishlistCount }))
+        .sort(compareByOrder(order));
+
+    let pageRows;
+    if (pagination.cursor) {
+        const cursorRow = Object.fromEntries(order.map(([field], i) => [field, pagination.cursor[i]]));
+        const compare = compareByOrder(order);
+        pageRows = rankedRows.filter(row => compare(row, cursorRow) > 0);
+    } else {
+        pageRows = rankedRows.slice(pagination.offset);
+    }
+    const { rows, meta } = paginateResult(req, res, pageRows.slice(0, pagination.pageSize + 1), order, pagination, rankedRows.length);
+
+    const productInstances = await SqlProduct.findAll({ where: { id: rows.map(row => row.id) } });
+    const productsById = new Map(productInstances.map(product => [product.id, localizeProductPrices(formatSqlProduct(product), currency)]));
+    const products = rows
+        .filter(row => productsById.has(row.id))
+        .map(row => ({ ...productsById.get(row.id), relevance: row.score }));
+    await attachReviewStats(products);
+
+    console.log(`[Search API] Found ${meta.totalCount} products matching query (returning ${products.length}).`);
+
+    // Keep 200 OK with an empty page for no results (same shape as /api/products)
+    res.json({
+        products: products,
+        ...meta,
+        query,
+        correctedQuery, // e.g. "shoes" for "sheos"; null when every word was found as typed
+        facets: countSearchFacets(matchedDocs, filters, currency)
+    });
+
+  } catch (err) {
+    console.error("[Search API] Error during product search:", err);
+    res.status(500).json({ message: 'Error searching products' });
+  }
+});
+
+// GET autocomplete for the header search box (?q=, ?limit= up to 10).
+// The last word is completed as a prefix; earlier words must match (typos allowed).
+app.get('/api/search/suggest', async (req, res) => {
+  const query = (req.query.q || '').trim();
+  const limit = req.query.limit === undefined ? 6 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 10) {
+    return res.status(400).json({ message: 'limit must be a whole number between 1 and 10' });
+  }
+  if (query.length < 2 || query.length > 200) {
+    return res.json({ query, completions: [], products: [] });
+  }
+
+  try {
+    const { currency, error: currencyError } = await parseCurrencyParam(req.query);
+    if (currencyError) {
+      return res.status(400).json({ message: currencyError });
+    }
+    const index = await getSearchIndex();
+    const { scores, correctedQuery } = scoreSearchQuery(query, index, { prefixLastTermOnly: true });
+    const products = [...scores.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .slice(0, limit)
+        .map(([productId]) => {
+            const doc = index.docs.get(productId);
+            const price = convertFromBase(doc.price, currency);
+            return { id: doc.id, name: doc.name, category: doc.category, price, currency: currency.code, formattedPrice: formatMoney(price, currency) };
+        });
+
+    // Whole-word completions of the last word, most common first
+    const tokens = tokenizeSearchText(query);
+    const lastTerm = tokens.length > 0 ? tokens[tokens.length - 1].term : '';
+    const leadingWords = tokens.slice(0, -1).map(token => token.word);
+    const completions = lastTerm
+        ? index.terms
+            .filter(term => term.startsWith(lastTerm))
+            .sort((a, b) => index.postings.get(b).size - index.postings.get(a).size)
+            .slice(0, 5)
+            .map(term => [...leadingWords, index.surfaceForms.get(term)].join(' '))
+        : [];
+
+    res.json({ query, correctedQuery, completions, products });
+  } catch (err) {
+    console.error("[Search API] Error building suggestions:", err);
+    res.status(500).json({ message: 'Error fetching suggestions' });
+  }
+});
+// --- End Product Search ---
+
+// --- Product Validation Helpers (admin product management) ---
+const PRODUCT_CATEGORIES = ['shoes', 'clothes'];
+const CLOTHING_SIZES = ['XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'];
+const SHOE_SIZE_PATTERN = /^\d{1,2}(\.5)?$/; // e.g. "8" or "8.5"
+const HEX_COLOR_PATTERN = /^#[0-9A-F]{6}$/;
+
+// Fields a client may set. Everything else (id, wishlistCount, timestamps) is server-managed.
+const PRODUCT_WRITABLE_FIELDS = ['name', 'price', 'originalPrice', 'category', 'image', 'colors', 'sizes',
+    'description', 'brand', 'isNew', 'isBestSeller', 'matchingSet', 'isActive', 'weightGrams'];
+const PRODUCT_REQUIRED_FIELDS = ['name', 'price', 'category'];
+// Values used for omitted optional fields on create / full replace (PUT)
+const PRODUCT_FIELD_DEFAULTS = { originalPrice: null, image: null, colors: [], sizes: [], description: null,
+    brand: null, isNew: false, isBestSeller: false, matchingSet: false, isActive: true, weightGrams: null };
+
+function parseMoney(value) {
+    const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+    return Math.round(amount * 100) / 100;
+}
+
+// Validates a create (POST), replace (PUT) or partial update (PATCH) body.
+// `existing` is the current product JSON (colors/sizes parsed) so PATCH can
+// cross-check fields it doesn't change. Returns { values, errors }; values
+// are normalized and ready for SqlProduct (colors/sizes still arrays).
+function validateProductInput(body, { partial = false, existing = null } = {}) {
+    const errors = [];
+    const values = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+
+    Object.keys(body).forEach(field => {
+        if (!PRODUCT_WRITABLE_FIELDS.includes(field)) {
+            errors.push({ field, message: `Unknown or read-only field: ${field}` });
+        }
+    });
+
+    if (!partial) {
+        PRODUCT_REQUIRED_FIELDS.forEach(field => {
+            if (body[field] === undefined || body[field] === null || body[field] === '') {
+                errors.push({ field, message: `${field} is required` });
+            }
+        });
+    }
+
+    const has = (field) => body[field] !== undefined;
+
+    if (has('name')) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            errors.push({ field: 'name', message: 'name must be a non-empty string' });
+        } else if (body.name.trim().length > 255) {
+            errors.push({ field: 'name', message: 'name must be at most 255 characters' });
+        } else {
+            values.name = body.name.trim();
+        }
+    }
+
+    if (has('price') && body.price !== null) {
+        const price = parseMoney(body.price);
+        if (price === null || price <= 0 || price >= 100000000) {
+            errors.push({ field: 'price', message: 'price must be a positive number' });
+        } else {
+            values.price = price;
+        }
+    } else if (has('price')) {
+        errors.push({ field: 'price', message: 'price cannot be null' });
+    }
+
+    if (has('originalPrice')) {
+        if (body.originalPrice === null || body.originalPrice === '') {
+            values.originalPrice = null;
+        } else {
+            const originalPrice = parseMoney(body.originalPrice);
+            if (originalPrice === null || originalPrice <= 0 || originalPrice >= 100000000) {
+                errors.push({ field: 'originalPrice', message: 'originalPrice must be a positive number or null' });
+            } else {
+                values.originalPrice = originalPrice;
+            }
+        }
+    }
+
+    if (has('weightGrams')) {
+        if (body.weightGrams === null || body.weightGrams === '') {
+            values.weightGrams = null;
+        } else {
+            const weightGrams = Number(body.weightGrams);
+            if (!Number.isInteger(weightGrams) || weightGrams <= 0 || weightGrams > 1000000) {
+                errors.push({ field: 'weightGrams', message: 'weightGrams must be a positive whole number of grams or null' });
+            } else {
+                values.weightGrams = weightGrams;
+            }
+        }
+    }
+
+    if (has('category')) {
+        const category = typeof body.category === 'string' ? body.category.trim().toLowerCase() : null;
+        if (!PRODUCT_CATEGORIES.includes(category)) {
+            errors.push({ field: 'category', message: `category must be one of: ${PRODUCT_CATEGORIES.join(', ')}` });
+        } else {
+            values.category = category;
+        }
+    }
+
+    ['image', 'description', 'brand'].forEach(field => {
+        if (!has(field)) return;
+        if (body[field] === null || body[field] === '') {
+            values[field] = null;
+        } else if (typeof body[field] !== 'string') {
+            errors.push({ field, message: `${field} must be a string or null` });
+        } else {
+            values[field] = body[field].trim();
+        }
+    });
+
+    ['isNew', 'isBestSeller', 'matchingSet', 'isActive'].forEach(field => {
+        if (!has(field)) return;
+        if (typeof body[field] !== 'boolean') {
+            errors.push({ field, message: `${field} must be true or false` });
+        } else {
+            values[field] = body[field];
+        }
+    });
+
+    if (has('colors')) {
+        if (!Array.isArray(body.colors)) {
+            errors.push({ field: 'colors', message: 'colors must be an array of hex color codes' });
+        } else {
+            const colors = body.colors.map(c => (typeof c === 'string' ? c.trim().toUpperCase() : c));
+            const invalid = colors.filter(c => typeof c !== 'string' || !HEX_COLOR_PATTERN.test(c));
+            if (invalid.length > 0) {
+                errors.push({ field: 'colors', message: `Invalid color code(s): ${invalid.join(', ')} (expected #RRGGBB)` });
+            } else {
+                values.colors = [...new Set(colors)];
+            }
+        }
+    }
+
+    // Sizes depend on the category (letter sizes for clothes, numeric for shoes),
+    // so fall back to the stored category when a PATCH doesn't change it.
+    if (has('sizes')) {
+        const category = values.category || existing?.category;
+        if (!Array.isArray(body.sizes)) {
+            errors.push({ field: 'sizes', message: 'sizes must be an array of strings' });
+        } else {
+            const sizes = body.sizes.map(s => (typeof s === 'string' || typeof s === 'number' ? String(s).trim().toUpperCase() : s));
+            const invalid = sizes.filter(s => {
+                if (typeof s !== 'string' || s === '') return true;
+                if (category === 'shoes') return !SHOE_SIZE_PATTERN.test(s);
+                if (category === 'clothes') return !CLOTHING_SIZES.includes(s);
+                return false;
+            });
+            if (invalid.length > 0) {
+                errors.push({ field: 'sizes', message: `Invalid size(s) for category ${category}: ${invalid.join(', ')}` });
+            } else {
+                values.sizes = [...new Set(sizes)];
+            }
+        }
+    }
+
+    // A "sale" original price must be above the selling price
+    const finalPrice = values.price !== undefined ? values.price : (existing ? parseFloat(existing.price) : undefined);
+    const finalOriginalPrice = values.originalPrice !== undefined
+        ? values.originalPrice
+        : (existing && existing.originalPrice !== null ? parseFloat(existing.originalPrice) : null);
+    if (finalPrice !== undefined && finalOriginalPrice !== null && finalOriginalPrice !== undefined
+        && finalOriginalPrice <= finalPrice && !errors.some(e => e.field === 'price' || e.field === 'originalPrice')) {
+        errors.push({ field: 'originalPrice', message: 'originalPrice must be greater than price' });
+    }
+
+    if (!partial) {
+        Object.entries(PRODUCT_FIELD_DEFAULTS).forEach(([field, defaultValue]) => {
+            if (values[field] === undefined && !errors.some(e => e.field === field)) values[field] = defaultValue;
+        });
+    }
+
+    return { values, errors };
+}
+
+// SqlProduct instance -> API JSON (parsed colors/sizes, numeric prices)
+function formatSqlProduct(productInstance) {
+    const product = productInstance.toJSON();
+    try {
+        product.colors = JSON.parse(product.colors);
+    } catch (e) { product.colors = []; }
+    try {
+        product.sizes = JSON.parse(product.sizes);
+    } catch (e) { product.sizes = []; }
+    if (product.price !== null && product.price !== undefined) product.price = parseFloat(product.price);
+    if (product.originalPrice !== null && product.originalPrice !== undefined) product.originalPrice = parseFloat(product.originalPrice);
+    return product;
+}
+
+// Colors/sizes are stored as JSON strings (same as seedDatabase)
+function toSqlProductValues(values) {
+    const sqlValues = { ...values };
+    if (sqlValues.colors !== undefined) sqlValues.colors = JSON.stringify(sqlValues.colors);
+    if (sqlValues.sizes !== undefined) sqlValues.sizes = JSON.stringify(sqlValues.sizes);
+    return sqlValues;
+}
+
+function sendProductValidationErrors(res, errors) {
+    return res.status(400).json({ message: 'Invalid product data', errors });
+}
+// --- End Product Validation Helpers ---
+
+// POST a new product (Admin only)
+app.post('/api/products', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { values, errors } = validateProductInput(req.body);
+    if (errors.length > 0) {
+        return sendProductValidationErrors(res, errors);
+    }
+
+    const newProduct = await SqlProduct.create(toSqlProductValues(values));
+    invalidateSearchIndex();
+    console.log(`[Admin Products] Product ${newProduct.id} created by user ${req.sqlUser.id}`);
+
+    res.status(201).json(formatSqlProduct(newProduct));
+  } catch (err) {
+    console.error("Error creating SQL product:", err);
+    res.status(500).json({ message: 'Error creating product' }); 
+  }
+});
+
+// --- Admin Product Management Routes ---
+
+// GET catalog for the back office: includes inactive products, searchable by name/brand
+app.get('/api/admin/products', authMiddleware, staffMiddleware, async (req, res) => {
+    const { q, category, status } = req.query;
+    const pagination = parsePaginationParams(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
+
+    try {
+        const { Op } = Sequelize;
+        const whereOptions = {};
+        if (q && q.trim()) {
+            const term = q.trim();
+            const searchConditions = [
+                { name: { [Op.like]: `%${term}%` } },
+                { brand: { [Op.like]: `%${term}%` } }
+            ];
+            if (/^\d+$/.test(term)) searchConditions.push({ id: parseInt(term, 10) });
+            whereOptions[Op.or] = searchConditions;
+        }
+        if (category) whereOptions.category = category;
+        if (status === 'active') whereOptions.isActive = true;
+        else if (status === 'inactive') whereOptions.isActive = false;
+
+        const orderOptions = [['id', 'DESC']];
+        const count = await SqlProduct.count({ where: whereOptions });
+        const fetchedRows = await SqlProduct.findAll({
+            where: pagination.cursor
+                ? { [Op.and]: [whereOptions, buildKeysetWhere(orderOptions, pagination.cursor)] }
+                : whereOptions,
+            order: orderOptions,
+            limit: pagination.pageSize + 1,
+            offset: pagination.offset
+        });
+        const { rows, meta } = paginateResult(req, res, fetchedRows, orderOptions, pagination, count);
+
+        res.json({ products: rows.map(formatSqlProduct), ...meta });
+    } catch (err) {
+        console.error('[Admin Products] Error listing products:', err);
+        res.status(500).json({ message: 'Error fetching products' });
+    }
+});
+
+// Shared by PUT (full replace) and PATCH (partial update)
+async function updateProductHandler(req, res, partial) {
+    const productId = parseInt(req.params.id, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+
+    try {
+        const productInstance = await SqlProduct.findByPk(productId);
+        if (!productInstance) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const { values, errors } = validateProductInput(req.body, { partial, existing: formatSqlProduct(productInstance) });
+        if (errors.length > 0) {
+            return sendProductValidationErrors(res, errors);
+        }
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({ message: 'No fields to update' });
+        }
+
+        await productInstance.update(toSqlProductValues(values));
+        invalidateSearchIndex();
+        console.log(`[Admin Products] Product ${productId} ${partial ? 'patched' : 'replaced'} by user ${req.sqlUser.id}: ${Object.keys(values).join(', ')}`);
+
+        res.json(formatSqlProduct(productInstance));
+    } catch (err) {
+        console.error(`[Admin Products] Error updating product ${productId}:`, err);
+        res.status(500).json({ message: 'Error updating product' });
+    }
+}
+
+app.put('/api/admin/products/:id', authMiddleware, adminMiddleware, (req, res) => updateProductHandler(req, res, false));
+app.patch('/api/admin/products/:id', authMiddleware, adminMiddleware, (req, res) => updateProductHandler(req, res, true));
+
+// DELETE deactivates rather than removing the row: order_items reference
+// products, and past orders must keep showing what was bought.
+app.delete('/api/admin/products/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+
+    try {
+        const productInstance = await SqlProduct.findByPk(productId);
+        if (!productInstance) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        if (productInstance.isActive) {
+            await productInstance.update({ isActive: false });
+            invalidateSearchIndex();
+            console.log(`[Admin Products] Product ${productId} deactivated by user ${req.sqlUser.id}`);
+        }
+
+        res.json({ message: 'Product deleted', product: formatSqlProduct(productInstance) });
+    } catch (err) {
+        console.error(`[Admin Products] Error deleting product ${productId}:`, err);
+        res.status(500).json({ message: 'Error deleting product' });
+    }
+});
+// GET stock levels for every variant of a product
+app.get('/api/admin/products/:id/variants', authMiddleware, staffMiddleware, async (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+
+    try {
+        const variants = await SqlProductVariant.findAll({
+            where: { productId },
+            order: [['color', 'ASC'], ['size', 'ASC']]
+        });
+        res.json(variants.map(v => ({ ...v.toJSON(), available: Math.max(v.onHand - v.reserved, 0) })));
+    } catch (err) {
+        console.error(`[Admin Inventory] Error fetching variants for product ${productId}:`, err);
+        res.status(500).json({ message: 'Error fetching stock levels' });
+    }
+});
+
+// PUT set on-hand stock: body is [{ color, size, onHand }]. Variants are created as
+// needed; color/size must be options of the product ('' when it has none).
+app.put('/api/admin/products/:id/variants', authMiddleware, adminMiddleware, async (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+    if (!Array.isArray(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: 'Body must be a non-empty array of { color, size, onHand }' });
+    }
+
+    let transaction;
+    try {
+        const productInstance = await SqlProduct.findByPk(productId);
+        if (!productInstance) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        const product = formatSqlProduct(productInstance);
+        const allowedColors = product.colors.length > 0 ? product.colors.map(normalizeVariantOption) : [''];
+        const allowedSizes = product.sizes.length > 0 ? product.sizes.map(normalizeVariantOption) : [''];
+
+        const errors = [];
+        const updates = req.body.map((entry, index) => {
+            const color = normalizeVariantOption(entry?.color);
+            const size = normalizeVariantOption(entry?.size);
+            if (!allowedColors.includes(color) || !allowedSizes.includes(size)) {
+                errors.push({ line: index, message: `${describeVariant(color, size)} is not an option of this product` });
+            }
+            if (!Number.isInteger(entry?.onHand) || entry.onHand < 0) {
+                errors.push({ line: index, message: 'onHand must be a non-negative integer' });
+            }
+            return { color, size, onHand: entry?.onHand };
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid stock data', errors });
+        }
+
+        transaction = await sequelize.transaction();
+        for (const { color, size, onHand } of updates) {
+            const [variant] = await SqlProductVariant.findOrCreate({
+                where: { productId, color, size },
+                defaults: { onHand: 0, reserved: 0 },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            await variant.update({ onHand }, { transaction });
+        }
+        await transaction.commit();
+        console.log(`[Admin Inventory] Stock for product ${productId} updated by user ${req.sqlUser.id} (${updates.length} variant(s))`);
+
+        const variants = await SqlProductVariant.findAll({ where: { productId }, order: [['color', 'ASC'], ['size', 'ASC']] });
+        res.json(variants.map(v => ({ ...v.toJSON(), available: Math.max(v.onHand - v.reserved, 0) })));
+    } catch (err) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        console.error(`[Admin Inventory] Error updating stock for product ${productId}:`, err);
+        res.status(500).json({ message: 'Error updating stock levels' });
+    }
+});
+// --- End Admin Product Management Routes ---
+
+// --- Authentication Routes ---
+
+// Register a new user
+app.post('/api/auth/register', async (req, res) => {
+  console.log("[Register Route - SQL Primary] Received request");
+  const { firstName, lastName, username, email, password } = req.body;
+  const { value: birthDate, error: birthDateError } = parseBirthDate(req.body.birthDate); // Optional
+  console.log("[Register Route - SQL Primary] Received data:", { firstName, lastName, username, email, password: password ? '[PRESENT]' : '[MISSING]' });
+
+  // --- Input Validation (Keep existing checks) --- 
+  if (!firstName || !lastName || !username || !email || !password) {
+    console.log("[Register Route - SQL Primary] Failed: Missing required fields");
+    return res.status(400).json({ message: 'All fields are required' }); 
+  }
+  // Password complexity checks...
+  console.log("[Register Route - SQL Primary] Checking password length...");
+  if (password.length < 8) {
+    console.log("[Register Route - SQL Primary] Failed: Password too short");
+    return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+  }
+  console.log("[Register Route - SQL Primary] Checking password uppercase...");
+  if (!/[A-Z]/.test(password)) {
+    console.log("[Register Route - SQL Primary] Failed: No uppercase letter");
+    return res.status(400).json({ message: 'Password must contain at least one uppercase letter' });
+  }
+  console.log("[Register Route - SQL Primary] Checking password special char...");
+  if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?~]/.test(password)) {
+    console.log("[Register Route - SQL Primary] Failed: No special character");
+    return res.status(400).json({ message: 'Password must contain at least one special character' });
+  }
+  console.log("[Register Route - SQL Primary] Password validation passed.");
+  if (birthDateError) {
+    return res.status(400).json({ message: birthDateError });
+  }
+  // --- End Input Validation --- 
+
+  const mongoSession = await mongoose.startSession();
+  let sqlTransaction;
+
+  try {
+    console.log("[Register Route - SQL Primary] Entering TRY block...");
+    sqlTransaction = await sequelize.transaction(); // Start SQL transaction
+    mongoSession.startTransaction(); // Start Mongo transaction
+
+    // Check if username or email already exists in SQL DB
+    const existingSqlUser = await SqlUser.findOne({ 
+        where: { 
+            [Sequelize.Op.or]: [ { email: email.toLowerCase() }, { username: username.toLowerCase() } ] 
+        },
+        transaction: sqlTransaction
+    });
+    if (existingSqlUser) {
+        let message = 'Registration failed.';
+        if (existingSqlUser.email === email.toLowerCase()) {
+            message = 'Email already in use';
+        } else if (existingSqlUser.username === username.toLowerCase()) {
+            message = 'Username already taken';
+        }
+        await sqlTransaction.rollback(); // Rollback SQL
+        await mongoSession.abortTransaction(); // Abort Mongo
+      return res.status(400).json({ message: message });
+    }
+
+    // Also check MongoDB just in case (e.g., during transition or if data is inconsistent)
+    const existingMongoUser = await User.findOne({ 
+        $or: [ { email: email.toLowerCase() }, { username: username.toLowerCase() } ] 
+    }).session(mongoSession);
+    if (existingMongoUser) {
+        await sqlTransaction.rollback();
+        await mongoSession.abortTransaction();
+        return res.status(400).json({ message: 'Email or Username already exists (Mongo check).' });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10); 
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Create and save user to SQL
+    const savedSqlUser = await SqlUser.create({
+        firstName,
+        lastName,
+        username: username.toLowerCase(),
+        email: email.toLowerCase(), 
+        password: hashedPassword,
+        birthDate,
+        // mongoUserId will be set after Mongo user is created
+        // loyaltyPoints defaults to 0
+    }, { transaction: sqlTransaction });
+
+    // Create minimal user in MongoDB (for wishlist, etc.)
+    const minimalMongoUser = new User({
+        email: savedSqlUser.email, 
+        username: savedSqlUser.username,
+        firstName: savedSqlUser.firstName, // Keep basic info synced if needed
+        lastName: savedSqlUser.lastName,
+        password: '__MYSQL_AUTH__', // Indicate auth is handled by SQL
+        wishlist: [] // Initialize empty wishlist
+        // loyaltyPoints are now primarily in SQL
+    });
+    const savedMongoUser = await minimalMongoUser.save({ session: mongoSession });
+
+    // Update SQL user with Mongo ID
+    savedSqlUser.mongoUserId = savedMongoUser._id.toString();
+    await savedSqlUser.save({ transaction: sqlTransaction });
+
+    console.log(`[Register Route - SQL Primary] User ${savedSqlUser.username} saved to SQL (ID: ${savedSqlUser.id}) and Mongo (ID: ${savedMongoUser._id}).`);
+
+    // Commit transactions
+    await sqlTransaction.commit();
+    await mongoSession.commitTransaction();
+
+    // --- Auto-login: Generate JWT using SQL User ID --- 
+    const payload = {
+      user: {
+        id: savedSqlUser.id, // Use SQL ID
+        role: savedSqlUser.role
+      }
+    };
+
+    jwt.sign(
+      payload,
+      JWT_SECRET,
+      { expiresIn: '1h' }, 
+      (err, token) => {
+        if (err) {
+             console.error("Token signing error after registration:", err);
+             return res.status(201).json({ 
+                 message: 'User registered successfully, but token generation failed.', 
+                 userId: savedSqlUser.id // Return SQL ID
+             });
+        }
+        res.status(201).json({ 
+            message: 'User registered successfully', 
+            userId: savedSqlUser.id, // Return SQL ID
+            token: token // Include token
+        }); 
+      }
+    );
+
+  } catch (err) {
+    console.error("Registration Error (SQL Primary):", err);
+    // Rollback transactions on any error
+    if (sqlTransaction) await sqlTransaction.rollback();
+    if (mongoSession.inTransaction()) await mongoSession.abortTransaction();
+    
+    // Check for specific Sequelize validation errors if needed
+    res.status(500).json({ message: 'Error registering user' });
+  } finally {
+      if (mongoSession) mongoSession.endSession();
+  }
+});
+
+// Login user
+app.post('/api/auth/login', async (req, res) => {
+  const { identifier, password } = req.body; 
+
+  if (!identifier || !password) {
+    return res.status(400).json({ message: 'Email/Username and password are required' });
+  }
+
+  try {
+    // Find user by email or username in SQL DB
+    const user = await SqlUser.findOne({ 
+      where: { 
+          [Sequelize.Op.or]: [ 
+        { email: identifier.toLowerCase() }, 
+        { username: identifier.toLowerCase() } 
+      ]
+        }
+     });
+     
+    if (!user) {
+      console.log(`[Login - SQL] User not found for identifier: ${identifier}`);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Compare password with the hash stored in SQL
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      console.log(`[Login - SQL] Password mismatch for identifier: ${identifier}`);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // User matched, create JWT payload using SQL User ID
+    const payload = {
+      user: {
+        id: user.id, // Use SQL ID
+        role: user.role // For the client UI only; the server re-checks the DB role
+      }
+    };
+
+    // Sign the token
+    jwt.sign(
+      payload,
+      JWT_SECRET,
+      { expiresIn: '1h' }, 
+      (err, token) => {
+        if (err) throw err;
+        console.log(`[Login - SQL] Login successful for user ID: ${user.id}`);
+        res.json({ token });
+      }
+    );
+
+  } catch (err) {
+    console.error("Login Error (SQL):", err);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// --- End Authentication Routes ---
+
+// --- User Data Route (Protected) --- Refactored
+app.get('/api/users/me', authMiddleware, async (req, res) => {
+  try {
+    // req.sqlUser is attached by authMiddleware (excluding password)
+    const sqlUser = req.sqlUser; 
+    if (!sqlUser) {
+      // This case might occur if the Mongo user lookup failed in middleware 
+      // but we allowed it to proceed. Or if sqlUser wasn't attached properly.
+      console.error('[GET /api/users/me] req.sqlUser not found after authMiddleware.');
+      return res.status(404).json({ message: 'User data not found'});
+    }
+
+    // Fetch the corresponding Mongo user to get the wishlist
+    const mongoUser = await User.findOne({ email: sqlUser.email }).select('wishlist');
+    const wishlist = mongoUser ? mongoUser.wishlist : []; // Default to empty array if no mongo user
+
+    // Preferred category comes from the customer's analytics profile (see Customer Analytics)
+    const profile = await getCustomerProfile(sqlUser.id);
+    const preferredCategory = profile ? profile.preferredCategory : null;
+
+    // Current loyalty tier. Read-only: the stored SqlUser.loyaltyTier is updated by
+    // fulfillment, refunds/cancellations and the nightly tier job.
+    const tierStatus = await evaluateUserTier(sqlUser.id);
+
+    // Combine SQL and Mongo data for response
+    const responseData = {
+        id: sqlUser.id, // SQL ID
+        mongoId: sqlUser.mongoUserId, // Mongo ID (if needed by frontend)
+        firstName: sqlUser.firstName,
+        lastName: sqlUser.lastName,
+        username: sqlUser.username,
+        email: sqlUser.email,
+        loyaltyPoints: sqlUser.loyaltyPoints,
+        tier: tierStatus.tier, // { name, earnMultiplier, ... } or null
+        nextTier: tierStatus.nextTier,
+        tierProgress: tierStatus.progress, // Towards nextTier; null at the top tier
+        role: sqlUser.role,
+        wishlist: wishlist,
+        birthDate: sqlUser.birthDate,
+        createdAt: sqlUser.createdAt, // From SQL
+        preferredCategory: preferredCategory // Add the analyzed category
+    };
+
+    res.json(responseData); // Send combined user data
+
+  } catch (err) {
+    console.error("Error fetching combined user data:", err);
+    res.status(500).json({ message: 'Server error fetching user data' });
+  }
+});
+
+// Validates an optional birth date ('YYYY-MM-DD', in the past). '' or null clears it.
+// Returns { value } or { error }.
+function parseBirthDate(raw) {
+  if (raw === undefined || raw === null || raw === '') return { value: null };
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(raw).trim());
+  if (!match) return { error: 'birthDate must be a date in YYYY-MM-DD format' };
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (date.getUTCMonth() !== Number(match[2]) - 1 || date > new Date() || Number(match[1]) < 1900) {
+    return { error: 'birthDate must be a valid date in the past' };
+  }
+  return { value: match[0] };
+}
+
+// PATCH the current user's profile. Only birthDate is editable for now.
+app.patch('/api/users/me', authMiddleware, async (req, res) => {
+  const { value: birthDate, error } = parseBirthDate(req.body.birthDate);
+  if (error) {
+    return res.status(400).json({ message: 'Invalid profile data', errors: [{ field: 'birthDate', message: error }] });
+  }
+  try {
+    await req.sqlUser.update({ birthDate });
+    res.json({ birthDate: req.sqlUser.birthDate });
+  } catch (err) {
+    console.error('[PATCH /api/users/me] Error updating profile:', err);
+    res.status(500).json({ message: 'Failed to update profile.' });
+  }
+});
+
+// --- Wishlist Routes (Protected) ---
+
+// GET user's wishlist (Reads from MongoDB User)
+app.get('/api/users/me/wishlist', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('wishlist');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    // Here, user.wishlist contains MongoDB ObjectIds
+    // If products are now in SQL, we might need to change what's stored/
+    // returned. For now, returning the Mongo IDs.
+    // TODO: Decide if wishlist array should store SQL IDs instead.
+    res.json(user.wishlist); 
+  } catch (err) {
+    console.error("Error fetching user wishlist:", err);
+    res.status(500).json({ message: 'Server error fetching wishlist' });
+  }
+});
+
+// Add item to wishlist (Updates MongoDB User and SQL Product)
+app.post('/api/users/me/wishlist', authMiddleware, async (req, res) => {
+  const { productId } = req.body; // This is now expected to be the SQL Product ID
+  const mongoUserId = req.user.id; // This is the MongoDB User ID from the token
+
+  // Validate SQL Product ID (assuming it's numeric)
+  const sqlProductId = parseInt(productId, 10);
+  if (isNaN(sqlProductId)) {
+    return res.status(400).json({ message: 'Valid SQL Product ID is required' });
+  }
+
+  const mongoSession = await mongoose.startSession(); // Mongo transaction for User update
+  let sqlTransaction; // Sequelize transaction for Product update
+
+  try {
+    sqlTransaction = await sequelize.transaction();
+    mongoSession.startTransaction(); // Start Mongoose transaction
+
+    // 1. Find Mongo User
+    const user = await User.findById(mongoUserId).session(mongoSession);
+    if (!user) {
+        throw new Error('Mongo User not found'); // Internal error
+    }
+
+    // 2. Find SQL Product (to ensure it exists)
+    const product = await SqlProduct.findByPk(sqlProductId, { transaction: sqlTransaction });
+    if (!product) {
+        throw new Error('SQL Product not found');
+    }
+
+    // --- Store SQL Product ID in Mongo User Wishlist --- 
+    // Decision: Store SQL ID as a string in the Mongo wishlist array.
+    const productIdString = sqlProductId.toString();
+    const isAlreadyWishlisted = user.wishlist.map(id => id.toString()).includes(productIdString);
+
+    // 3. Update Mongo User Wishlist
+    if (!isAlreadyWishlisted) {
+        await User.updateOne({ _id: mongoUserId }, 
+            { $addToSet: { wishlist: productIdString } }, // Add SQL ID as string
+            { session: mongoSession }
+        );
+    } 
+
+    // 4. Update SQL Product Count (only if newly added)
+    if (!isAlreadyWishlisted) {
+        await SqlProduct.increment('wishlistCount', { 
+            by: 1, 
+            where: { id: sqlProductId }, 
+            transaction: sqlTransaction 
+        });
+        console.log(`[Wishlist Add] Incremented wishlistCount for SQL product ${sqlProductId}`);
+    } else {
+        console.log(`[Wishlist Add] SQL Product ${sqlProductId} already in wishlist for user ${mongoUserId}. Count not incremented.`);
+    }
+
+    // 5. Commit both transactions
+    await sqlTransaction.commit();
+    await mongoSession.commitTransaction();
+
+    res.status(200).json({ message: 'Product added to wishlist' });
+
+  } catch (err) {
+    console.error("Error adding to wishlist (SQL/Mongo):", err);
+    // Rollback transactions on error
+    if (sqlTransaction) await sqlTransaction.rollback();
+    if (mongoSession.inTransaction()) await mongoSession.abortTransaction();
+    
+    if (err.message === 'SQL Product not found') {
+         res.status(404).json({ message: 'Product not found' });
+    } else {
+    res.status(500).json({ message: 'Server error adding to wishlist' });
+    }
+  } finally {
+      if (mongoSession) mongoSession.endSession();
+  }
+});
+
+// Remove item from wishlist (Updates MongoDB User and SQL Product)
+app.delete('/api/users/me/wishlist/:productId', authMiddleware, async (req, res) => {
+  const { productId } = req.params; // Expecting SQL Product ID
+  const mongoUserId = req.user.id; // Mongo User ID
+
+  const sqlProductId = parseInt(productId, 10);
+  if (isNaN(sqlProductId)) {
+    return res.status(400).json({ message: 'Valid SQL Product ID is required' });
+  }
+
+  const mongoSession = await mongoose.startSession(); 
+  let sqlTransaction;
+
+  try {
+    sqlTransaction = await sequelize.transaction();
+    mongoSession.startTransaction(); 
+
+    // 1. Find Mongo User
+    const user = await User.findById(mongoUserId).session(mongoSession);
+    if (!user) {
+        throw new Error('Mongo User not found');
+    }
+    
+    // --- Use SQL Product ID (as string) for checking/removal --- 
+    const productIdString = sqlProductId.toString();
+    const isCurrentlyWishlisted = user.wishlist.map(id => id.toString()).includes(productIdString);
+
+    // 2. Update Mongo User Wishlist
+    if (isCurrentlyWishlisted) {
+        await User.updateOne({ _id: mongoUserId }, 
+            { $pull: { wishlist: productIdString } }, // Pull SQL ID as string
+            { session: mongoSession }
+        );
+    }
+
+    // 3. Update SQL Product Count (if it was actually removed)
+    if (isCurrentlyWishlisted) {
+        await SqlProduct.decrement('wishlistCount', { 
+            by: 1, 
+            where: { id: sqlProductId }, 
+            transaction: sqlTransaction 
+        });
+        console.log(`[Wishlist Remove] Decremented wishlistCount for SQL product ${sqlProductId}`);
+    } else {
+         console.log(`[Wishlist Remove] SQL Product ${sqlProductId} not found in wishlist for user ${mongoUserId}. Count not decremented.`);
+    }
+    
+    // 4. Commit transactions
+    await sqlTransaction.commit();
+    await mongoSession.commitTransaction();
+
+    res.status(200).json({ message: 'Product removed from wishlist' });
+
+  } catch (err) {
+    console.error("Error removing from wishlist (SQL/Mongo):", err);
+    if (sqlTransaction) await sqlTransaction.rollback();
+    if (mongoSession.inTransaction()) await mongoSession.abortTransaction();
+    res.status(500).json({ message: 'Server error removing from wishlist' });
+  } finally {
+      if (mongoSession) mongoSession.endSession();
+  }
+});
+
+// --- End Wishlist Routes ---
+
+// --- Saved Cart Routes ---
+// Guests keep their bag only in localStorage ('shoppingCart'). Once signed in,
+// main.js merges that bag into cart_items (PATCH with merge: true) and then
+// mirrors every 'cartUpdated' change with PUT, so the bag follows the user.
+const MAX_CART_LINE_QUANTITY = 99;
+
+function cartLineKey(productId, color, size) {
+  return `${productId}|${color}|${size}`;
+}
+
+// Matches the localStorage cart shape built on product-detail.html
+function formatCartItem(row) {
+  return {
+    id: row.productId,
+    name: row.Product.name,
+    price: parseFloat(row.Product.price), // Always the current catalog price
+    image: row.Product.image,
+    color: row.color || 'N/A',
+    size: row.size || 'N/A',
+    quantity: row.quantity
+  };
+}
+
+// Lines for products that were since deactivated stay in the table but are not returned
+async function loadSavedCart(userId) {
+  const rows = await SqlCartItem.findAll({
+    where: { userId },
+    include: [{ model: SqlProduct, attributes: ['id', 'name', 'price', 'image', 'isActive'] }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  return rows.filter(row => row.Product && row.Product.isActive).map(formatCartItem);
+}
+
+// Checks incoming lines against the catalog via repriceCart(). Lines that can't be
+// bought are skipped and reported instead of failing the request - otherwise one
+// stale line in a browser's bag would stop the rest of it from ever saving.
+// Quantity 0 is allowed only when allowRemovals is set (PATCH) and means "remove".
+async function parseCartLines(lines, { allowRemovals = false } = {}) {
+  const removals = [];
+  const skipped = [];
+  const toPrice = [];
+
+  lines.forEach((line, index) => {
+    const quantity = Number(line?.quantity);
+    if (allowRemovals && quantity === 0) {
+      const productId = parseInt(line?.id, 10);
+      if (isNaN(productId)) {
+        skipped.push({ line: index, productId: line?.id ?? null, code: 'INVALID_PRODUCT_ID', message: `Line ${index + 1}: invalid product ID.` });
+      } else {
+        removals.push({ productId, color: normalizeVariantOption(line.color), size: normalizeVariantOption(line.size) });
+      }
+      return;
+    }
+    // Name and price are display copies; the saved cart always reprices from the catalog
+    toPrice.push({ index, line: { id: line?.id, quantity: line?.quantity, color: line?.color, size: line?.size } });
+  });
+
+  let items = [];
+  if (toPrice.length > 0) {
+    const priced = await repriceCart(toPrice.map(entry => entry.line));
+    items = priced.items.map(item => ({ ...item, quantity: Math.min(item.quantity, MAX_CART_LINE_QUANTITY) }));
+    priced.errors.forEach(error => {
+      const original = toPrice[error.line];
+      skipped.push({ ...error, line: original ? original.index : error.line });
+    });
+  }
+
+  return { items, removals, skipped };
+}
+
+// Applies parsed lines to the user's cart_items in one transaction.
+//   replace: rows not in `items` are deleted (PUT)
+//   merge:   quantities become max(saved, incoming) so merging the same bag twice
+//            (e.g. logging in again on this browser) doesn't double it
+// Unchanged rows are left alone so their updatedAt keeps meaning "last touched".
+async function writeSavedCart(userId, { items, removals = [] }, { replace = false, merge = false } = {}) {
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const existingRows = await SqlCartItem.findAll({ where: { userId }, transaction, lock: transaction.LOCK.UPDATE });
+    const rowsByKey = new Map(existingRows.map(row => [cartLineKey(row.productId, row.color, row.size), row]));
+    const keptKeys = new Set();
+
+    for (const item of items) {
+      const key = cartLineKey(item.productId, item.color, item.size);
+      keptKeys.add(key);
+      const row = rowsByKey.get(key);
+      if (!row) {
+        await SqlCartItem.create({ userId, productId: item.productId, color: item.color, size: item.size, quantity: item.quantity }, { transaction });
+        continue;
+      }
+      const quantity = merge ? Math.max(row.quantity, item.quantity) : item.quantity;
+      if (quantity !== row.quantity) {
+        await row.update({ quantity }, { transaction });
+      }
+    }
+
+    for (const removal of removals) {
+      const row = rowsByKey.get(cartLineKey(removal.productId, removal.color, removal.size));
+      if (row) await row.destroy({ transaction });
+    }
+
+    if (replace) {
+      for (const [key, row] of rowsByKey) {
+        if (!keptKeys.has(key)) await row.destroy({ transaction });
+      }
+    }
+
+    await transaction.commit();
+  } catch (err) {
+    if (transaction) await transaction.rollback();
+    throw err;
+  }
+}
+
+// Cart lines come as { items: [...] } or a bare array
+function getCartLinesFromBody(body) {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.items)) return body.items;
+  return null;
+}
+
+app.get('/api/users/me/cart', authMiddleware, async (req, res) => {
+  try {
+    const items = await loadSavedCart(req.sqlUser.id);
+    res.json({ items });
+  } catch (err) {
+    console.error('[Cart] Error fetching saved cart:', err);
+    res.status(500).json({ message: 'Server error fetching cart' });
+  }
+});
+
+// Replace the whole saved cart with the browser's bag
+app.put('/api/users/me/cart', authMiddleware, async (req, res) => {
+  const lines = getCartLinesFromBody(req.body);
+  if (!lines) {
+    return res.status(400).json({ message: 'Request body must contain an items array.' });
+  }
+  try {
+    const parsed = await parseCartLines(lines);
+    await writeSavedCart(req.sqlUser.id, parsed, { replace: true });
+    const items = await loadSavedCart(req.sqlUser.id);
+    res.json({ items, skipped: parsed.skipped });
+  } catch (err) {
+    console.error('[Cart] Error replacing saved cart:', err);
+    res.status(500).json({ message: 'Server error saving cart' });
+  }
+});
+
+// Update some lines (quantity 0 removes one), or merge a guest bag with merge: true
+app.patch('/api/users/me/cart', authMiddleware, async (req, res) => {
+  const lines = getCartLinesFromBody(req.body);
+  if (!lines) {
+    return res.status(400).json({ message: 'Request body must contain an items array.' });
+  }
+  const merge = req.body?.merge === true;
+  try {
+    const parsed = await parseCartLines(lines, { allowRemovals: !merge });
+    await writeSavedCart(req.sqlUser.id, parsed, { merge });
+    const items = await loadSavedCart(req.sqlUser.id);
+    res.json({ items, skipped: parsed.skipped });
+  } catch (err) {
+    console.error('[Cart] Error updating saved cart:', err);
+    res.status(500).json({ message: 'Server error saving cart' });
+  }
+});
+
+app.delete('/api/users/me/cart', authMiddleware, async (req, res) => {
+  try {
+    await SqlCartItem.destroy({ where: { userId: req.sqlUser.id } });
+    res.json({ items: [] });
+  } catch (err) {
+    console.error('[Cart] Error clearing saved cart:', err);
+    res.status(500).json({ message: 'Server error clearing cart' });
+  }
+});
+// --- End Saved Cart Routes ---
+
+// --- Address Book Routes ---
+// A user's saved delivery addresses (SqlUserAddress). The first address saved becomes
+// the default; deleting the default hands the flag to the oldest remaining address.
+const MAX_ADDRESSES_PER_USER = 20;
+const ADDRESS_REQUIRED_FIELDS = ['firstName', 'lastName', 'address', 'city', 'zipCode', 'country'];
+const ADDRESS_OPTIONAL_FIELDS = ['label', 'company', 'aptSuite', 'state'];
+const ADDRESS_FIELD_MAX_LENGTH = { label: 50, zipCode: 20 }; // Others: 255
+
+// Postal code format per country: pattern on the trimmed, upper-cased value and how it's
+// stored. Countries not listed accept any 2-10 letters, digits, spaces or dashes.
+const POSTAL_CODE_FORMATS = {
+    US: { pattern: /^\d{5}(-\d{4})?$/, example: '12345 or 12345-6789' },
+    CA: { pattern: /^[ABCEGHJ-NPRSTVXY]\d[A-Z] ?\d[A-Z]\d$/, example: 'K1A 0B1', normalize: code => code.replace(/^(\w{3}) ?(\w{3})$/, '$1 $2') },
+    GB: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, example: 'SW1A 1AA', normalize: code => code.replace(/^(\S+?) ?(\d[A-Z]{2})$/, '$1 $2') },
+    DE: { pattern: /^\d{5}$/, example: '10115' },
+    FR: { pattern: /^\d{5}$/, example: '75001' },
+    AU: { pattern: /^\d{4}$/, example: '2000' }
+};
+const DEFAULT_POSTAL_CODE_PATTERN = /^[A-Z0-9][A-Z0-9 -]{0,8}[A-Z0-9]$/;
+const COUNTRIES_REQUIRING_STATE = ['US', 'CA', 'AU'];
+
+// Validates a create (POST) or replace (PUT) body. Returns { values, errors } with
+// values ready for SqlUserAddress.
+function validateAddressInput(body) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+
+    [...ADDRESS_REQUIRED_FIELDS, ...ADDRESS_OPTIONAL_FIELDS].forEach(field => {
+        const raw = body[field];
+        const value = typeof raw === 'string' ? raw.trim() : raw;
+        const required = ADDRESS_REQUIRED_FIELDS.includes(field);
+        if (value === undefined || value === null || value === '') {
+            if (required) errors.push({ field, message: `${field} is required` });
+            else values[field] = null;
+            return;
+        }
+        if (typeof value !== 'string') {
+            errors.push({ field, message: `${field} must be a string` });
+            return;
+        }
+        if (value.length > (ADDRESS_FIELD_MAX_LENGTH[field] || 255)) {
+            errors.push({ field, message: `${field} must be at most ${ADDRESS_FIELD_MAX_LENGTH[field] || 255} characters` });
+            return;
+        }
+        values[field] = value;
+    });
+
+    if (values.country !== undefined) {
+        values.country = values.country.toUpperCase();
+        if (!/^[A-Z]{2}$/.test(values.country)) {
+            errors.push({ field: 'country', message: 'country must be a 2-letter ISO code' });
+        }
+    }
+    if (values.state) {
+        values.state = values.state.toUpperCase();
+        if (!REGION_CODE_PATTERN.test(values.state)) {
+            errors.push({ field: 'state', message: 'state must be a state/province code' });
+        }
+    } else if (COUNTRIES_REQUIRING_STATE.includes(values.country)) {
+        errors.push({ field: 'state', message: `state is required for ${values.country} addresses` });
+    }
+    if (values.zipCode !== undefined && values.country) {
+        const zipCode = values.zipCode.toUpperCase().replace(/\s+/g, ' ');
+        const format = POSTAL_CODE_FORMATS[values.country];
+        if (format ? !format.pattern.test(zipCode) : !DEFAULT_POSTAL_CODE_PATTERN.test(zipCode)) {
+            errors.push({ field: 'zipCode', message: format ? `Enter a ${values.country} postal code like ${format.example}` : 'Enter a valid postal code' });
+        } else {
+            values.zipCode = format?.normalize ? format.normalize(zipCode) : zipCode;
+        }
+    }
+
+    if (body.isDefaultShipping !== undefined) values.isDefaultShipping = body.isDefaultShipping === true;
+    return { values, errors };
+}
+
+function formatUserAddress(address) {
+    const json = address.toJSON();
+    delete json.userId;
+    return json;
+}
+
+async function findUserAddress(userId, rawId, options = {}) {
+    const id = parseInt(rawId, 10);
+    if (isNaN(id)) return null;
+    return SqlUserAddress.findOne({ where: { id, userId }, transaction: options.transaction });
+}
+
+// Default first, then most recently changed
+async function listUserAddresses(userId) {
+    const addresses = await SqlUserAddress.findAll({
+        where: { userId },
+        order: [['isDefaultShipping', 'DESC'], ['updatedAt', 'DESC'], ['id', 'DESC']]
+    });
+    return addresses.map(formatUserAddress);
+}
+
+// Clears isDefaultShipping on the user's other addresses
+async function clearDefaultShippingAddress(userId, exceptId, transaction) {
+    await SqlUserAddress.update(
+        { isDefaultShipping: false },
+        { where: { userId, isDefaultShipping: true, id: { [Sequelize.Op.ne]: exceptId } }, transaction }
+    );
+}
+
+app.get('/api/users/me/addresses', authMiddleware, async (req, res) => {
+  try {
+    res.json(await listUserAddresses(req.sqlUser.id));
+  } catch (err) {
+    console.error('[Addresses] Error fetching addresses:', err);
+    res.status(500).json({ message: 'Server error fetching addresses' });
+  }
+});
+
+app.post('/api/users/me/addresses', authMiddleware, async (req, res) => {
+  const { values, errors } = validateAddressInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Invalid address', errors });
+  }
+  const userId = req.sqlUser.id;
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const existingCount = await SqlUserAddress.count({ where: { userId }, transaction });
+    if (existingCount >= MAX_ADDRESSES_PER_USER) {
+      await transaction.rollback();
+      return res.status(409).json({ message: `You can save up to ${MAX_ADDRESSES_PER_USER} addresses. Remove one to add another.` });
+    }
+    const address = await SqlUserAddress.create({
+      ...values,
+      userId,
+      isDefaultShipping: existingCount === 0 || values.isDefaultShipping === true
+    }, { transaction });
+    if (address.isDefaultShipping) {
+      await clearDefaultShippingAddress(userId, address.id, transaction);
+    }
+    await transaction.commit();
+    res.status(201).json(formatUserAddress(address));
+  } catch (err) {
+    if (transaction) await transaction.rollback();
+    console.error('[Addresses] Error creating address:', err);
+    res.status(500).json({ message: 'Server error saving address' });
+  }
+});
+
+// Replace an address. Omitting isDefaultShipping keeps the current flag; the default
+// can't be turned off directly (make another address the default instead).
+app.put('/api/users/me/addresses/:id', authMiddleware, async (req, res) => {
+  const { values, errors } = validateAddressInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Invalid address', errors });
+  }
+  const userId = req.sqlUser.id;
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const address = await findUserAddress(userId, req.params.id, { transaction });
+    if (!address) {
+      await transaction.rollback();
+      return res.status(404).json({ message: 'Address not found' });
+    }
+    if (values.isDefaultShipping === false && address.isDefaultShipping) {
+      delete values.isDefaultShipping;
+    }
+    await address.update(values, { transaction });
+    if (address.isDefaultShipping) {
+      await clearDefaultShippingAddress(userId, address.id, transaction);
+    }
+    await transaction.commit();
+    res.json(formatUserAddress(address));
+  } catch (err) {
+    if (transaction) await transaction.rollback();
+    console.error(`[Addresses] Error updating address ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Server error saving address' });
+  }
+});
+
+app.delete('/api/users/me/addresses/:id', authMiddleware, async (req, res) => {
+  const userId = req.sqlUser.id;
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const address = await findUserAddress(userId, req.params.id, { transaction });
+    if (!address) {
+      await transaction.rollback();
+      return res.status(404).json({ message: 'Address not found' });
+    }
+    await address.destroy({ transaction });
+    if (address.isDefaultShipping) {
+      const nextDefault = await SqlUserAddress.findOne({ where: { userId }, order: [['createdAt', 'ASC'], ['id', 'ASC']], transaction });
+      if (nextDefault) await nextDefault.update({ isDefaultShipping: true }, { transaction });
+    }
+    await transaction.commit();
+    res.json(await listUserAddresses(userId));
+  } catch (err) {
+    if (transaction) await transaction.rollback();
+    console.error(`[Addresses] Error deleting address ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Server error deleting address' });
+  }
+});
+// --- End Address Book Routes ---
+
+// --- Loyalty Ledger Helpers ---
+// Writes one loyalty_transactions row and moves the cached SqlUser.loyaltyPoints
+// balance with it. Must run inside the caller's transaction; the user row is locked
+// so concurrent earn/redeem entries can't compute balanceAfter from a stale value.
+// Debits that would take the balance below zero throw (status 409) unless
+// clampToBalance is set, in which case only what's left is taken (returns null if
+// nothing was). Use that for reversals/expiry of points that may already be spent.
+// A hold ({ key, expiresAt }) writes the entry as 'pending' (see holdLoyaltyPoints).
+async function recordLoyaltyTransaction(userId, { type, points, orderId = null, actorUserId = null, reason = null, clampToBalance = false, hold = null }, transaction) {
+    const user = await SqlUser.findByPk(userId, { attributes: ['id', 'loyaltyPoints'], transaction, lock: transaction.LOCK.UPDATE });
+    if (!user) {
+        const error = new Error(`User ${userId} not found`);
+        error.status = 404;
+        throw error;
+    }
+
+    let amount = points;
+    if (user.loyaltyPoints + amount < 0) {
+        if (!clampToBalance) {
+            const error = new Error(`Not enough loyalty points: balance is ${user.loyaltyPoints}, ${-amount} needed.`);
+            error.status = 409;
+            throw error;
+        }
+        amount = -user.loyaltyPoints;
+    }
+    if (amount === 0) return null;
+
+    const balanceAfter = user.loyaltyPoints + amount;
+    await SqlUser.update({ loyaltyPoints: balanceAfter }, { where: { id: userId }, transaction });
+    const entry = await SqlLoyaltyTransaction.create({
+        userId, type, points: amount, balanceAfter, orderId, actorUserId, reason,
+        ...(hold ? { status: 'pending', holdKey: hold.key, expiresAt: hold.expiresAt } : {})
+    }, { transaction });
+    console.log(`[Loyalty] User ${userId}: ${type} ${amount > 0 ? '+' : ''}${amount} -> ${balanceAfter}${orderId ? ` (order ${orderId})` : ''}`);
+    return entry;
+}
+
+// Undoes an order's loyalty entries when it is refunded or cancelled after payment:
+// points it earned are taken back (net of earlier reversals) and points redeemed on
+// it are returned. Both are 'refund_reversal' entries; the sign tells them apart.
+async function reverseOrderLoyaltyPoints(order, { actorUserId = null, reason, transaction }) {
+    const entries = await SqlLoyaltyTransaction.findAll({
+        where: { orderId: order.id },
+        attributes: ['type', 'points'],
+        transaction
+    });
+    const sumOf = (predicate) => entries.filter(predicate).reduce((sum, entry) => sum + entry.points, 0);
+    const earnedToReverse = sumOf(e => e.type === 'earn') + sumOf(e => e.type === 'refund_reversal' && e.points < 0);
+    const redeemedToReturn = -sumOf(e => e.type === 'redeem') - sumOf(e => e.type === 'refund_reversal' && e.points > 0);
+    const label = reason || `Order #${order.id} ${order.status.toLowerCase()}`;
+
+    // Return redeemed points first so they can cover the earned points being taken back
+    if (redeemedToReturn > 0) {
+        await recordLoyaltyTransaction(order.userId, {
+            type: 'refund_reversal',
+            points: redeemedToReturn,
+            orderId: order.id,
+            actorUserId,
+            reason: `${label}: redeemed points returned`
+        }, transaction);
+    }
+    if (earnedToReverse > 0) {
+        await recordLoyaltyTransaction(order.userId, {
+            type: 'refund_reversal',
+            points: -earnedToReverse,
+            orderId: order.id,
+            actorUserId,
+            reason: label,
+            clampToBalance: true
+        }, transaction);
+    }
+}
+
+// Points redemption at checkout: every LOYALTY_REDEEM_POINTS_STEP points is worth
+// LOYALTY_REDEEM_STEP_VALUE dollars off (default 100 pts = $5), at most
+// LOYALTY_REDEEM_MAX_POINTS per order.
+const LOYALTY_REDEMPTION = {
+    pointsStep: parseInt(process.env.LOYALTY_REDEEM_POINTS_STEP, 10) || 100,
+    stepValue: parseFloat(process.env.LOYALTY_REDEEM_STEP_VALUE) || 5,
+    maxPointsPerOrder: parseInt(process.env.LOYALTY_REDEEM_MAX_POINTS, 10) || 1000
+};
+// Smallest amount Stripe will charge, in units of the charge currency (Stripe's published
+// minimums); other currencies fall back to DEFAULT_STRIPE_MINIMUM_CHARGE.
+const STRIPE_MINIMUM_CHARGES = {
+    USD: 0.50, CAD: 0.50, EUR: 0.50, AUD: 0.50, NZD: 0.50, CHF: 0.50, SGD: 0.50,
+    GBP: 0.30, DKK: 2.50, NOK: 3.00, SEK: 3.00, PLN: 2.00, HKD: 4.00, MXN: 10, JPY: 50
+};
+const DEFAULT_STRIPE_MINIMUM_CHARGE = 0.50;
+
+function getStripeMinimumCharge(currency) {
+    return STRIPE_MINIMUM_CHARGES[currency.code] ?? DEFAULT_STRIPE_MINIMUM_CHARGE;
+}
+
+// Validates a points redemption against the user's balance and what's left to pay
+// (options.amountDue = subtotal after any promotion discount, in BASE_CURRENCY; options.currency
+// = the currency Stripe will charge in, whose minimum the remainder must still reach).
+// Resolves like validatePromotionForUser: { valid: true, points, discountAmount } or { valid: false, status, message }.
+function validateLoyaltyRedemption(rawPoints, sqlUser, { amountDue, currency = baseCurrencyInfo() }) {
+    const points = Number(rawPoints);
+    const { pointsStep, stepValue, maxPointsPerOrder } = LOYALTY_REDEMPTION;
+    if (!Number.isInteger(points) || points < 0) {
+        return { valid: false, status: 400, message: 'Points to redeem must be a whole number.' };
+    }
+    if (points % pointsStep !== 0) {
+        return { valid: false, status: 400, message: `Points can only be redeemed in steps of ${pointsStep}.` };
+    }
+    if (points > maxPointsPerOrder) {
+        return { valid: false, status: 400, message: `You can redeem at most ${maxPointsPerOrder} points per order.` };
+    }
+    if (points > sqlUser.loyaltyPoints) {
+        return { valid: false, status: 400, message: `You only have ${sqlUser.loyaltyPoints} points.` };
+    }
+    const discountAmount = Math.round((points / pointsStep) * stepValue * 100) / 100;
+    if (convertFromBase(amountDue - discountAmount, currency) < getStripeMinimumCharge(currency)) {
+        return { valid: false, status: 400, message: `That many points would cover more than your order total. Try fewer points.` };
+    }
+    return { valid: true, points, discountAmount };
+}
+
+// Startup check that the cached balances match the ledger. Users whose points
+// predate the ledger get an opening 'adjust' entry; any other drift is logged and
+// the cached balance is reset to the ledger total (the ledger wins).
+async function reconcileLoyaltyBalances() {
+    const totals = await SqlLoyaltyTransaction.findAll({
+        attributes: ['userId', [sequelize.fn('SUM', sequelize.col('points')), 'total']],
+        group: ['userId'],
+        raw: true
+    });
+    const ledgerTotals = new Map(totals.map(row => [row.userId, parseInt(row.total, 10) || 0]));
+    const users = await SqlUser.findAll({ attributes: ['id', 'loyaltyPoints'] });
+
+    let openedCount = 0, correctedCount = 0;
+    for (const user of users) {
+        if (!ledgerTotals.has(user.id)) {
+            if (user.loyaltyPoints > 0) {
+                await SqlLoyaltyTransaction.create({
+                    userId: user.id,
+                    type: 'adjust',
+                    points: user.loyaltyPoints,
+                    balanceAfter: user.loyaltyPoints,
+                    reason: 'Opening balance (points earned before the ledger)'
+                });
+                openedCount++;
+            }
+            continue;
+        }
+        const ledgerTotal = ledgerTotals.get(user.id);
+        if (ledgerTotal !== user.loyaltyPoints) {
+            console.warn(`[Loyalty] User ${user.id} balance ${user.loyaltyPoints} differs from ledger total ${ledgerTotal}; using the ledger.`);
+            await SqlUser.update({ loyaltyPoints: ledgerTotal }, { where: { id: user.id } });
+            correctedCount++;
+        }
+    }
+    if (openedCount > 0) console.log(`[Loyalty] Opened ledger balances for ${openedCount} user(s).`);
+    if (correctedCount > 0) console.log(`[Loyalty] Corrected ${correctedCount} cached balance(s) from the ledger.`);
+}
+
+function formatLoyaltyTransaction(entry) {
+    return {
+        id: entry.id,
+        type: entry.type,
+        points: entry.points,
+        balanceAfter: entry.balanceAfter,
+        orderId: entry.orderId,
+        reason: entry.reason,
+        status: entry.status,
+        createdAt: entry.createdAt
+    };
+}
+
+// --- Checkout Points Holds ---
+// Redeemed points are debited when the checkout session is created, as a 'pending'
+// redeem entry, so a second session or the expiry job can't spend them again before
+// payment. fulfillOrderSql posts the entry against the order; an expired or failed
+// session releases it (the entry is marked 'released' and a 'hold_release' entry
+// credits the points back, so the ledger stays append-only).
+// Holds last as long as stock reservations (STOCK_RESERVATION_MINUTES).
+
+// Throws (status 409) when the balance no longer covers the points.
+// Returns { holdKey, expiresAt }.
+async function holdLoyaltyPoints(userId, points, reason) {
+    const holdKey = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000);
+    const transaction = await sequelize.transaction();
+    try {
+        await recordLoyaltyTransaction(userId, {
+            type: 'redeem',
+            points: -points,
+            reason,
+            hold: { key: holdKey, expiresAt }
+        }, transaction);
+        await transaction.commit();
+        return { holdKey, expiresAt };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+// Posts a held redeem entry against the paid order. Runs inside the fulfillment
+// transaction. Returns the entry, or null when the hold was already released.
+async function confirmLoyaltyHold(holdKey, orderId, reason, transaction) {
+    const entry = await SqlLoyaltyTransaction.findOne({
+        where: { holdKey, status: 'pending' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    if (!entry) return null;
+    await entry.update({ status: 'posted', orderId, reason, expiresAt: null }, { transaction });
+    console.log(`[Loyalty] User ${entry.userId}: hold ${holdKey} (${entry.points}) posted to order ${orderId}`);
+    return entry;
+}
+
+// Gives held points back (abandoned/expired/failed checkout). Safe to call twice.
+async function releaseLoyaltyHold(holdKey, reason) {
+    const pending = await SqlLoyaltyTransaction.findOne({ where: { holdKey, status: 'pending' }, attributes: ['userId'] });
+    if (!pending) return;
+
+    const transaction = await sequelize.transaction();
+    try {
+        // User first, as recordLoyaltyTransaction locks it, then re-read the entry
+        await SqlUser.findByPk(pending.userId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+        const entry = await SqlLoyaltyTransaction.findOne({ where: { holdKey, status: 'pending' }, transaction, lock: transaction.LOCK.UPDATE });
+        if (entry) {
+            await entry.update({ status: 'released', expiresAt: null }, { transaction });
+            await recordLoyaltyTransaction(entry.userId, {
+                type: 'hold_release',
+                points: -entry.points,
+                reason: `Held points returned (${reason})`
+            }, transaction);
+        }
+        await transaction.commit();
+        if (entry) {
+            console.log(`[Loyalty] User ${entry.userId}: released hold ${holdKey} (${-entry.points} points, ${reason})`);
+        }
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+}
+
+// Safety net for missed checkout.session.expired webhooks
+async function releaseExpiredLoyaltyHolds() {
+    const expired = await SqlLoyaltyTransaction.findAll({
+        where: { status: 'pending', expiresAt: { [Sequelize.Op.lt]: new Date() } },
+        attributes: ['holdKey']
+    });
+    for (const { holdKey } of expired) {
+        await releaseLoyaltyHold(holdKey, 'expired');
+    }
+    return expired.length;
+}
+// --- End Checkout Points Holds ---
+// --- End Loyalty Ledger Helpers ---
+
+// --- Loyalty Tier Engine ---
+// The only place tiers are evaluated. Promotions, checkout earning and /api/users/me
+// all go through evaluateUserTier() so they can't disagree.
+const LOYALTY_TIER_CACHE_MS = 60 * 1000;
+// Orders that count as spend (not Pending, not cancelled/refunded)
+const QUALIFYING_ORDER_STATUSES = ['Paid', 'Processing', 'Shipped', 'Delivered'];
+let loyaltyTierCache = { tiers: null, loadedAt: 0 };
+
+function formatLoyaltyTier(tier) {
+    return {
+        id: tier.id,
+        name: tier.name,
+        rank: tier.rank,
+        qualificationMetric: tier.qualificationMetric,
+        threshold: parseFloat(tier.threshold),
+        windowMonths: tier.windowMonths,
+        earnMultiplier: parseFloat(tier.earnMultiplier)
+    };
+}
+
+// Active tiers, lowest rank first. Cached briefly; admin edits call invalidateLoyaltyTierCache().
+async function getLoyaltyTiers() {
+    if (loyaltyTierCache.tiers && Date.now() - loyaltyTierCache.loadedAt < LOYALTY_TIER_CACHE_MS) {
+        return loyaltyTierCache.tiers;
+    }
+    const tiers = await SqlLoyaltyTier.findAll({ where: { isActive: true }, order: [['rank', 'ASC']] });
+    loyaltyTierCache = { tiers: tiers.map(formatLoyaltyTier), loadedAt: Date.now() };
+    return loyaltyTierCache.tiers;
+}
+
+function invalidateLoyaltyTierCache() {
+    loyaltyTierCache = { tiers: null, loadedAt: 0 };
+}
+
+function getTierWindowStart(windowMonths) {
+    if (!windowMonths) return null;
+    const start = new Date();
+    start.setMonth(start.getMonth() - windowMonths);
+    return start;
+}
+
+// Value of one qualification metric for a user. Points metrics count points earned
+// (net of refund reversals), not the spendable balance, so redeeming doesn't cost a tier.
+async function getTierMetricValue(userId, metric, windowMonths, transaction) {
+    const { Op } = Sequelize;
+    const windowStart = metric === 'lifetime_points' ? null : getTierWindowStart(windowMonths);
+
+    if (metric === 'spend_in_window') {
+        // Merchandise spend after discounts; shipping and tax don't count towards a tier
+        const where = { userId, status: QUALIFYING_ORDER_STATUSES };
+        if (windowStart) where.orderDate = { [Op.gte]: windowStart };
+        const spend = await SqlOrder.findOne({
+            attributes: [[sequelize.fn('SUM', sequelize.literal('subTotal - discountAmount')), 'spend']],
+            where,
+            raw: true,
+            transaction
+        });
+        return parseFloat((spend && spend.spend) || 0);
+    }
+
+    const where = {
+        userId,
+        [Op.or]: [{ type: 'earn' }, { type: 'refund_reversal', points: { [Op.lt]: 0 } }]
+    };
+    if (windowStart) where.createdAt = { [Op.gte]: windowStart };
+    return (await SqlLoyaltyTransaction.sum('points', { where, transaction })) || 0;
+}
+
+// Returns { tier, nextTier, progress } for a user:
+//   tier      - the tier they're in (formatLoyaltyTier shape), null if no tiers exist
+//   nextTier  - the next tier up, null at the top
+//   progress  - { metric, windowMonths, current, required, remaining, percent } towards nextTier
+// options.persist stores the tier name on SqlUser.loyaltyTier when it changed.
+async function evaluateUserTier(userId, { transaction, persist = false } = {}) {
+    const tiers = await getLoyaltyTiers();
+    if (tiers.length === 0) {
+        // No active tiers left: nobody is in one any more
+        if (persist) await SqlUser.update({ loyaltyTier: null }, { where: { id: userId, loyaltyTier: { [Sequelize.Op.ne]: null } }, transaction });
+        return { tier: null, nextTier: null, progress: null };
+    }
+
+    // Each distinct metric/window pair is queried once
+    const metricValues = new Map();
+    const valueFor = async (tier) => {
+        const key = `${tier.qualificationMetric}|${tier.windowMonths || ''}`;
+        if (!metricValues.has(key)) {
+            metricValues.set(key, await getTierMetricValue(userId, tier.qualificationMetric, tier.windowMonths, transaction));
+        }
+        return metricValues.get(key);
+    };
+
+    let tier = tiers[0];
+    for (const candidate of tiers) {
+        if (await valueFor(candidate) >= candidate.threshold) tier = candidate;
+    }
+    const nextTier = tiers.find(candidate => candidate.rank > tier.rank) || null;
+
+    let progress = null;
+    if (nextTier) {
+        const current = Math.round(await valueFor(nextTier) * 100) / 100;
+        progress = {
+            metric: nextTier.qualificationMetric,
+            windowMonths: nextTier.windowMonths,
+            current,
+            required: nextTier.threshold,
+            remaining: Math.max(Math.round((nextTier.threshold - current) * 100) / 100, 0),
+            percent: nextTier.threshold > 0 ? Math.min(Math.floor((current / nextTier.threshold) * 100), 100) : 100
+        };
+    }
+
+    if (persist) {
+        const storedUser = await SqlUser.findByPk(userId, { transaction });
+        if (storedUser && storedUser.loyaltyTier !== tier.name) {
+            const previousTier = tiers.find(candidate => candidate.name === storedUser.loyaltyTier);
+            await storedUser.update({ loyaltyTier: tier.name }, { transaction });
+            // A move up from a known tier earns a 'tier_upgrade' personalized offer
+            if (previousTier && previousTier.rank < tier.rank) {
+                await generatePersonalizedOffers(storedUser, { ruleKeys: ['tier_upgrade'], context: { tierName: tier.name }, notify: true, transaction });
+            }
+        }
+    }
+    return { tier, nextTier, progress };
+}
+
+// True when userTier is requiredTierName or ranks above it. Unknown/inactive
+// required tiers never match, so a misconfigured promotion stays closed.
+async function tierMeetsRequirement(userTier, requiredTierName) {
+    if (!requiredTierName) return true;
+    const tiers = await getLoyaltyTiers();
+    const required = tiers.find(tier => tier.name === requiredTierName);
+    return Boolean(userTier && required && userTier.rank >= required.rank);
+}
+// --- End Loyalty Tier Engine ---
+
+// --- Loyalty Points API Endpoint (Refactored) ---
+// Balance plus the ledger history, newest first (paginated like order history)
+app.get('/api/users/me/loyalty', authMiddleware, async (req, res) => {
+    const pagination = parsePaginationParams(req.query, 10);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
+
+    try {
+        // User is already fetched and attached by authMiddleware as req.sqlUser
+        const sqlUser = req.sqlUser;
+        if (!sqlUser) {
+            // Should be caught by authMiddleware, but double-check
+             console.error('[GET /api/users/me/loyalty] req.sqlUser not found after authMiddleware.');
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { Op } = Sequelize;
+        const whereOptions = { userId: sqlUser.id };
+        const orderOptions = [['createdAt', 'DESC'], ['id', 'DESC']];
+        if (pagination.cursor) {
+            const [cursorDate, cursorId] = pagination.cursor;
+            whereOptions[Op.and] = [buildKeysetWhere(orderOptions, [new Date(cursorDate), cursorId])];
+        }
+
+        const count = await SqlLoyaltyTransaction.count({ where: { userId: sqlUser.id } });
+        const entries = await SqlLoyaltyTransaction.findAll({
+            where: whereOptions,
+            order: orderOptions,
+            limit: pagination.pageSize + 1,
+            offset: pagination.offset
+        });
+        const { rows, meta } = paginateResult(req, res, entries, orderOptions, pagination, count);
+
+        res.json({
+            loyaltyPoints: sqlUser.loyaltyPoints,
+            // For the checkout points control; minimumCharges are in each charge currency's units
+            redemption: { ...LOYALTY_REDEMPTION, minimumCharges: STRIPE_MINIMUM_CHARGES, defaultMinimumCharge: DEFAULT_STRIPE_MINIMUM_CHARGE },
+            transactions: rows.map(formatLoyaltyTransaction),
+            ...meta // totalCount, page, pageSize, totalPages, hasMore, nextCursor
+        });
+    } catch (error) {
+        console.error("Error fetching loyalty points from SQL user:", error);
+        res.status(500).json({ message: 'Error fetching loyalty points' });
+    }
+});
+
+// --- User Notification Endpoints ---
+// Newest first; unreadCount covers all notifications, not just this page
+app.get('/api/users/me/notifications', authMiddleware, async (req, res) => {
+    try {
+        const [notifications, unreadCount] = await Promise.all([
+            SqlUserNotification.findAll({
+                where: { userId: req.sqlUser.id },
+                order: [['createdAt', 'DESC'], ['id', 'DESC']],
+                limit: 20
+            }),
+            SqlUserNotification.count({ where: { userId: req.sqlUser.id, readAt: null } })
+        ]);
+        res.json({ notifications, unreadCount });
+    } catch (error) {
+        console.error('[Notifications] Error fetching notifications:', error);
+        res.status(500).json({ message: 'Error fetching notifications' });
+    }
+});
+
+app.post('/api/users/me/notifications/:id/read', authMiddleware, async (req, res) => {
+    const notificationId = parseInt(req.params.id, 10);
+    if (isNaN(notificationId)) {
+        return res.status(400).json({ message: 'Invalid notification ID format' });
+    }
+    try {
+        const notification = await SqlUserNotification.findOne({ where: { id: notificationId, userId: req.sqlUser.id } });
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+        if (!notification.readAt) {
+            await notification.update({ readAt: new Date() });
+        }
+        res.json(notification);
+    } catch (error) {
+        console.error('[Notifications] Error marking notification read:', error);
+        res.status(500).json({ message: 'Error updating notification' });
+    }
+});
+// --- End User Notification Endpoints ---
+
+// --- Checkout Route (Protected - Creates Stripe Session, Needs Order Refactor) ---
+app.post('/api/checkout', authMiddleware, async (req, res) => {
+  console.log("[Checkout Route] Received request");
+  const { cart, shippingAddress, appliedPromoCode } = req.body; // Add appliedPromoCode
+  const sqlUserId = req.sqlUser?.id; // Use SQL User ID from middleware
+
+  if (!sqlUserId) {
+    return res.status(401).json({ message: 'User not authenticated or SQL user ID missing.' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Reprice the cart from the catalog - client prices are never trusted
+    const { items: pricedItems, subTotal, errors: cartErrors } = await repriceCart(cart);
+    if (cartErrors.length > 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return sendCartErrors(res, cartErrors);
+    }
+    const orderItems = pricedItems.map(item => ({
+        product: item.productId, // Changed from productId to product to match schema
+        name: item.name, // Catalog name
+        price: item.price, // Catalog price
+        quantity: item.quantity,
+        // color: item.color, // Color/Size not in OrderItemSchema, add if needed
+        // size: item.size
+    }));
+
+    let discountAmount = 0;
+    let finalTotal = subTotal;
+    let validatedPromoCode = null;
+
+    // --- Apply Promotion Code if provided (shared validation with /api/apply-promotion) ---
+    if (appliedPromoCode) {
+        const promoResult = await validatePromotionForUser(appliedPromoCode, req.sqlUser, { subTotal });
+        if (promoResult.valid) {
+            validatedPromoCode = promoResult.promotion.code; // Store validated code
+            discountAmount = calculatePromotionDiscount(promoResult.promotion, subTotal);
+            finalTotal = subTotal - discountAmount;
+        } else {
+            // If code provided but invalid during final checkout, reject the order
+            console.warn(`[Checkout Route] Promo code "${appliedPromoCode}" invalid at final checkout: ${promoResult.message}`);
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(promoResult.status).json({ message: promoResult.message });
+        }
+    }
+    // --- End Apply Promotion Code --- 
+
+    // Create the new order with updated totals and promo info
+    const newOrder = new Order({
+        user: sqlUserId, 
+        items: orderItems,
+        subTotal: subTotal, // Store subtotal
+        appliedPromoCode: validatedPromoCode, // Store validated code or null
+        discountAmount: discountAmount, // Store discount amount
+        totalAmount: finalTotal, // Store final amount
+        shippingAddress: shippingAddress,
+        stripeSessionId: session.id // Store session ID for idempotency
+    });
+
+    await newOrder.save({ session });
+    console.log(`[Checkout Route] Order ${newOrder._id} created for user ${sqlUserId}`);
+
+    // --- Award Loyalty Points (Based on FINAL amount paid) --- 
+    const pointsEarned = Math.floor(finalTotal); // Base points on the final discounted amount
+    console.log(`[Checkout Route] Awarding ${pointsEarned} loyalty points to user ${sqlUserId}`);
+    await User.findByIdAndUpdate(sqlUserId, 
+        { $inc: { loyaltyPoints: pointsEarned } }, 
+        { session } 
+    );
+    console.log(`[Checkout Route] Loyalty points updated for user ${sqlUserId}`);
+    
+    // --- Update Promotion Usage Count --- 
+    if (validatedPromoCode) {
+        await Promotion.updateOne(
+            { code: validatedPromoCode }, 
+            { $inc: { usageCount: 1 } },
+            { session }
+        );
+         console.log(`[Checkout Route] Usage count incremented for promo code ${validatedPromoCode}`);
+         // TODO: Add user-specific usage tracking if needed
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ message: 'Order placed successfully!', orderId: newOrder._id });
+
+  } catch (error) {
+    // If an error occurred, abort the whole transaction
+    // Need to check if session exists before aborting/ending
+    if (session && session.inTransaction()) {
+         await session.abortTransaction();
+         session.endSession();
+    }    
+    console.error("[Checkout Route] Error processing order:", error);
+    // Send a more specific error if it's a validation issue from item mapping
+    if (error.message.startsWith('Cart item is missing')) {
+         return res.status(400).json({ message: error.message });
+    }
+    // Check for promo validation error message
+    if (error.message.includes('promotion code applied during checkout') || error.message.includes('Invalid promotion code') || error.message.includes('tier requirement') || error.message.includes('already used')) {
+         return res.status(400).json({ message: error.message }); 
+    }
+    res.status(500).json({ message: 'Failed to process order.' });
+  }
+});
+
+// SqlOrder instance (with items + product included) -> API JSON with numeric amounts in
+// currency (default BASE_CURRENCY). The currency the order was paid in is converted at
+// the rate charged at checkout, any other at today's rate.
+function formatSqlOrder(order, currency = baseCurrencyInfo()) {
+    const orderJson = order.toJSON();
+    const rate = currency.code === orderJson.currency ? parseFloat(orderJson.exchangeRate) : currency.rate;
+
+    orderJson.chargedCurrency = orderJson.currency;
+    orderJson.chargedAmount = orderJson.chargedAmount !== null && orderJson.chargedAmount !== undefined
+        ? parseFloat(orderJson.chargedAmount)
+        : null; // Orders from before multi-currency checkout
+    orderJson.currency = currency.code;
+    orderJson.exchangeRate = rate;
+
+    // Parse top-level order prices (DECIMAL -> number) and convert
+    ['subTotal', 'discountAmount', 'loyaltyDiscountAmount', 'shippingAmount', 'taxAmount', 'totalAmount'].forEach(field => {
+        if (orderJson[field] !== null && orderJson[field] !== undefined) {
+            orderJson[field] = convertFromBase(parseFloat(orderJson[field]), currency, rate);
+        }
+    });
+    orderJson.formattedSubTotal = formatMoney(orderJson.subTotal, currency);
+    orderJson.formattedDiscountAmount = formatMoney(orderJson.discountAmount, currency);
+    orderJson.formattedShippingAmount = formatMoney(orderJson.shippingAmount, currency);
+    orderJson.formattedTaxAmount = formatMoney(orderJson.taxAmount, currency);
+    if (orderJson.taxRate !== null && orderJson.taxRate !== undefined) orderJson.taxRate = parseFloat(orderJson.taxRate);
+    orderJson.formattedTotalAmount = formatMoney(orderJson.totalAmount, currency);
+
+    orderJson.items = (orderJson.items || []).map(item => {
+        // Expose the included product as item.product (Sequelize keys it by model name)
+        const productData = item.Product || item.SqlProduct;
+        if (productData) {
+             item.product = productData;
+             delete item.Product;
+             delete item.SqlProduct;
+        }
+
+        // Parse item price (DECIMAL -> number) and convert
+        if (item.price !== null && item.price !== undefined) {
+            item.price = convertFromBase(parseFloat(item.price), currency, rate);
+            item.formattedPrice = formatMoney(item.price, currency);
+        }
+
+        return item;
+    });
+    return orderJson;
+}
+
+// Currency info for the currency an order was paid in (its stored rate is used for it)
+function orderChargedCurrency(order, rates) {
+    return rates.get(order.currency) || { ...baseCurrencyInfo(), code: order.currency, name: order.currency };
+}
+
+// --- Get User Orders Route (Refactored for SQL) ---
+app.get('/api/users/me/orders', authMiddleware, async (req, res) => {
+  // Use SQL User ID from auth middleware
+  const sqlUserId = req.sqlUser?.id; 
+  if (!sqlUserId) {
+      return res.status(401).json({ message: 'User not authenticated or SQL user ID missing.' });
+  }
+  console.log("[Get Orders Route SQL] Received request for user:", sqlUserId);
+
+  const pagination = parsePaginationParams(req.query, 10); // Smaller default page for order history
+  if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+  }
+
+  try {
+    let requestedCurrency = null;
+    if (req.query.currency) {
+        const { currency, error: currencyError } = await parseCurrencyParam(req.query);
+        if (currencyError) {
+            return res.status(400).json({ message: currencyError });
+        }
+        requestedCurrency = currency;
+    }
+
+    const { Op } = Sequelize;
+    const whereOptions = { userId: sqlUserId };
+    const orderOptions = [[ 'orderDate', 'DESC' ], [ 'id', 'DESC' ]]; // Newest first, id breaks ties
+    if (pagination.cursor) {
+        const [cursorDate, cursorId] = pagination.cursor;
+        whereOptions[Op.and] = [buildKeysetWhere(orderOptions, [new Date(cursorDate), cursorId])];
+    }
+
+    const count = await SqlOrder.count({ where: { userId: sqlUserId } });
+    const fetchedOrders = await SqlOrder.findAll({
+      where: whereOptions,
+      order: orderOptions,
+      limit: pagination.pageSize + 1,
+      offset: pagination.offset,
+      include: [
+        { 
+          model: SqlOrderItem, 
+          as: 'items', // Use the alias defined in association
+          include: [ 
+            { 
+              model: SqlProduct, 
+              attributes: ['id', 'name', 'image'] // Select specific product fields
+            }
+          ]
+        }
+      ]
+                             });
+    const { rows: orders, meta } = paginateResult(req, res, fetchedOrders, orderOptions, pagination, count);
+
+    if (!orders) {
+      // findAll returns [], so this check might not be strictly needed
+      return res.status(404).json({ message: 'No orders found for this user.' });
+    }
+
+    // Each order in the currency it was paid in, unless ?currency= asks for one
+    const rates = await getCurrencyRates();
+    const processedOrders = await attachStatusHistory(orders.map(order =>
+        formatSqlOrder(order, requestedCurrency || orderChargedCurrency(order, rates))));
+
+    console.log(`[Get Orders Route SQL] Found ${processedOrders.length} of ${meta.totalCount} orders for user ${sqlUserId}`);
+    res.json({
+        orders: processedOrders,
+        ...meta // totalCount, page, pageSize, totalPages, hasMore, nextCursor
+    });
+
+    } catch (error) {
+    console.error("[Get Orders Route SQL] Error fetching orders:", error);
+    console.error("[Stripe Checkout] Error creating session:", error);
+    res.status(500).json({ message: 'Failed to create Stripe checkout session.', error: error.message });
+    }
+});
+// --- End Stripe Checkout Session Endpoint ---
+
+// --- Feedback API Endpoint ---
+// With a productId this is a product review: one per user per product (unique index),
+// flagged verifiedPurchase when the user has a paid order containing the product.
+// Reviews start as 'pending' and only show on the product once approved (see Product Reviews).
+
+// Most recent paid order of productId by the user, or null
+function findPurchaseOrder(sqlUserId, productId) {
+    return SqlOrder.findOne({
+        where: { userId: sqlUserId, status: QUALIFYING_ORDER_STATUSES },
+        include: [{ model: SqlOrderItem, as: 'items', where: { productId }, attributes: [], required: true }],
+        order: [['orderDate', 'DESC']],
+        attributes: ['id']
+    });
+}
+
+function validateFeedbackRating(rating, { required }) {
+    if (rating === null || rating === undefined) {
+        return required ? 'Rating is required when reviewing a product.' : null;
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return 'Rating must be a whole number between 1 and 5.';
+    }
+    return null;
+}
+
+app.post('/api/feedback', authMiddleware, async (req, res) => {
+    const { productId, rating, comment } = req.body;
+    const mongoUserId = req.user?.id; // Mongo User ID for linking feedback
+    const sqlUserId = req.sqlUser?.id; // SQL User ID for checking purchase
+    const sqlProductId = productId ? parseInt(productId, 10) : null; // Expect SQL Product ID
+
+    // Basic validation
+    if (!comment) {
+        return res.status(400).json({ message: 'Comment is required.' });
+    }
+    // Product reviews feed the product's star rating, so they need one
+    const ratingError = validateFeedbackRating(rating, { required: Boolean(productId) });
+    if (ratingError) {
+        return res.status(400).json({ message: ratingError });
+    }
+    // Validate SQL product ID if provided
+    if (productId && isNaN(sqlProductId)) { 
+        return res.status(400).json({ message: 'Invalid Product ID format.' });
+    }
+    // Ensure user is authenticated for product-specific feedback
+    if (productId && (!sqlUserId || !mongoUserId)) {
+         return res.status(401).json({ message: 'Authentication required to review a product.' });
+    }
+    // Ensure mongoUserId exists even for general feedback
+    if (!mongoUserId) {
+         return res.status(401).json({ message: 'Authentication required to submit feedback.' });
+    }
+
+    try {
+        let purchaseOrder = null;
+        if (sqlProductId) {
+            const product = await SqlProduct.findByPk(sqlProductId, { attributes: ['id'] });
+            if (!product) {
+                return res.status(404).json({ message: 'Product not found.' });
+            }
+            const existing = await Feedback.findOne({ user: mongoUserId, product: sqlProductId }).select('_id');
+            if (existing) {
+                return res.status(409).json({ message: 'You have already reviewed this product. Edit your review instead.', feedbackId: existing._id });
+            }
+
+            // --- Purchase Verification (SQL) ---
+            // Anyone can review (reviews are moderated); buyers get the verified badge
+            purchaseOrder = await findPurchaseOrder(sqlUserId, sqlProductId);
+            console.log(`[Feedback API SQL] User ${sqlUserId} reviewing product ${sqlProductId}: ${purchaseOrder ? `verified by order ${purchaseOrder.id}` : 'no paid order'}.`);
+        }
+
+        // Still save Feedback to MongoDB, linking via Mongo User ID
+        // Store the SQL Product ID if provided (Feedback.product is a Number)
+        const newFeedback = new Feedback({
+            user: mongoUserId, // Link feedback to Mongo User
+            product: sqlProductId, // Store SQL Product ID (as number)
+            rating: rating,
+            comment: comment,
+            verifiedPurchase: Boolean(purchaseOrder),
+            orderId: purchaseOrder ? purchaseOrder.id : null
+        });
+
+        await newFeedback.save();
+
+        res.status(201).json({
+            message: sqlProductId ? 'Thanks! Your review will appear once it has been approved.' : 'Feedback submitted successfully!',
+            feedbackId: newFeedback._id,
+            status: newFeedback.status,
+            verifiedPurchase: newFeedback.verifiedPurchase
+        });
+
+    } catch (error) {
+        if (error.code === 11000) { // Unique (user, product) index: a concurrent submit won
+            return res.status(409).json({ message: 'You have already reviewed this product. Edit your review instead.' });
+        }
+        console.error("Error submitting feedback (SQL check):", error);
+        res.status(500).json({ message: 'Failed to submit feedback.' });
+    }
+});
+
+// Loads feedback the current user wrote, or sends the 400/404 and returns null.
+// Other users' feedback is reported as not found.
+async function findOwnFeedback(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ message: 'Invalid feedback ID format.' });
+        return null;
+    }
+    const feedback = req.user ? await Feedback.findOne({ _id: req.params.id, user: req.user.id }) : null;
+    if (!feedback) {
+        res.status(404).json({ message: 'Feedback not found.' });
+        return null;
+    }
+    return feedback;
+}
+
+// PUT edit your own feedback ({ rating?, comment? }). An edited review goes back to
+// moderation, and its helpful votes are kept.
+app.put('/api/feedback/:id', authMiddleware, async (req, res) => {
+    const { rating, comment } = req.body;
+    if (rating === undefined && comment === undefined) {
+        return res.status(400).json({ message: 'Nothing to update: send rating and/or comment.' });
+    }
+    if (comment !== undefined && (typeof comment !== 'string' || comment.trim() === '')) {
+        return res.status(400).json({ message: 'Comment cannot be empty.' });
+    }
+
+    try {
+        const feedback = await findOwnFeedback(req, res);
+        if (!feedback) return;
+        const isReview = feedback.product !== null && feedback.product !== undefined;
+        if (rating !== undefined) {
+            const ratingError = validateFeedbackRating(rating, { required: isReview });
+            if (ratingError) {
+                return res.status(400).json({ message: ratingError });
+            }
+            feedback.rating = rating;
+        }
+        if (comment !== undefined) feedback.comment = comment;
+
+        if (isReview) {
+            feedback.status = 'pending';
+            feedback.moderatedBy = null;
+            feedback.moderatedAt = null;
+            feedback.moderationNote = undefined;
+            if (!feedback.verifiedPurchase) { // They may have bought it since
+                const purchaseOrder = await findPurchaseOrder(req.sqlUser.id, feedback.product);
+                if (purchaseOrder) {
+                    feedback.verifiedPurchase = true;
+                    feedback.orderId = purchaseOrder.id;
+                }
+            }
+        }
+        await feedback.save();
+
+        res.json({
+            message: isReview ? 'Review updated. It will reappear once it has been approved.' : 'Feedback updated.',
+            feedbackId: feedback._id,
+            status: feedback.status,
+            verifiedPurchase: feedback.verifiedPurchase
+        });
+    } catch (error) {
+        console.error(`[Feedback API] Error updating feedback ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update feedback.' });
+    }
+});
+
+// DELETE your own feedback
+app.delete('/api/feedback/:id', authMiddleware, async (req, res) => {
+    try {
+        const feedback = await findOwnFeedback(req, res);
+        if (!feedback) return;
+        await feedback.deleteOne();
+        res.json({ message: 'Feedback deleted.', feedbackId: feedback._id });
+    } catch (error) {
+        console.error(`[Feedback API] Error deleting feedback ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to delete feedback.' });
+    }
+});
+
+// --- Product Reviews ---
+// Reviews are Feedback documents with a product. Only approved ones are public and
+// counted in a product's averageRating / numReviews / ratingDistribution.
+
+// Rating aggregates per SQL product id, computed in MongoDB.
+// Without productIds, every reviewed product is included.
+async function getReviewStats(productIds = null) {
+    const match = { product: { $ne: null }, status: 'approved', rating: { $gte: 1 } };
+    if (productIds) {
+        if (productIds.length === 0) return new Map();
+        match.product = { $in: productIds };
+    }
+    const rows = await Feedback.aggregate([
+        { $match: match },
+        { $group: { _id: { product: '$product', rating: { $round: ['$rating', 0] } }, count: { $sum: 1 }, total: { $sum: '$rating' } } },
+        {
+            $group: {
+                _id: '$_id.product',
+                numReviews: { $sum: '$count' },
+                ratingTotal: { $sum: '$total' },
+                distribution: { $push: { rating: '$_id.rating', count: '$count' } }
+            }
+        }
+    ]);
+    return new Map(rows.map(row => {
+        const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        row.distribution.forEach(({ rating, count }) => { ratingDistribution[rating] = count; });
+        return [row._id, {
+            averageRating: Math.round((row.ratingTotal / row.numReviews) * 10) / 10,
+            numReviews: row.numReviews,
+            ratingDistribution
+        }];
+    }));
+}
+
+function emptyReviewStats() {
+    return { averageRating: null, numReviews: 0, ratingDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+}
+
+// Adds the rating fields to formatted product objects (in place)
+async function attachReviewStats(products) {
+    const stats = await getReviewStats(products.map(product => product.id));
+    products.forEach(product => Object.assign(product, stats.get(product.id) || emptyReviewStats()));
+    return products;
+}
+
+// Public author label: first name and last initial
+async function getReviewAuthors(reviews) {
+    const users = await User.find({ _id: { $in: reviews.map(review => review.user) } }).select('firstName lastName email').lean();
+    return new Map(users.map(user => [String(user._id), user]));
+}
+
+// viewerId (Mongo user id) marks the viewer's own review and their helpful votes
+function formatReview(review, author, viewerId = null) {
+    return {
+        id: review._id,
+        productId: review.product,
+        rating: review.rating ?? null,
+        comment: review.comment,
+        author: author ? `${author.firstName} ${author.lastName.charAt(0)}.` : 'Customer',
+        verifiedPurchase: Boolean(review.verifiedPurchase),
+        helpfulCount: review.helpfulCount || 0,
+        votedHelpful: Boolean(viewerId && (review.helpfulVoters || []).some(voter => String(voter) === viewerId)),
+        isOwn: Boolean(viewerId && String(review.user) === viewerId),
+        createdAt: review.createdAt
+    };
+}
+
+// Mongo user id for an optional Bearer token (public endpoints), or null
+async function getOptionalMongoUserId(req) {
+    const sqlUserId = getOptionalUserId(req);
+    if (!sqlUserId) return null;
+    const sqlUser = await SqlUser.findByPk(sqlUserId, { attributes: ['email', 'mongoUserId'] });
+    if (!sqlUser) return null;
+    if (sqlUser.mongoUserId) return String(sqlUser.mongoUserId);
+    const mongoUser = await User.findOne({ email: sqlUser.email }).select('_id').lean();
+    return mongoUser ? String(mongoUser._id) : null;
+}
+
+const REVIEW_SORT_ORDERS = {
+    newest: [['createdAt', 'DESC'], ['_id', 'DESC']],
+    helpful: [['helpfulCount', 'DESC'], ['createdAt', 'DESC'], ['_id', 'DESC']],
+    oldest: [['createdAt', 'ASC'], ['_id', 'ASC']],
+    highest: [['rating', 'DESC'], ['createdAt', 'DESC'], ['_id', 'DESC']],
+    lowest: [['rating', 'ASC'], ['createdAt', 'DESC'], ['_id', 'DESC']]
+};
+
+// Cursor values arrive as JSON; cast them back to the types stored in Mongo.
+// Returns null when a value can't be cast (forged or stale cursor).
+function castReviewCursor(order, cursor) {
+    if (cursor.length !== order.length) return null;
+    const values = order.map(([field], i) => {
+        if (field === '_id') return mongoose.Types.ObjectId.isValid(cursor[i]) ? new mongoose.Types.ObjectId(cursor[i]) : null;
+        if (field === 'createdAt') {
+            const date = new Date(cursor[i]);
+            return isNaN(date) ? null : date;
+        }
+        return cursor[i];
+    });
+    return values.includes(null) ? null : values;
+}
+
+// Runs a paged Feedback query (order from REVIEW_SORT_ORDERS) and returns { rows, meta } or { error }
+async function findReviewsPage(req, res, filter, order, pagination) {
+    let pageFilter = filter;
+    if (pagination.cursor) {
+        const cursorValues = castReviewCursor(order, pagination.cursor);
+        if (!cursorValues) return { error: 'Invalid cursor' };
+        pageFilter = { ...filter, ...buildMongoKeysetFilter(order, cursorValues) };
+    }
+    const [count, fetchedRows] = await Promise.all([
+        Feedback.countDocuments(filter),
+        Feedback.find(pageFilter).sort(toMongoSort(order)).skip(pagination.offset).limit(pagination.pageSize + 1).lean()
+    ]);
+    return paginateResult(req, res, fetchedRows, order, pagination, count);
+}
+
+// GET approved reviews for a product (?sort=newest|helpful|oldest|highest|lowest, paginated).
+// With a Bearer token the response also has myReview: the caller's review in any status.
+app.get('/api/products/:id/reviews', async (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+    const sort = req.query.sort || 'newest';
+    const order = REVIEW_SORT_ORDERS[sort];
+    if (!order) {
+        return res.status(400).json({ message: `sort must be one of: ${Object.keys(REVIEW_SORT_ORDERS).join(', ')}` });
+    }
+    const pagination = parsePaginationParams(req.query, 10);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
+
+    try {
+        const product = await SqlProduct.findByPk(productId, { attributes: ['id', 'isActive'] });
+        if (!product || !product.isActive) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const filter = { product: productId, status: 'approved' };
+        const page = await findReviewsPage(req, res, filter, order, pagination);
+        if (page.error) {
+            return res.status(400).json({ message: page.error });
+        }
+        const viewerId = await getOptionalMongoUserId(req);
+        const ownReview = viewerId ? await Feedback.findOne({ user: viewerId, product: productId }).lean() : null;
+        const [authors, stats] = await Promise.all([
+            getReviewAuthors(ownReview ? [...page.rows, ownReview] : page.rows),
+            getReviewStats([productId])
+        ]);
+
+        res.json({
+            reviews: page.rows.map(review => formatReview(review, authors.get(String(review.user)), viewerId)),
+            summary: stats.get(productId) || emptyReviewStats(),
+            myReview: ownReview ? { ...formatReview(ownReview, authors.get(String(ownReview.user)), viewerId), status: ownReview.status } : null,
+            ...page.meta
+        });
+    } catch (error) {
+        console.error(`[Reviews] Error fetching reviews for product ${productId}:`, error);
+        res.status(500).json({ message: 'Failed to fetch reviews.' });
+    }
+});
+
+// POST / DELETE a "helpful" vote on someone else's approved review. Idempotent.
+async function setHelpfulVote(req, res, voted) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Invalid review ID format.' });
+    }
+    if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required to vote.' });
+    }
+    const voterId = new mongoose.Types.ObjectId(req.user.id);
+
+    try {
+        const review = await Feedback.findOne({ _id: id, product: { $ne: null }, status: 'approved' }).select('user').lean();
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found.' });
+        }
+        if (String(review.user) === req.user.id) {
+            return res.status(403).json({ message: 'You cannot vote on your own review.' });
+        }
+        // The voter filter makes the count change only when the vote list does
+        const update = voted
+            ? Feedback.updateOne({ _id: id, helpfulVoters: { $ne: voterId } }, { $push: { helpfulVoters: voterId }, $inc: { helpfulCount: 1 } })
+            : Feedback.updateOne({ _id: id, helpfulVoters: voterId }, { $pull: { helpfulVoters: voterId }, $inc: { helpfulCount: -1 } });
+        await update;
+        const { helpfulCount } = await Feedback.findById(id).select('helpfulCount').lean();
+        res.json({ reviewId: id, helpfulCount, votedHelpful: voted });
+    } catch (error) {
+        console.error(`[Reviews] Error recording helpful vote on review ${id}:`, error);
+        res.status(500).json({ message: 'Failed to record vote.' });
+    }
+}
+
+app.post('/api/feedback/:id/helpful', authMiddleware, (req, res) => setHelpfulVote(req, res, true));
+app.delete('/api/feedback/:id/helpful', authMiddleware, (req, res) => setHelpfulVote(req, res, false));
+
+// --- Review moderation ---
+function formatAdminReview(review, author, productsById) {
+    return {
+        ...formatReview(review, author),
+        status: review.status,
+        userEmail: author ? author.email : null,
+        productName: productsById.get(review.product)?.name || null,
+        moderatedBy: review.moderatedBy,
+        moderatedAt: review.moderatedAt,
+        moderationNote: review.moderationNote || null,
+        orderId: review.orderId ?? null
+    };
+}
+
+// GET product reviews by status (default pending, oldest first so the queue is FIFO)
+app.get('/api/admin/reviews', authMiddleware, staffMiddleware, async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    const filter = { product: { $ne: null }, status };
+    if (req.query.productId !== undefined) {
+        const productId = parseInt(req.query.productId, 10);
+        if (isNaN(productId)) {
+            return res.status(400).json({ message: 'Invalid product ID format' });
+        }
+        filter.product = productId;
+    }
+    const pagination = parsePaginationParams(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
+
+    try {
+        const order = status === 'pending' ? REVIEW_SORT_ORDERS.oldest : REVIEW_SORT_ORDERS.newest;
+        const page = await findReviewsPage(req, res, filter, order, pagination);
+        if (page.error) {
+            return res.status(400).json({ message: page.error });
+        }
+        const [authors, products] = await Promise.all([
+            getReviewAuthors(page.rows),
+            SqlProduct.findAll({ where: { id: [...new Set(page.rows.map(review => review.product))] }, attributes: ['id', 'name'] })
+        ]);
+        const productsById = new Map(products.map(product => [product.id, product]));
+        res.json({
+            reviews: page.rows.map(review => formatAdminReview(review, authors.get(String(review.user)), productsById)),
+            ...page.meta
+        });
+    } catch (error) {
+        console.error('[Admin Reviews] Error listing reviews:', error);
+        res.status(500).json({ message: 'Failed to fetch reviews.' });
+    }
+});
+
+// POST approve or reject a review. Rejecting takes an optional { note } for the record.
+app.post('/api/admin/reviews/:id/:action(approve|reject)', authMiddleware, adminMiddleware, async (req, res) => {
+    const { id, action } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Invalid review ID format' });
+    }
+    const note = req.body?.note;
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+        return res.status(400).json({ message: 'note must be text of at most 500 characters' });
+    }
+
+    try {
+        const changes = {
+            status: action === 'approve' ? 'approved' : 'rejected',
+            moderatedBy: req.sqlUser.id,
+            moderatedAt: new Date()
+        };
+        if (note) changes.moderationNote = note.trim();
+        const review = await Feedback.findOneAndUpdate(
+            { _id: id, product: { $ne: null } },
+            { $set: changes },
+            { new: true, runValidators: true }
+        ).lean();
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+        console.log(`[Admin Reviews] Review ${id} ${review.status} by user ${req.sqlUser.id}`);
+
+        const [authors, product] = await Promise.all([
+            getReviewAuthors([review]),
+            SqlProduct.findByPk(review.product, { attributes: ['id', 'name'] })
+        ]);
+        res.json(formatAdminReview(review, authors.get(String(review.user)), new Map(product ? [[product.id, product]] : [])));
+    } catch (error) {
+        console.error(`[Admin Reviews] Error moderating review ${id}:`, error);
+        res.status(500).json({ message: 'Failed to update review.' });
+    }
+});
+// --- End Product Reviews ---
+
+// --- Customer Event Tracking ---
+// main.js batches behavior events (product views, searches, ...) and posts them here.
+// Anonymous visitors are identified by the anonymousId main.js keeps in localStorage;
+// a valid Bearer token adds the SQL user id. Stored in the Mongo CustomerEvent collection.
+const EVENT_BATCH_LIMIT = 50;
+const EVENT_CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const PRODUCT_EVENT_TYPES = ['product_view', 'add_to_cart', 'wishlist_add'];
+
+// SQL user id from a valid Bearer token, or null. Unlike authMiddleware this never
+// rejects and doesn't load the user, so the route stays cheap and open to guests.
+function getOptionalUserId(req) {
+    const authHeader = req.header('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    try {
+        return jwt.verify(authHeader.split(' ')[1], JWT_SECRET).user?.id || null;
+    } catch (error) {
+        return null; // Expired tokens are recorded as anonymous
+    }
+}
+
+// Validates one event from a batch. Returns { event } or { error }.
+function parseCustomerEvent(raw, now) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'event must be an object' };
+    }
+    if (!CUSTOMER_EVENT_TYPES.includes(raw.type)) {
+        return { error: `type must be one of: ${CUSTOMER_EVENT_TYPES.join(', ')}` };
+    }
+    const text = (value, maxLength) => typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+    const event = { type: raw.type, page: text(raw.page, 200) };
+
+    if (raw.productId !== undefined && raw.productId !== null) {
+        const productId = Number(raw.productId);
+        if (!Number.isInteger(productId) || productId < 1) return { error: 'productId must be a positive integer' };
+        event.productId = productId;
+    }
+    if (PRODUCT_EVENT_TYPES.includes(raw.type) && !event.productId) {
+        return { error: `productId is required for ${raw.type}` };
+    }
+    if (raw.type === 'search') {
+        event.query = text(raw.query, 200);
+        if (!event.query) return { error: 'query is required for search' };
+    }
+    if (raw.quantity !== undefined) {
+        const quantity = Number(raw.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > 999) return { error: 'quantity must be a whole number between 1 and 999' };
+        event.quantity = quantity;
+    }
+    if (raw.value !== undefined) {
+        const value = parseMoney(raw.value);
+        if (value === null || value < 0) return { error: 'value must be a non-negative number' };
+        event.value = value;
+    }
+    // Client clocks can't be trusted: future or day-old timestamps fall back to now
+    const occurredAt = new Date(raw.occurredAt);
+    event.occurredAt = isNaN(occurredAt) || occurredAt > now || now - occurredAt > DAY_MS ? now : occurredAt;
+    return { event };
+}
+
+// POST a batch: { anonymousId, sessionId, events: [{ type, productId, query, quantity, value, page, occurredAt }] }
+// Invalid events are skipped and listed in `rejected`; the rest are stored.
+app.post('/api/events', async (req, res) => {
+    const { events, anonymousId, sessionId } = req.body || {};
+    if (!Array.isArray(events) || events.length === 0 || events.length > EVENT_BATCH_LIMIT) {
+        return res.status(400).json({ message: `events must be an array of 1-${EVENT_BATCH_LIMIT} events` });
+    }
+    const userId = getOptionalUserId(req);
+    const clientId = typeof anonymousId === 'string' && EVENT_CLIENT_ID_PATTERN.test(anonymousId) ? anonymousId : null;
+    if (!userId && !clientId) {
+        return res.status(400).json({ message: 'anonymousId is required when not logged in' });
+    }
+
+    const now = new Date();
+    const parsed = [];
+    const rejected = [];
+    events.forEach((raw, index) => {
+        const { event, error } = parseCustomerEvent(raw, now);
+        if (error) rejected.push({ field: `events[${index}]`, message: error });
+        else parsed.push(event);
+    });
+
+    try {
+        // Category comes from the catalog, not the client; events for unknown products are dropped
+        const productIds = [...new Set(parsed.filter(event => event.productId).map(event => event.productId))];
+        const products = productIds.length > 0
+            ? await SqlProduct.findAll({ where: { id: productIds }, attributes: ['id', 'category'] })
+            : [];
+        const categoryById = new Map(products.map(product => [product.id, product.category]));
+
+        const docs = [];
+        parsed.forEach(event => {
+            if (event.productId && !categoryById.has(event.productId)) {
+                rejected.push({ field: 'productId', message: `Product ${event.productId} not found` });
+                return;
+            }
+            docs.push({
+                ...event,
+                category: event.productId ? categoryById.get(event.productId) : null,
+                userId,
+                anonymousId: clientId,
+                sessionId: typeof sessionId === 'string' && EVENT_CLIENT_ID_PATTERN.test(sessionId) ? sessionId : null
+            });
+        });
+        if (docs.length === 0) {
+            return res.status(400).json({ message: 'No valid events in batch', errors: rejected });
+        }
+
+        await CustomerEvent.insertMany(docs, { ordered: false });
+        res.status(202).json({ accepted: docs.length, rejected });
+    } catch (error) {
+        console.error('[Events] Error storing events:', error);
+        res.status(500).json({ message: 'Failed to record events.' });
+    }
+});
+
+// Category the user has shown the most interest in (views, bag adds, wishlist adds)
+// over the last `days` days, or null. Used when there's no order history to go on.
+async function getBrowsedCategory(userId, days = 30) {
+    const [top] = await CustomerEvent.aggregate([
+        { $match: { userId, type: { $in: PRODUCT_EVENT_TYPES }, category: { $ne: null }, occurredAt: { $gte: new Date(Date.now() - days * DAY_MS) } } },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 1 }
+    ]);
+    return top ? top._id : null;
+}
+
+// GET event counts, most viewed products and top searches over the last ?days= (1-90, default 7)
+app.get('/api/admin/events/summary', authMiddleware, staffMiddleware, async (req, res) => {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+        return res.status(400).json({ message: 'days must be a whole number between 1 and 90' });
+    }
+    const match = { occurredAt: { $gte: new Date(Date.now() - days * DAY_MS) } };
+
+    try {
+        const [byType, topViewed, topSearches] = await Promise.all([
+            CustomerEvent.aggregate([
+                { $match: match },
+                { $group: { _id: '$type', count: { $sum: 1 }, users: { $addToSet: '$userId' }, visitors: { $addToSet: '$anonymousId' } } }
+            ]),
+            CustomerEvent.aggregate([
+                { $match: { ...match, type: 'product_view' } },
+                { $group: { _id: '$productId', views: { $sum: 1 } } },
+                { $sort: { views: -1 } },
+                { $limit: 10 }
+            ]),
+            CustomerEvent.aggregate([
+                { $match: { ...match, type: 'search' } },
+                { $group: { _id: { $toLower: '$query' }, count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $limit: 10 }
+            ])
+        ]);
+
+        const products = await SqlProduct.findAll({ where: { id: topViewed.map(row => row._id) }, attributes: ['id', 'name'] });
+        const nameById = new Map(products.map(product => [product.id, product.name]));
+
+        res.json({
+            days,
+            events: CUSTOMER_EVENT_TYPES.map(type => {
+                const row = byType.find(entry => entry._id === type);
+                return {
+                    type,
+                    count: row ? row.count : 0,
+                    customers: row ? row.users.filter(id => id !== null).length : 0,
+                    visitors: row ? row.visitors.filter(id => id !== null).length : 0
+                };
+            }),
+            topViewedProducts: topViewed.map(row => ({ productId: row._id, name: nameById.get(row._id) || null, views: row.views })),
+            topSearches: topSearches.map(row => ({ query: row._id, count: row.count }))
+        });
+    } catch (error) {
+        console.error('[Admin Events] Error building summary:', error);
+        res.status(500).json({ message: 'Failed to fetch event summary.' });
+    }
+});
+// --- End Customer Event Tracking ---
+
+// --- Recommendations ---
+// Product-to-product scores combine three signals:
+//  - co-purchase: other products in the same paid orders (SqlOrderItem)
+//  - co-wishlist: other products on the same Mongo wishlists
+//  - attribute similarity: category, brand, shared colors, price band
+// A user's recommendations add up the scores of products they bought, wishlisted
+// or recently looked at. Results are cached in the recommendations table and
+// rebuilt nightly by the refresh-recommendations job.
+const RECOMMENDATION_WEIGHTS = { coPurchase: 3, coWishlist: 2, category: 1, brand: 0.5, colors: 0.5, priceBand: 0.5 };
+const RECOMMENDATION_CACHE_SIZE = 24; // Items stored per subject; requests can ask for fewer
+const RECOMMENDATION_MAX_AGE_MS = (parseInt(process.env.RECOMMENDATION_MAX_AGE_HOURS, 10) || 24) * 60 * 60 * 1000;
+const RECOMMENDATION_SIGNALS_TTL_MS = 5 * 60 * 1000;
+
+let recommendationSignalsCache = null; // { loadedAt, promise }
+
+// For every ordered pair (a, b) of distinct ids, adds 1 to counts[a][b]
+function countPairs(counts, ids) {
+    for (const a of ids) {
+        for (const b of ids) {
+            if (a === b) continue;
+            if (!counts.has(a)) counts.set(a, new Map());
+            counts.get(a).set(b, (counts.get(a).get(b) || 0) + 1);
+        }
+    }
+}
+
+// Loads the catalog and the co-purchase / co-wishlist pair counts
+async function loadRecommendationSignals() {
+    const products = (await SqlProduct.findAll({ where: { isActive: true } })).map(formatSqlProduct);
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    const coPurchase = new Map();
+    const orders = await SqlOrder.findAll({
+        where: { status: QUALIFYING_ORDER_STATUSES },
+        attributes: ['id'],
+        include: [{ model: SqlOrderItem, as: 'items', attributes: ['productId'] }]
+    });
+    orders.forEach(order => countPairs(coPurchase, [...new Set(order.items.map(item => item.productId))]));
+
+    // Wishlists hold SQL ids as strings; the raw collection avoids ObjectId casting
+    const coWishlist = new Map();
+    const wishlists = await User.collection.find({ 'wishlist.0': { $exists: true } }, { projection: { wishlist: 1 } }).toArray();
+    wishlists.forEach(user => {
+        const ids = user.wishlist.map(id => parseInt(String(id), 10)).filter(id => !isNaN(id));
+        countPairs(coWishlist, [...new Set(ids)]);
+    });
+
+    return { productsById, coPurchase, coWishlist };
+}
+
+// Signals are shared by all recommendations computed within a few minutes
+function getRecommendationSignals() {
+    if (!recommendationSignalsCache || Date.now() - recommendationSignalsCache.loadedAt > RECOMMENDATION_SIGNALS_TTL_MS) {
+        const promise = loadRecommendationSignals();
+        recommendationSignalsCache = { loadedAt: Date.now(), promise };
+        promise.catch(() => {
+            if (recommendationSignalsCache?.promise === promise) recommendationSignalsCache = null;
+        });
+    }
+    return recommendationSignalsCache.promise;
+}
+
+function attributeSimilarity(product, candidate) {
+    const weights = RECOMMENDATION_WEIGHTS;
+    let score = 0;
+    if (product.category && product.category === candidate.category) score += weights.category;
+    if (product.brand && product.brand === candidate.brand) score += weights.brand;
+    const productColors = product.colors || [];
+    const candidateColors = candidate.colors || [];
+    if (productColors.length > 0 && candidateColors.length > 0) {
+        const shared = candidateColors.filter(color => productColors.includes(color)).length;
+        score += weights.colors * shared / new Set([...productColors, ...candidateColors]).size;
+    }
+    if (product.price > 0 && candidate.price > 0) {
+        const ratio = Math.min(product.price, candidate.price) / Math.max(product.price, candidate.price);
+        if (ratio >= 0.75) score += weights.priceBand; // Same price band: within about 25%
+    }
+    return score;
+}
+
+// Map of candidate product id -> { score, reason } for one product. reason is the
+// signal that contributed most: 'also_bought', 'also_wishlisted' or 'similar'.
+function scoreRelatedProducts(productId, signals) {
+    const weights = RECOMMENDATION_WEIGHTS;
+    const product = signals.productsById.get(productId); // Undefined for inactive products
+    const purchases = signals.coPurchase.get(productId) || new Map();
+    const wishlists = signals.coWishlist.get(productId) || new Map();
+    const maxPurchases = Math.max(0, ...purchases.values());
+    const maxWishlists = Math.max(0, ...wishlists.values());
+
+    const scores = new Map();
+    for (const candidate of signals.productsById.values()) {
+        if (candidate.id === productId) continue;
+        const parts = {
+            also_bought: maxPurchases > 0 ? weights.coPurchase * (purchases.get(candidate.id) || 0) / maxPurchases : 0,
+            also_wishlisted: maxWishlists > 0 ? weights.coWishlist * (wishlists.get(candidate.id) || 0) / maxWishlists : 0,
+            similar: product ? attributeSimilarity(product, candidate) : 0
+        };
+        const score = parts.also_bought + parts.also_wishlisted + parts.similar;
+        if (score <= 0) continue;
+        const reason = Object.keys(parts).reduce((best, key) => (parts[key] > parts[best] ? key : best));
+        scores.set(candidate.id, { score, reason });
+    }
+    return scores;
+}
+
+// Best RECOMMENDATION_CACHE_SIZE entries as [{ productId, score, reason }]
+function topRecommendations(scores) {
+    return [...scores.entries()]
+        .sort((a, b) => b[1].score - a[1].score || a[0] - b[0])
+        .slice(0, RECOMMENDATION_CACHE_SIZE)
+        .map(([productId, { score, reason }]) => ({ productId, score: Math.round(score * 1000) / 1000, reason }));
+}
+
+// Products the user has shown interest in, with a weight per signal. `owned` are
+// bought or wishlisted products, which aren't recommended back to them.
+async function getUserRecommendationSeeds(user) {
+    const seeds = new Map();
+    const owned = new Set();
+    const addSeed = (productId, weight) => seeds.set(productId, Math.max(seeds.get(productId) || 0, weight));
 
-  try {
-    event = stripe.webhooks.constructEvent(request.body, sig, STRIPE_WEBHOOK_SECRET);
-    console.log("[Stripe Webhook] Event constructed successfully:", event.id, event.type);
-  } catch (err) {
-    console.error(`[Stripe Webhook] Error verifying webhook signature: ${err.message}`);
-    return response.status(400).send(`Webhook Error: ${err.message}`);
-  }
+    const orders = await SqlOrder.findAll({
+        where: { userId: user.id, status: QUALIFYING_ORDER_STATUSES },
+        attributes: ['id'],
+        include: [{ model: SqlOrderItem, as: 'items', attributes: ['productId'] }]
+    });
+    orders.forEach(order => order.items.forEach(item => {
+        addSeed(item.productId, 3);
+        owned.add(item.productId);
+    }));
+
+    const mongoUser = await User.collection.findOne({ email: user.email }, { projection: { wishlist: 1 } });
+    (mongoUser?.wishlist || []).forEach(id => {
+        const productId = parseInt(String(id), 10);
+        if (isNaN(productId)) return;
+        addSeed(productId, 2);
+        owned.add(productId);
+    });
 
-  // Handle the event
-  switch (event.type) {
-    case 'checkout.session.completed':
-      const session = event.data.object;
-      console.log(`[Stripe Webhook] Checkout Session Completed for session ${session.id}`);
+    const recentEvents = await CustomerEvent.find({
+        userId: user.id,
+        type: { $in: ['product_view', 'add_to_cart'] },
+        occurredAt: { $gte: new Date(Date.now() - 30 * DAY_MS) }
+    }).select('productId').sort({ occurredAt: -1 }).limit(100).lean();
+    recentEvents.forEach(event => addSeed(event.productId, 1));
 
-      // --- Fulfill the order --- 
-      if (session.payment_status === 'paid') {
-        console.log("[Stripe Webhook] Payment was successful. Fulfilling order using SQL...");
-        // Start SQL fulfillment process (run async function)
-        fulfillOrderSql(session).catch(err => { // <-- Changed to fulfillOrderSql
-           console.error("[Stripe Webhook] Error fulfilling SQL order:", err);
-           // Decide how to handle fulfillment failure - retry? notify admin?
-           // For now, we just log it. A robust system needs error handling.
-        });
-      } else {
-          console.log(`[Stripe Webhook] Payment status is ${session.payment_status}. Order not fulfilled.`);
-      }
-      break;
-    // ... handle other event types (payment_intent.succeeded, etc.)
-    default:
-      console.log(`[Stripe Webhook] Unhandled event type ${event.type}`);
-  }
+    return { seeds, owned };
+}
 
-  // Return a 200 response to acknowledge receipt of the event
-  response.json({received: true});
-});
-// --- End Webhook Endpoint ---
+async function computeUserRecommendations(user, signals) {
+    const { seeds, owned } = await getUserRecommendationSeeds(user);
+    const totals = new Map();
+    for (const [seedId, weight] of seeds) {
+        for (const [candidateId, { score, reason }] of scoreRelatedProducts(seedId, signals)) {
+            if (owned.has(candidateId)) continue;
+            const entry = totals.get(candidateId) || { score: 0, reason, strongest: 0 };
+            entry.score += score * weight;
+            if (score * weight > entry.strongest) {
+                entry.strongest = score * weight;
+                entry.reason = reason;
+            }
+            totals.set(candidateId, entry);
+        }
+    }
+    if (totals.size === 0) {
+        // Nothing to go on yet: most wishlisted products, best sellers first
+        for (const product of signals.productsById.values()) {
+            if (owned.has(product.id)) continue;
+            totals.set(product.id, { score: (product.wishlistCount || 0) + (product.isBestSeller ? 5 : 0), reason: 'popular' });
+        }
+    }
+    return topRecommendations(totals);
+}
 
-// Apply express.json() globally AFTER the webhook endpoint
-app.use(express.json());
+async function saveRecommendations(subjectType, subjectId, items) {
+    await SqlRecommendation.upsert({ subjectType, subjectId, items, computedAt: new Date() });
+}
 
-// --- API Endpoints using MySQL for Products (Refactored) ---
+// Cached items for a subject, recomputed with compute(signals) when missing or stale
+async function getCachedRecommendations(subjectType, subjectId, compute) {
+    const cached = await SqlRecommendation.findOne({ where: { subjectType, subjectId } });
+    if (cached && Date.now() - new Date(cached.computedAt).getTime() < RECOMMENDATION_MAX_AGE_MS) {
+        return typeof cached.items === 'string' ? JSON.parse(cached.items) : cached.items;
+    }
+    const items = await compute(await getRecommendationSignals());
+    await saveRecommendations(subjectType, subjectId, items);
+    return items;
+}
 
-// GET all products (with sorting, filtering, and count) - REFRACTORED for MySQL
-app.get('/api/products', async (req, res) => {
-  try {
-    const { category, color, size, isNew, isBestSeller, sort } = req.query;
-    const whereOptions = {};
-    let orderOptions = [];
+// Cached items -> active products (catalog shape in currency plus `reason`), at most `limit`
+async function hydrateRecommendations(items, limit, currency) {
+    const products = await SqlProduct.findAll({ where: { id: items.map(item => item.productId), isActive: true } });
+    const formattedProducts = products.map(product => localizeProductPrices(formatSqlProduct(product), currency));
+    const productsById = new Map((await attachReviewStats(formattedProducts)).map(product => [product.id, product]));
+    return items
+        .filter(item => productsById.has(item.productId))
+        .slice(0, limit)
+        .map(item => ({ ...productsById.get(item.productId), reason: item.reason }));
+}
 
-    // --- Filtering --- 
-    if (category) whereOptions.category = category;
-    if (isNew === 'true') whereOptions.isNew = true;
-    if (isBestSeller === 'true') whereOptions.isBestSeller = true;
-    // Filtering by JSON arrays (color, size) is more complex in SQL/Sequelize
-    // Example for color (requires specific DB function support like JSON_CONTAINS)
-    // if (color) whereOptions.colors = sequelize.fn('JSON_CONTAINS', sequelize.col('colors'), JSON.stringify(color));
-    // For simplicity, JSON filtering is omitted for now.
+// ?limit= (1-RECOMMENDATION_CACHE_SIZE, default 8). Returns { limit } or { error }.
+function parseRecommendationLimit(query) {
+    if (query.limit === undefined) return { limit: 8 };
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > RECOMMENDATION_CACHE_SIZE) {
+        return { error: `limit must be a whole number between 1 and ${RECOMMENDATION_CACHE_SIZE}` };
+    }
+    return { limit };
+}
 
-    // --- Sorting --- 
-    if (sort === 'price-asc') orderOptions.push(['price', 'ASC']);
-    else if (sort === 'price-desc') orderOptions.push(['price', 'DESC']);
-    else if (sort === 'popularity-desc') orderOptions.push(['wishlistCount', 'DESC']);
-    // Add default sort if needed, e.g., ['name', 'ASC']
-    if (orderOptions.length === 0) {
-        orderOptions.push(['name', 'ASC']); // Default sort by name
+// Job: rebuild the cache for every active product and customer
+async function refreshRecommendations() {
+    recommendationSignalsCache = null; // Start from fresh data
+    const signals = await getRecommendationSignals();
+    const productIds = [...signals.productsById.keys()];
+    for (const productId of productIds) {
+        await saveRecommendations('product', productId, topRecommendations(scoreRelatedProducts(productId, signals)));
     }
 
-    // --- Querying --- 
-    const { count, rows } = await SqlProduct.findAndCountAll({
-        where: whereOptions,
-        order: orderOptions,
-        // Add limit and offset here for pagination if needed
-    });
+    const users = await SqlUser.findAll({ where: { role: 'customer' }, attributes: ['id', 'email'] });
+    for (const user of users) {
+        await saveRecommendations('user', user.id, await computeUserRecommendations(user, signals));
+    }
 
-    // --- Post-processing (Parse JSON columns) --- 
-    const products = rows.map(p => {
-        const productJson = p.toJSON(); // Get plain JSON object
-        try {
-            productJson.colors = JSON.parse(productJson.colors); // Parse colors
-        } catch (e) { productJson.colors = []; } // Handle parsing error
-        try {
-            productJson.sizes = JSON.parse(productJson.sizes); // Parse sizes
-        } catch (e) { productJson.sizes = []; } // Handle parsing error
-        
-        // Parse DECIMAL strings to numbers
-        if (productJson.price !== null && productJson.price !== undefined) {
-            productJson.price = parseFloat(productJson.price);
+    // Deactivated products no longer need their own row
+    const staleRows = productIds.length > 0
+        ? await SqlRecommendation.destroy({ where: { subjectType: 'product', subjectId: { [Sequelize.Op.notIn]: productIds } } })
+        : 0;
+    return { products: productIds.length, users: users.length, staleRowsRemoved: staleRows };
+}
+
+// GET products to show alongside a product ("You may also like")
+app.get('/api/products/:id/recommendations', async (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+    const { limit, error } = parseRecommendationLimit(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const { currency, error: currencyError } = await parseCurrencyParam(req.query);
+        if (currencyError) {
+            return res.status(400).json({ message: currencyError });
         }
-        if (productJson.originalPrice !== null && productJson.originalPrice !== undefined) {
-            productJson.originalPrice = parseFloat(productJson.originalPrice);
+        const product = await SqlProduct.findByPk(productId, { attributes: ['id'] });
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
         }
-        
-        return productJson;
+        const items = await getCachedRecommendations('product', productId,
+            async signals => topRecommendations(scoreRelatedProducts(productId, signals)));
+        res.json({ products: await hydrateRecommendations(items, limit, currency) });
+    } catch (err) {
+        console.error(`[Recommendations] Error fetching recommendations for product ${productId}:`, err);
+        res.status(500).json({ message: 'Failed to fetch recommendations.' });
+    }
+});
+
+// GET products picked for the current user (account and home pages)
+app.get('/api/users/me/recommendations', authMiddleware, async (req, res) => {
+    const { limit, error } = parseRecommendationLimit(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const { currency, error: currencyError } = await parseCurrencyParam(req.query);
+        if (currencyError) {
+            return res.status(400).json({ message: currencyError });
+        }
+        const items = await getCachedRecommendations('user', req.sqlUser.id,
+            signals => computeUserRecommendations(req.sqlUser, signals));
+        res.json({ products: await hydrateRecommendations(items, limit, currency) });
+    } catch (err) {
+        console.error(`[Recommendations] Error fetching recommendations for user ${req.sqlUser.id}:`, err);
+        res.status(500).json({ message: 'Failed to fetch recommendations.' });
+    }
+});
+// --- End Recommendations ---
+
+// --- Customer Analytics (RFM) ---
+// Per-customer Recency/Frequency/Monetary scores, category preferences and price
+// sensitivity, computed from paid orders and stored as CustomerProfile documents.
+// Scores are quintiles (1-5, 5 = best) across all customers with a paid order.
+// The rebuild-customer-profiles job recomputes everyone nightly; a customer's own
+// profile is also refreshed after each order using the last known quintiles.
+
+const CUSTOMER_SEGMENT_DESCRIPTIONS = {
+    champions: 'Bought recently, buy often and spend the most',
+    loyal: 'Buy regularly',
+    potential_loyalist: 'Recent customers with a few orders',
+    new_customer: 'First order was recent',
+    need_attention: 'Middling recency, frequency and spend',
+    at_risk: 'Used to buy often, but not lately',
+    hibernating: 'Few orders, long ago',
+    prospect: 'No paid orders yet'
+};
+
+let rfmBreakpointsCache = null; // { recencyDays, frequency, monetary } quintile boundaries
+
+// 20/40/60/80th percentile boundaries (nearest rank) of each metric
+function computeRfmBreakpoints(metrics) {
+    const breakpointsFor = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        if (sorted.length === 0) return [];
+        return [0.2, 0.4, 0.6, 0.8].map(q => sorted[Math.max(Math.ceil(q * sorted.length) - 1, 0)]);
+    };
+    return {
+        recencyDays: breakpointsFor(metrics.map(metric => metric.recencyDays)),
+        frequency: breakpointsFor(metrics.map(metric => metric.frequency)),
+        monetary: breakpointsFor(metrics.map(metric => metric.monetary))
+    };
+}
+
+function quintileScore(value, breakpoints, lowerIsBetter = false) {
+    const above = breakpoints.filter(boundary => value > boundary).length;
+    return lowerIsBetter ? 5 - above : 1 + above;
+}
+
+function rfmSegment({ r, f, m }) {
+    if (r === 0) return 'prospect';
+    if (r >= 4 && f >= 4 && m >= 4) return 'champions';
+    if (r >= 3 && f >= 4) return 'loyal';
+    if (r <= 2 && f >= 3) return 'at_risk';
+    if (r <= 2) return 'hibernating';
+    if (r >= 4 && f === 1) return 'new_customer';
+    if (r >= 4) return 'potential_loyalist';
+    return 'need_attention';
+}
+
+// Paid orders with the item and product fields the metrics need
+function loadPaidOrders(where = {}) {
+    return SqlOrder.findAll({
+        where: { ...where, status: QUALIFYING_ORDER_STATUSES },
+        attributes: ['id', 'userId', 'totalAmount', 'orderDate'],
+        include: [{
+            model: SqlOrderItem,
+            as: 'items',
+            attributes: ['productId', 'quantity', 'price'],
+            include: [{ model: SqlProduct, attributes: ['category', 'originalPrice'] }]
+        }]
     });
-    
-    // Note: Review aggregation is removed as reviews are in MongoDB
-    // We can fetch reviews separately if needed on the product detail page.
-    
-    res.json({ 
-        products: products, 
-        totalCount: count 
+}
+
+// Raw metrics for one customer's paid orders, or null without any
+function computeCustomerMetrics(orders, now = new Date()) {
+    if (orders.length === 0) return null;
+    let monetary = 0;
+    let units = 0;
+    let saleUnits = 0;
+    let firstOrderAt = null;
+    let lastOrderAt = null;
+    const categoryUnits = {};
+
+    orders.forEach(order => {
+        monetary += parseFloat(order.totalAmount) || 0;
+        const orderDate = new Date(order.orderDate);
+        if (!firstOrderAt || orderDate < firstOrderAt) firstOrderAt = orderDate;
+        if (!lastOrderAt || orderDate > lastOrderAt) lastOrderAt = orderDate;
+        order.items.forEach(item => {
+            units += item.quantity;
+            // Bought on sale: paid less than the product's originalPrice
+            const originalPrice = parseFloat(item.SqlProduct?.originalPrice);
+            if (originalPrice && parseFloat(item.price) < originalPrice) saleUnits += item.quantity;
+            const category = item.SqlProduct?.category;
+            if (category) categoryUnits[category] = (categoryUnits[category] || 0) + item.quantity;
+        });
     });
-    
-  } catch (err) {
-    console.error("Error fetching products from SQL:", err);
-    res.status(500).json({ message: 'Error fetching products' });
-  }
-});
 
-// GET product by ID - REFRACTORED for MySQL
-app.get('/api/products/:id', async (req, res) => {
-  try {
-    const productId = parseInt(req.params.id, 10); // Ensure ID is integer
-    if (isNaN(productId)) {
-        return res.status(400).json({ message: 'Invalid product ID format' });
+    const categories = Object.entries(categoryUnits)
+        .map(([category, categoryCount]) => ({ category, units: categoryCount }))
+        .sort((a, b) => b.units - a.units);
+    return {
+        recencyDays: Math.floor((now - lastOrderAt) / DAY_MS),
+        frequency: orders.length,
+        monetary: Math.round(monetary * 100) / 100,
+        categories: categories.slice(0, 5),
+        preferredCategory: categories[0]?.category || null,
+        priceSensitivity: units > 0 ? Math.round((saleUnits / units) * 100) / 100 : null,
+        firstOrderAt,
+        lastOrderAt
+    };
+}
+
+function buildCustomerProfile(userId, metrics, breakpoints) {
+    if (!metrics) {
+        return {
+            userId, recencyDays: null, frequency: 0, monetary: 0, rfm: { r: 0, f: 0, m: 0 }, segment: 'prospect',
+            preferredCategory: null, categories: [], priceSensitivity: null, firstOrderAt: null, lastOrderAt: null,
+            computedAt: new Date()
+        };
     }
-    
-    const productInstance = await SqlProduct.findByPk(productId);
-    
-    if (!productInstance) {
-      return res.status(404).json({ message: 'Product not found' });
+    const rfm = {
+        r: quintileScore(metrics.recencyDays, breakpoints.recencyDays, true),
+        f: quintileScore(metrics.frequency, breakpoints.frequency),
+        m: quintileScore(metrics.monetary, breakpoints.monetary)
+    };
+    return { userId, ...metrics, rfm, segment: rfmSegment(rfm), computedAt: new Date() };
+}
+
+// Quintiles from the last rebuild, or from the stored profiles after a restart
+async function getRfmBreakpoints() {
+    if (!rfmBreakpointsCache) {
+        const profiles = await CustomerProfile.find({ frequency: { $gt: 0 } }).select('frequency monetary lastOrderAt').lean();
+        const now = Date.now();
+        rfmBreakpointsCache = computeRfmBreakpoints(profiles.map(profile => ({
+            ...profile,
+            recencyDays: Math.floor((now - new Date(profile.lastOrderAt)) / DAY_MS) // Stored recency is as of computedAt
+        })));
     }
-    
-    // --- Post-processing (Parse JSON columns) --- 
-    const product = productInstance.toJSON();
-    try {
-        product.colors = JSON.parse(product.colors);
-    } catch (e) { product.colors = []; }
+    return rfmBreakpointsCache;
+}
+
+// Stored profile, computed on the spot for customers the nightly job hasn't reached yet
+async function getCustomerProfile(userId) {
+    const profile = await CustomerProfile.findOne({ userId }).lean();
+    return profile || refreshCustomerProfile(userId);
+}
+
+// Recomputes one customer's profile. Staff/admin accounts don't get one.
+async function refreshCustomerProfile(userId) {
+    const user = await SqlUser.findByPk(userId, { attributes: ['id', 'role'] });
+    if (!user || user.role !== 'customer') return null;
+    const metrics = computeCustomerMetrics(await loadPaidOrders({ userId }));
+    const profile = buildCustomerProfile(userId, metrics, await getRfmBreakpoints());
+    await CustomerProfile.replaceOne({ userId }, profile, { upsert: true });
+    return profile;
+}
+
+// Job: recompute every customer's profile and the quintile boundaries
+async function rebuildCustomerProfiles() {
+    const [users, orders] = await Promise.all([
+        SqlUser.findAll({ where: { role: 'customer' }, attributes: ['id'] }),
+        loadPaidOrders()
+    ]);
+    const ordersByUser = new Map();
+    orders.forEach(order => {
+        if (!ordersByUser.has(order.userId)) ordersByUser.set(order.userId, []);
+        ordersByUser.get(order.userId).push(order);
+    });
+
+    const now = new Date();
+    const metricsByUser = new Map(users.map(user => [user.id, computeCustomerMetrics(ordersByUser.get(user.id) || [], now)]));
+    const breakpoints = computeRfmBreakpoints([...metricsByUser.values()].filter(Boolean));
+    rfmBreakpointsCache = breakpoints;
+
+    const segments = {};
+    const operations = users.map(user => {
+        const profile = buildCustomerProfile(user.id, metricsByUser.get(user.id), breakpoints);
+        segments[profile.segment] = (segments[profile.segment] || 0) + 1;
+        return { replaceOne: { filter: { userId: user.id }, replacement: profile, upsert: true } };
+    });
+    if (operations.length > 0) await CustomerProfile.bulkWrite(operations, { ordered: false });
+    const removed = await CustomerProfile.deleteMany({ userId: { $nin: users.map(user => user.id) } });
+    return { profiles: users.length, segments, removed: removed.deletedCount };
+}
+
+// --- Promotion targeting ---
+function parsePromotionTargetSegments(promotion) {
+    const segments = typeof promotion.targetSegments === 'string' ? JSON.parse(promotion.targetSegments) : promotion.targetSegments;
+    return Array.isArray(segments) && segments.length > 0 ? segments : null;
+}
+
+function hasPromotionTarget(promotion) {
+    return Boolean(parsePromotionTargetSegments(promotion) || promotion.targetPreferredCategory);
+}
+
+// profile may be null (not computed yet), which counts as a 'prospect' with no preference
+function profileMatchesPromotionTarget(promotion, profile) {
+    const segments = parsePromotionTargetSegments(promotion);
+    if (segments && !segments.includes(profile?.segment || 'prospect')) return false;
+    if (promotion.targetPreferredCategory
+        && (profile?.preferredCategory || '').toLowerCase() !== promotion.targetPreferredCategory.toLowerCase()) {
+        return false;
+    }
+    return true;
+}
+
+// --- Admin segment endpoints ---
+// GET every segment with its size and averages
+app.get('/api/admin/segments', authMiddleware, staffMiddleware, async (req, res) => {
     try {
-        product.sizes = JSON.parse(product.sizes);
-    } catch (e) { product.sizes = []; }
+        const stats = await CustomerProfile.aggregate([
+            {
+                $group: {
+                    _id: '$segment',
+                    customers: { $sum: 1 },
+                    avgMonetary: { $avg: '$monetary' },
+                    avgFrequency: { $avg: '$frequency' },
+                    avgPriceSensitivity: { $avg: '$priceSensitivity' },
+                    computedAt: { $max: '$computedAt' }
+                }
+            }
+        ]);
+        const round = (value, places) => (value === null || value === undefined ? null : Number(value.toFixed(places)));
+        res.json(CUSTOMER_SEGMENTS.map(segment => {
+            const row = stats.find(entry => entry._id === segment);
+            return {
+                segment,
+                description: CUSTOMER_SEGMENT_DESCRIPTIONS[segment],
+                customers: row ? row.customers : 0,
+                avgMonetary: round(row?.avgMonetary, 2),
+                avgFrequency: round(row?.avgFrequency, 2),
+                avgPriceSensitivity: round(row?.avgPriceSensitivity, 2),
+                computedAt: row ? row.computedAt : null
+            };
+        }));
+    } catch (error) {
+        console.error('[Admin Segments] Error fetching segments:', error);
+        res.status(500).json({ message: 'Failed to fetch segments.' });
+    }
+});
 
-    // Parse DECIMAL strings to numbers
-    if (product.price !== null && product.price !== undefined) {
-        product.price = parseFloat(product.price);
+// GET a segment's customers, biggest spenders first (paginated like other lists)
+app.get('/api/admin/segments/:segment/customers', authMiddleware, staffMiddleware, async (req, res) => {
+    const { segment } = req.params;
+    if (!CUSTOMER_SEGMENTS.includes(segment)) {
+        return res.status(404).json({ message: 'Unknown segment' });
     }
-    if (product.originalPrice !== null && product.originalPrice !== undefined) {
-        product.originalPrice = parseFloat(product.originalPrice);
+    const pagination = parsePaginationParams(req.query);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
     }
 
-    // Note: Review aggregation removed
-    // Fetch reviews separately from MongoDB if needed here or on frontend
-    
-    res.json(product); 
-    
-  } catch (err) {
-     console.error("Error fetching product by ID from SQL:", err);
-     res.status(500).json({ message: 'Error fetching product' });
-  }
+    try {
+        const order = [['monetary', 'DESC'], ['userId', 'ASC']];
+        const filter = { segment };
+        const pageFilter = pagination.cursor ? { ...filter, ...buildMongoKeysetFilter(order, pagination.cursor) } : filter;
+        const [count, fetchedRows] = await Promise.all([
+            CustomerProfile.countDocuments(filter),
+            CustomerProfile.find(pageFilter)
+                .sort(toMongoSort(order))
+                .skip(pagination.offset)
+                .limit(pagination.pageSize + 1)
+                .lean()
+        ]);
+        const { rows, meta } = paginateResult(req, res, fetchedRows, order, pagination, count);
+
+        const users = await SqlUser.findAll({ where: { id: rows.map(row => row.userId) }, attributes: ['id', 'firstName', 'lastName', 'email'] });
+        const usersById = new Map(users.map(user => [user.id, user]));
+        res.json({
+            customers: rows.map(({ _id, ...profile }) => {
+                const user = usersById.get(profile.userId);
+                return { ...profile, name: user ? `${user.firstName} ${user.lastName}` : null, email: user?.email || null };
+            }),
+            ...meta
+        });
+    } catch (error) {
+        console.error(`[Admin Segments] Error fetching customers in segment ${segment}:`, error);
+        res.status(500).json({ message: 'Failed to fetch segment customers.' });
+    }
 });
+// --- End Customer Analytics (RFM) ---
 
-// API endpoint for searching products - REFRACTORED for MySQL
-app.get('/api/search', async (req, res) => {
-  const query = req.query.q; 
-  console.log(`[Search API - SQL] Received search query: '${query}'`);
+// --- Get Applicable Promotions Endpoint (Refactored for SQL) ---
+app.get('/api/users/me/promotions', authMiddleware, async (req, res) => {
+    const sqlUserId = req.sqlUser?.id;
+    if (!sqlUserId) {
+        return res.status(401).json({ message: 'User not authenticated.' });
+    }
+    const userLoyaltyPoints = req.sqlUser.loyaltyPoints;
+    console.log(`[Get Promotions SQL] Request for user ${sqlUserId} with ${userLoyaltyPoints} points.`);
 
-  if (!query) {
-    console.log("[Search API - SQL] Query is empty, returning 400.");
-    return res.status(400).json({ message: 'Search query cannot be empty' });
-  }
+    try {
+        const now = new Date();
+        const { Op } = Sequelize;
 
-  try {
-    // Use Sequelize's Op.like for case-insensitive search (syntax might vary slightly based on SQL dialect)
-    const { Op } = Sequelize; 
-    const productInstances = await SqlProduct.findAll({
-      where: {
-        name: {
-          [Op.like]: `%${query}%` // Case-insensitive depends on DB collation
-        }
-      }
-    });
+        // Find potentially applicable promotions in SQL
+        const activePromotions = await SqlPromotion.findAll({
+            where: {
+                isActive: true,
+                userId: null, // Personalized offers are listed by /api/users/me/personalized-offers
+                [Op.or]: [
+                    { startDate: { [Op.is]: null } }, // No start date OR
+                    { startDate: { [Op.lte]: now } }  // Start date is in the past or now
+                ],
+                [Op.or]: [
+                    { endDate: { [Op.is]: null } },   // No end date OR
+                    { endDate: { [Op.gte]: now } }    // End date is in the future or now
+                ],
+                [Op.or]: [
+                    { maxUses: { [Op.is]: null } }, // No max uses OR
+                    { usageCount: { [Op.lt]: sequelize.col('maxUses') } } // Usage count is less than max uses
+                ]
+            }
+        });
+
+        const { tier: userTier } = await evaluateUserTier(sqlUserId);
+        let profile; // Loaded only if some promotion is targeted
+
+        // Filter based on user-specific criteria (tier, first order - requires querying Order table)
+        const eligiblePromotions = [];
+        for (const promo of activePromotions) {
+            let userEligible = true;
+
+            // 1. Check Loyalty Tier
+            if (promo.applicableTier && !(await tierMeetsRequirement(userTier, promo.applicableTier))) {
+                userEligible = false;
+            }
+
+            // 1b. Check segment / preferred-category targeting
+            if (userEligible && hasPromotionTarget(promo)) {
+                if (profile === undefined) profile = await getCustomerProfile(sqlUserId);
+                userEligible = profileMatchesPromotionTarget(promo, profile);
+            }
 
-    // --- Post-processing (Parse JSON columns) --- 
-    const products = productInstances.map(p => {
-        const productJson = p.toJSON();
-        try {
-            productJson.colors = JSON.parse(productJson.colors);
-        } catch (e) { productJson.colors = []; }
-        try {
-            productJson.sizes = JSON.parse(productJson.sizes);
-        } catch (e) { productJson.sizes = []; }
+            // 2. Check WELCOME10 (First Order Check) - Requires SQL Order Query
+            // TODO: Re-implement first order check using SqlOrder if needed
+            if (userEligible && promo.maxUsesPerUser === 1 && promo.code === 'WELCOME10') {
+                try {
+                    const orderCount = await SqlOrder.count({ where: { userId: sqlUserId } });
+                    if (orderCount > 0) {
+                        userEligible = false; // Not eligible if they have previous orders
+                    }
+                } catch (orderCheckError) {
+                    console.error(`[Get Promotions SQL] Error checking order count for WELCOME10 for user ${sqlUserId}:`, orderCheckError);
+                    // Decide how to handle - maybe exclude promo if check fails?
+                    userEligible = false; 
+                }
+            }
             
-        // Parse DECIMAL strings to numbers
-        if (productJson.price !== null && productJson.price !== undefined) {
-            productJson.price = parseFloat(productJson.price);
-        }
-        if (productJson.originalPrice !== null && productJson.originalPrice !== undefined) {
-            productJson.originalPrice = parseFloat(productJson.originalPrice);
+            // 3. TODO: Check other maxUsesPerUser (requires tracking usage per user, maybe a separate table?)
+
+            if (userEligible) {
+                eligiblePromotions.push(promo.toJSON()); // Add plain object to results
+            }
         }
-        
-        return productJson;
-    });
 
-    console.log(`[Search API - SQL] Found ${products.length} products matching query.`);
+        console.log(`[Get Promotions SQL] Found ${eligiblePromotions.length} eligible promotions for user ${sqlUserId}.`);
+        res.json(eligiblePromotions);
 
-    if (!products || products.length === 0) {
-      console.log("[Search API - SQL] No products found, returning 404.");
-      // Keep 200 OK with empty array for search results typically
-      return res.json([]); 
-      // return res.status(404).json({ message: 'No products found matching your search.' });
+    } catch (error) {
+        console.error("[Get Promotions SQL] Error fetching promotions:", error);
+        res.status(500).json({ message: 'Failed to fetch promotions.' });
     }
-
-    res.json(products); 
-
-  } catch (err) {
-    console.error("[Search API - SQL] Error during product search:", err);
-    res.status(500).json({ message: 'Error searching products' });
-  }
 });
 
-// POST a new product (Example - Now uses SQL)
-app.post('/api/products', async (req, res) => {
-  try {
-    // Serialize arrays to JSON before saving
-    const productData = { ...req.body };
-    if (productData.colors) productData.colors = JSON.stringify(productData.colors);
-    if (productData.sizes) productData.sizes = JSON.stringify(productData.sizes);
+// --- Personalized Offer Engine ---
+// Personalized offers are ordinary SqlPromotion rows owned by one user (userId set,
+// single use, endDate = expiry), so redemption goes through the same validation as
+// any other code. Each rule below decides whether a user qualifies; its offer_rules
+// row decides what the offer is worth, how long it lasts and how often it is issued.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seeded into offer_rules when missing. codePrefix is fixed per rule (see RESERVED_PROMO_PREFIXES).
+const DEFAULT_OFFER_RULES = [
+    { ruleKey: 'wishlist_item', codePrefix: 'WISH', discountType: 'PERCENTAGE', discountValue: 10, validDays: 14, cooldownDays: 30 },
+    { ruleKey: 'preferred_category', codePrefix: 'CAT', discountType: 'PERCENTAGE', discountValue: 10, validDays: 14, cooldownDays: 60 },
+    { ruleKey: 'lapsed_customer', codePrefix: 'BACK', discountType: 'PERCENTAGE', discountValue: 15, validDays: 30, cooldownDays: 90, params: { lapsedDays: 90 } },
+    { ruleKey: 'birthday', codePrefix: 'BDAY', discountType: 'FIXED_AMOUNT', discountValue: 10, minSpend: 30, validDays: 30, cooldownDays: 300, params: { daysBefore: 7 } },
+    { ruleKey: 'tier_upgrade', codePrefix: 'TIER', discountType: 'PERCENTAGE', discountValue: 15, validDays: 30, cooldownDays: 0 }
+];
+
+async function seedOfferRules() {
+    const existing = await SqlOfferRule.findAll({ attributes: ['ruleKey'] });
+    const existingKeys = new Set(existing.map(rule => rule.ruleKey));
+    const missing = DEFAULT_OFFER_RULES.filter(rule => !existingKeys.has(rule.ruleKey));
+    if (missing.length > 0) await SqlOfferRule.bulkCreate(missing);
+    return missing.length;
+}
 
-    const newProduct = await SqlProduct.create(productData);
-    
-    // Parse JSON back for response consistency
-    const savedProduct = newProduct.toJSON();
-    try {
-        savedProduct.colors = JSON.parse(savedProduct.colors);
-    } catch (e) { savedProduct.colors = []; }
-    try {
-        savedProduct.sizes = JSON.parse(savedProduct.sizes);
-    } catch (e) { savedProduct.sizes = []; }
+function formatOfferRule(rule) {
+    return {
+        ruleKey: rule.ruleKey,
+        codePrefix: rule.codePrefix,
+        isActive: rule.isActive,
+        discountType: rule.discountType,
+        discountValue: parseFloat(rule.discountValue),
+        minSpend: parseFloat(rule.minSpend) || 0,
+        validDays: rule.validDays,
+        cooldownDays: rule.cooldownDays,
+        params: rule.params || {}
+    };
+}
 
-    res.status(201).json(savedProduct);
-  } catch (err) {
-    console.error("Error creating SQL product:", err);
-    // Add more specific error handling (e.g., validation errors)
-    res.status(400).json({ message: 'Error creating product', error: err.message }); 
-  }
-});
+// "10% off" / "$10.00 off"
+function describeOfferValue(rule) {
+    return rule.discountType === 'PERCENTAGE'
+        ? `${rule.discountValue}% off`
+        : `$${rule.discountValue.toFixed(2)} off`;
+}
 
-// --- Authentication Routes ---
+// Days from today until the next occurrence of a DATEONLY birthday (0 = today)
+function daysUntilBirthday(birthDate, now = new Date()) {
+    const [, month, day] = String(birthDate).split('-').map(Number);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let next = new Date(today.getFullYear(), month - 1, day);
+    if (next < today) next = new Date(today.getFullYear() + 1, month - 1, day);
+    return Math.round((next - today) / DAY_MS);
+}
 
-// Register a new user
-app.post('/api/auth/register', async (req, res) => {
-  console.log("[Register Route - SQL Primary] Received request");
-  const { firstName, lastName, username, email, password } = req.body;
-  console.log("[Register Route - SQL Primary] Received data:", { firstName, lastName, username, email, password: password ? '[PRESENT]' : '[MISSING]' });
+// Rule evaluators: resolve to { description } when the user qualifies, otherwise null.
+// context carries event data for rules that are issued on an event (tier_upgrade).
+const OFFER_RULE_EVALUATORS = {
+    async wishlist_item(user, rule) {
+        if (!user.mongoUserId) return null;
+        const mongoUser = await User.findById(user.mongoUserId).select('wishlist');
+        const productIds = (mongoUser?.wishlist || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+        if (productIds.length === 0) return null;
+        const product = await SqlProduct.findOne({ where: { id: productIds, isActive: true }, attributes: ['name'] });
+        if (!product) return null;
+        return { description: `Enjoy ${describeOfferValue(rule)} your next order! We noticed you like ${product.name}.` };
+    },
 
-  // --- Input Validation (Keep existing checks) --- 
-  if (!firstName || !lastName || !username || !email || !password) {
-    console.log("[Register Route - SQL Primary] Failed: Missing required fields");
-    return res.status(400).json({ message: 'All fields are required' }); 
-  }
-  // Password complexity checks...
-  console.log("[Register Route - SQL Primary] Checking password length...");
-  if (password.length < 8) {
-    console.log("[Register Route - SQL Primary] Failed: Password too short");
-    return res.status(400).json({ message: 'Password must be at least 8 characters long' });
-  }
-  console.log("[Register Route - SQL Primary] Checking password uppercase...");
-  if (!/[A-Z]/.test(password)) {
-    console.log("[Register Route - SQL Primary] Failed: No uppercase letter");
-    return res.status(400).json({ message: 'Password must contain at least one uppercase letter' });
-  }
-  console.log("[Register Route - SQL Primary] Checking password special char...");
-  if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?~]/.test(password)) {
-    console.log("[Register Route - SQL Primary] Failed: No special character");
-    return res.status(400).json({ message: 'Password must contain at least one special character' });
-  }
-  console.log("[Register Route - SQL Primary] Password validation passed.");
-  // --- End Input Validation --- 
+    async preferred_category(user, rule) {
+        // Order history first; recent browsing covers customers who haven't ordered yet
+        const profile = await getCustomerProfile(user.id);
+        const category = profile?.preferredCategory || await getBrowsedCategory(user.id);
+        if (!category) return null;
+        return { description: `Enjoy ${describeOfferValue(rule)} your next order! Especially for fans of ${category.toLowerCase()} products.` };
+    },
 
-  const mongoSession = await mongoose.startSession();
-  let sqlTransaction;
+    async lapsed_customer(user, rule) {
+        const lapsedDays = parseInt(rule.params.lapsedDays, 10) || 90;
+        const lastOrder = await SqlOrder.findOne({
+            where: { userId: user.id, status: QUALIFYING_ORDER_STATUSES },
+            order: [['orderDate', 'DESC']],
+            attributes: ['orderDate']
+        });
+        if (!lastOrder || Date.now() - new Date(lastOrder.orderDate).getTime() < lapsedDays * DAY_MS) return null;
+        return { description: `We miss you! Here's ${describeOfferValue(rule)} your next order.` };
+    },
 
-  try {
-    console.log("[Register Route - SQL Primary] Entering TRY block...");
-    sqlTransaction = await sequelize.transaction(); // Start SQL transaction
-    mongoSession.startTransaction(); // Start Mongo transaction
+    async birthday(user, rule) {
+        if (!user.birthDate) return null;
+        const daysBefore = parseInt(rule.params.daysBefore, 10) || 0;
+        if (daysUntilBirthday(user.birthDate) > daysBefore) return null;
+        return { description: `Happy birthday! Treat yourself to ${describeOfferValue(rule)} your next order.` };
+    },
 
-    // Check if username or email already exists in SQL DB
-    const existingSqlUser = await SqlUser.findOne({ 
-        where: { 
-            [Sequelize.Op.or]: [ { email: email.toLowerCase() }, { username: username.toLowerCase() } ] 
+    async tier_upgrade(user, rule, context) {
+        if (!context.tierName) return null; // Only issued when evaluateUserTier sees an upgrade
+        return { description: `Welcome to ${context.tierName}! Celebrate with ${describeOfferValue(rule)} your next order.` };
+    }
+};
+
+// True if the user still has an unused, unexpired offer from this rule, or was issued
+// one within the rule's cooldown.
+async function hasOpenOrRecentOffer(userId, rule, transaction) {
+    const { Op } = Sequelize;
+    const now = new Date();
+    const count = await SqlPromotion.count({
+        where: {
+            userId,
+            offerRule: rule.ruleKey,
+            [Op.or]: [
+                { createdAt: { [Op.gte]: new Date(now.getTime() - rule.cooldownDays * DAY_MS) } },
+                { isActive: true, usageCount: 0, endDate: { [Op.gt]: now } }
+            ]
         },
-        transaction: sqlTransaction
+        transaction
     });
-    if (existingSqlUser) {
-        let message = 'Registration failed.';
-        if (existingSqlUser.email === email.toLowerCase()) {
-            message = 'Email already in use';
-        } else if (existingSqlUser.username === username.toLowerCase()) {
-            message = 'Username already taken';
-        }
-        await sqlTransaction.rollback(); // Rollback SQL
-        await mongoSession.abortTransaction(); // Abort Mongo
-      return res.status(400).json({ message: message });
+    return count > 0;
+}
+
+// Issues one rule's offer to a user if they qualify and don't already have one.
+// The caller must hold the user row lock in `transaction` (see generatePersonalizedOffers).
+// Resolves to the created SqlPromotion row, or null.
+async function issuePersonalizedOffer(user, rule, { context, notify, transaction }) {
+    if (await hasOpenOrRecentOffer(user.id, rule, transaction)) return null;
+    const outcome = await OFFER_RULE_EVALUATORS[rule.ruleKey](user, rule, context);
+    if (!outcome) return null;
+
+    const now = new Date();
+    const offer = await SqlPromotion.create({
+        code: `${rule.codePrefix}-${user.id}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        description: outcome.description,
+        discountType: rule.discountType,
+        discountValue: rule.discountValue,
+        minSpend: rule.minSpend,
+        maxUses: 1,
+        maxUsesPerUser: 1,
+        startDate: now,
+        endDate: new Date(now.getTime() + rule.validDays * DAY_MS),
+        isActive: true,
+        userId: user.id,
+        offerRule: rule.ruleKey
+    }, { transaction });
+    if (notify) {
+        await SqlUserNotification.create({
+            userId: user.id,
+            type: 'personalized_offer',
+            message: `${outcome.description} Use code ${offer.code} by ${offer.endDate.toLocaleDateString()}.`
+        }, { transaction });
     }
+    return offer;
+}
 
-    // Also check MongoDB just in case (e.g., during transition or if data is inconsistent)
-    const existingMongoUser = await User.findOne({ 
-        $or: [ { email: email.toLowerCase() }, { username: username.toLowerCase() } ] 
-    }).session(mongoSession);
-    if (existingMongoUser) {
-        await sqlTransaction.rollback();
-        await mongoSession.abortTransaction();
-        return res.status(400).json({ message: 'Email or Username already exists (Mongo check).' });
+// Runs the active rules (optionally only ruleKeys) for one SqlUser and stores an offer
+// for every rule the user qualifies for. A failing rule is logged and skipped.
+// options.notify also posts a user_notifications message per new offer.
+// Each rule runs in its own transaction (or the caller's) with the user row locked, so
+// concurrent runs for the same user can't both pass the duplicate check and issue twice.
+// Resolves to the created SqlPromotion rows.
+async function generatePersonalizedOffers(user, { ruleKeys, context = {}, notify = false, transaction } = {}) {
+    const where = { isActive: true };
+    if (ruleKeys) where.ruleKey = ruleKeys;
+    const rules = (await SqlOfferRule.findAll({ where, transaction })).map(formatOfferRule);
+
+    const issued = [];
+    for (const rule of rules) {
+        if (!OFFER_RULE_EVALUATORS[rule.ruleKey]) continue;
+        let ruleTransaction;
+        try {
+            ruleTransaction = transaction || await sequelize.transaction();
+            await SqlUser.findByPk(user.id, { attributes: ['id'], transaction: ruleTransaction, lock: ruleTransaction.LOCK.UPDATE });
+            const offer = await issuePersonalizedOffer(user, rule, { context, notify, transaction: ruleTransaction });
+            if (!transaction) await ruleTransaction.commit();
+            if (!offer) continue;
+            console.log(`[Personalized Offers] Issued ${offer.code} (${rule.ruleKey}) to user ${user.id}.`);
+            issued.push(offer);
+        } catch (error) {
+            if (!transaction && ruleTransaction && !ruleTransaction.finished) await ruleTransaction.rollback();
+            console.error(`[Personalized Offers] Rule ${rule.ruleKey} failed for user ${user.id}:`, error);
+        }
     }
+    return issued;
+}
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10); 
-    const hashedPassword = await bcrypt.hash(password, salt);
+function formatPersonalizedOffer(promotion) {
+    return {
+        code: promotion.code,
+        description: promotion.description,
+        discountType: promotion.discountType,
+        discountValue: parseFloat(promotion.discountValue),
+        minSpend: parseFloat(promotion.minSpend) || 0,
+        rule: promotion.offerRule,
+        expiresAt: promotion.endDate,
+        isPersonalized: true
+    };
+}
+// --- End Personalized Offer Engine ---
 
-    // Create and save user to SQL
-    const savedSqlUser = await SqlUser.create({
-        firstName,
-        lastName,
-        username: username.toLowerCase(),
-        email: email.toLowerCase(), 
-        password: hashedPassword,
-        // mongoUserId will be set after Mongo user is created
-        // loyaltyPoints defaults to 0
-    }, { transaction: sqlTransaction });
+// --- Promotion Validation Helpers (shared by /api/apply-promotion and checkout) ---
+// Both endpoints must agree on whether a code is usable and what it's worth,
+// so all checks live here instead of being repeated in each route.
 
-    // Create minimal user in MongoDB (for wishlist, etc.)
-    const minimalMongoUser = new User({
-        email: savedSqlUser.email, 
-        username: savedSqlUser.username,
-        firstName: savedSqlUser.firstName, // Keep basic info synced if needed
-        lastName: savedSqlUser.lastName,
-        password: '__MYSQL_AUTH__', // Indicate auth is handled by SQL
-        wishlist: [] // Initialize empty wishlist
-        // loyaltyPoints are now primarily in SQL
-    });
-    const savedMongoUser = await minimalMongoUser.save({ session: mongoSession });
+// Validates a promotion code for a user.
+// options.subTotal (repriced, pre-discount) enables the minSpend check.
+// Resolves to { valid: true, promotion } or { valid: false, status, message }.
+async function validatePromotionForUser(rawCode, sqlUser, options = {}) {
+    const promoCode = String(rawCode).toUpperCase().trim();
+    const sqlUserId = sqlUser.id;
 
-    // Update SQL user with Mongo ID
-    savedSqlUser.mongoUserId = savedMongoUser._id.toString();
-    await savedSqlUser.save({ transaction: sqlTransaction });
+    const promotion = await SqlPromotion.findOne({ where: { code: promoCode }, transaction: options.transaction });
 
-    console.log(`[Register Route - SQL Primary] User ${savedSqlUser.username} saved to SQL (ID: ${savedSqlUser.id}) and Mongo (ID: ${savedMongoUser._id}).`);
+    // Personalized offers are only valid for the user they were issued to
+    if (!promotion || (promotion.userId !== null && promotion.userId !== sqlUserId)) {
+        return { valid: false, status: 404, message: 'Invalid promotion code.' };
+    }
+    const isPersonalized = promotion.userId !== null;
+    if (!promotion.isActive) {
+        return { valid: false, status: 400, message: 'This promotion is no longer active.' };
+    }
+    const now = new Date();
+    if (promotion.startDate && promotion.startDate > now) {
+        return { valid: false, status: 400, message: 'This promotion has not started yet.' };
+    }
+    if (promotion.endDate && promotion.endDate < now) {
+        return { valid: false, status: 400, message: 'This promotion has expired.' };
+    }
+    if (promotion.maxUses !== null && promotion.usageCount >= promotion.maxUses) {
+        if (isPersonalized) {
+            return { valid: false, status: 400, message: 'This personalized offer code has already been used.' };
+        }
+        return { valid: false, status: 400, message: 'This promotion has reached its usage limit.' };
+    }
+    const minSpend = parseFloat(promotion.minSpend) || 0;
+    if (options.subTotal !== undefined && options.subTotal < minSpend) {
+        return { valid: false, status: 400, message: `This promotion requires a minimum spend of $${minSpend.toFixed(2)}.` };
+    }
 
-    // Commit transactions
-    await sqlTransaction.commit();
-    await mongoSession.commitTransaction();
+    // --- User-Specific Validation ---
+    // Check loyalty tier
+    if (promotion.applicableTier) {
+        const { tier } = await evaluateUserTier(sqlUserId, { transaction: options.transaction });
+        if (!(await tierMeetsRequirement(tier, promotion.applicableTier))) {
+            return { valid: false, status: 403, message: `You need ${promotion.applicableTier} tier for this promotion.` };
+        }
+    }
 
-    // --- Auto-login: Generate JWT using SQL User ID --- 
-    const payload = {
-      user: {
-        id: savedSqlUser.id // Use SQL ID
-      }
-    };
+    // Check segment / preferred-category targeting
+    if (hasPromotionTarget(promotion) && !profileMatchesPromotionTarget(promotion, await getCustomerProfile(sqlUserId))) {
+        return { valid: false, status: 403, message: 'This promotion is not available for your account.' };
+    }
 
-    jwt.sign(
-      payload,
-      JWT_SECRET,
-      { expiresIn: '1h' }, 
-      (err, token) => {
-        if (err) {
-             console.error("Token signing error after registration:", err);
-             return res.status(201).json({ 
-                 message: 'User registered successfully, but token generation failed.', 
-                 userId: savedSqlUser.id // Return SQL ID
-             });
+    // Check max uses per user (WELCOME10 check)
+    // TODO: Implement tracking for other single-use codes if needed
+    if (promotion.maxUsesPerUser === 1 && promotion.code === 'WELCOME10') {
+        const orderCount = await SqlOrder.count({ where: { userId: sqlUserId }, transaction: options.transaction });
+        if (orderCount > 0) {
+            return { valid: false, status: 403, message: 'Welcome offer is only for your first order.' };
         }
-        res.status(201).json({ 
-            message: 'User registered successfully', 
-            userId: savedSqlUser.id, // Return SQL ID
-            token: token // Include token
-        }); 
-      }
-    );
+    }
 
-  } catch (err) {
-    console.error("Registration Error (SQL Primary):", err);
-    // Rollback transactions on any error
-    if (sqlTransaction) await sqlTransaction.rollback();
-    if (mongoSession.inTransaction()) await mongoSession.abortTransaction();
-    
-    // Check for specific Sequelize validation errors if needed
-    res.status(500).json({ message: 'Error registering user' });
-  } finally {
-      if (mongoSession) mongoSession.endSession();
-  }
-});
+    return {
+        valid: true,
+        promotion: {
+            code: promotion.code,
+            description: promotion.description,
+            discountType: promotion.discountType,
+            discountValue: parseFloat(promotion.discountValue), // Convert Decimal to number
+            isPersonalized
+        }
+    };
+}
 
-// Login user
-app.post('/api/auth/login', async (req, res) => {
-  const { identifier, password } = req.body; 
+// Merchandise discount (in dollars) a validated promotion gives on subTotal.
+// FREE_SHIPPING discounts shipping, not merchandise, so it returns 0 here.
+function calculatePromotionDiscount(promotion, subTotal) {
+    let discountAmount = 0;
+    if (promotion.discountType === 'PERCENTAGE') {
+        discountAmount = (subTotal * promotion.discountValue) / 100;
+    } else if (promotion.discountType === 'FIXED_AMOUNT') {
+        discountAmount = promotion.discountValue;
+    }
+    // Ensure discount doesn't exceed subtotal
+    discountAmount = Math.min(discountAmount, subTotal);
+    return Math.round(discountAmount * 100) / 100;
+}
+// --- End Promotion Validation Helpers ---
 
-  if (!identifier || !password) {
-    return res.status(400).json({ message: 'Email/Username and password are required' });
-  }
+// --- Apply Promotion Code Endpoint (Refactored for SQL) ---
+// Validates only - usage is recorded in fulfillOrderSql once payment succeeds.
+app.post('/api/apply-promotion', authMiddleware, async (req, res) => {
+    const { code, cart } = req.body; // cart is optional; enables minSpend check and discount preview
+    const sqlUserId = req.sqlUser?.id;
 
-  try {
-    // Find user by email or username in SQL DB
-    const user = await SqlUser.findOne({ 
-      where: { 
-          [Sequelize.Op.or]: [ 
-        { email: identifier.toLowerCase() }, 
-        { username: identifier.toLowerCase() } 
-      ]
-        }
-     });
-     
-    if (!user) {
-      console.log(`[Login - SQL] User not found for identifier: ${identifier}`);
-      return res.status(401).json({ message: 'Invalid credentials' });
+    if (!code) {
+        return res.status(400).json({ message: 'Promotion code is required.' });
+    }
+    if (!sqlUserId) {
+        return res.status(401).json({ message: 'User not authenticated.' });
     }
+    console.log(`[Apply Promotion SQL] Request for user ${sqlUserId}, code ${code}.`);
+
+    try {
+        let subTotal;
+        if (cart) {
+            const repriced = await repriceCart(cart);
+            if (repriced.errors.length > 0) {
+                return sendCartErrors(res, repriced.errors);
+            }
+            subTotal = repriced.subTotal;
+        }
+
+        const result = await validatePromotionForUser(code, req.sqlUser, { subTotal });
+        if (!result.valid) {
+            console.log(`[Apply Promotion SQL] Code ${code} rejected for user ${sqlUserId}: ${result.message}`);
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        // --- Validation Passed ---
+        const promotion = result.promotion;
+        console.log(`[Apply Promotion SQL] Code ${promotion.code} validated successfully for user ${sqlUserId}.`);
+        res.json({
+            message: promotion.isPersonalized ? 'Personalized promotion applied successfully!' : 'Promotion applied successfully!',
+            code: promotion.code,
+            description: promotion.description,
+            discountType: promotion.discountType,
+            discountValue: promotion.discountValue,
+            discountAmount: subTotal !== undefined ? calculatePromotionDiscount(promotion, subTotal) : undefined
+        });
 
-    // Compare password with the hash stored in SQL
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      console.log(`[Login - SQL] Password mismatch for identifier: ${identifier}`);
-      return res.status(401).json({ message: 'Invalid credentials' });
+    } catch (error) {
+        console.error("[Apply Promotion SQL] Error applying promotion code:", error);
+        res.status(500).json({ message: 'Failed to apply promotion code.' });
     }
+});
 
-    // User matched, create JWT payload using SQL User ID
-    const payload = {
-      user: {
-        id: user.id // Use SQL ID
-      }
-    };
+// --- Get Personalized Offers Endpoint ---
+// Unused, unexpired offers for a user, soonest to expire first
+async function findActivePersonalizedOffers(userId) {
+    const { Op } = Sequelize;
+    const offers = await SqlPromotion.findAll({
+        where: {
+            userId,
+            isActive: true,
+            usageCount: 0,
+            endDate: { [Op.gt]: new Date() }
+        },
+        order: [['endDate', 'ASC']]
+    });
+    return offers.map(formatPersonalizedOffer);
+}
 
-    // Sign the token
-    jwt.sign(
-      payload,
-      JWT_SECRET,
-      { expiresIn: '1h' }, 
-      (err, token) => {
-        if (err) throw err;
-        console.log(`[Login - SQL] Login successful for user ID: ${user.id}`);
-        res.json({ token });
-      }
-    );
+// Read-only: offers are issued by the issue-personalized-offers job, on tier upgrades,
+// or when the customer asks for them with the POST below
+app.get('/api/users/me/personalized-offers', authMiddleware, async (req, res) => {
+    const sqlUser = req.sqlUser;
+    if (!sqlUser) {
+        return res.status(401).json({ message: 'User not authenticated.' });
+    }
 
-  } catch (err) {
-    console.error("Login Error (SQL):", err);
-    res.status(500).json({ message: 'Server error during login' });
-  }
+    try {
+        res.json(await findActivePersonalizedOffers(sqlUser.id));
+    } catch (error) {
+        console.error("[Personalized Offers] Error loading offers:", error);
+        res.status(500).json({ message: 'Failed to load personalized offers.' });
+    }
 });
 
-// --- End Authentication Routes ---
-
-// --- User Data Route (Protected) --- Refactored
-app.get('/api/users/me', authMiddleware, async (req, res) => {
-  try {
-    // req.sqlUser is attached by authMiddleware (excluding password)
-    const sqlUser = req.sqlUser; 
+// Runs the offer rules for the current user now. Returns { issuedCount, offers }.
+app.post('/api/users/me/personalized-offers', authMiddleware, async (req, res) => {
+    const sqlUser = req.sqlUser;
     if (!sqlUser) {
-      // This case might occur if the Mongo user lookup failed in middleware 
-      // but we allowed it to proceed. Or if sqlUser wasn't attached properly.
-      console.error('[GET /api/users/me] req.sqlUser not found after authMiddleware.');
-      return res.status(404).json({ message: 'User data not found'});
+        return res.status(401).json({ message: 'User not authenticated.' });
     }
 
-    // Fetch the corresponding Mongo user to get the wishlist
-    const mongoUser = await User.findOne({ email: sqlUser.email }).select('wishlist');
-    const wishlist = mongoUser ? mongoUser.wishlist : []; // Default to empty array if no mongo user
+    try {
+        const issued = await generatePersonalizedOffers(sqlUser);
+        res.json({ issuedCount: issued.length, offers: await findActivePersonalizedOffers(sqlUser.id) });
+    } catch (error) {
+        console.error("[Personalized Offers] Error issuing offers:", error);
+        res.status(500).json({ message: 'Failed to check for personalized offers.' });
+    }
+});
+
 
-    // --- Analyze Order History for Preferred Category (SQL) ---
-    let preferredCategory = null;
+// --- Internal Feedback Analysis Endpoint ---
+// Rating count and average per product, aggregated in MongoDB (approved reviews only)
+app.get('/api/internal/feedback-analysis', authMiddleware, adminMiddleware, async (req, res) => {
+    console.log("[Internal Feedback Analysis] Request received.");
     try {
-      const orders = await SqlOrder.findAll({
-        where: { userId: sqlUser.id },
-        include: [
-          { 
-            model: SqlOrderItem, 
-            as: 'items',
-            attributes: ['productId'], // Only need product ID from items
-            include: [ 
-              { 
-                model: SqlProduct,
-                attributes: ['category'] // Only need category from product
-              }
-            ]
-          }
-        ],
-        // Limit to recent orders? Optional.
-        // order: [[ 'orderDate', 'DESC' ]],
-        // limit: 20 
-      });
+        const stats = await getReviewStats();
+        if (stats.size === 0) {
+            return res.json({ message: "No product feedback with ratings found to analyze.", analysis: {} });
+        }
 
-      const categoryCounts = {};
-      let maxCount = 0;
-
-      orders.forEach(order => {
-        order.items?.forEach(item => {
-          const category = item.SqlProduct?.category; // Use association name
-          if (category) {
-            categoryCounts[category] = (categoryCounts[category] || 0) + 1;
-            if (categoryCounts[category] > maxCount) {
-              maxCount = categoryCounts[category];
-              preferredCategory = category;
-            }
-          }
+        const analysisResults = {};
+        stats.forEach((productStats, productId) => {
+            analysisResults[productId] = {
+                count: productStats.numReviews,
+                averageRating: productStats.averageRating,
+                ratingDistribution: productStats.ratingDistribution
+            };
         });
-      });
 
-      console.log(`[User Analysis] User ${sqlUser.id} category counts:`, categoryCounts);
-      console.log(`[User Analysis] User ${sqlUser.id} preferred category: ${preferredCategory}`);
+        res.json({ message: "Feedback analysis complete.", analysis: analysisResults });
 
-    } catch (analysisError) {
-      console.error(`[User Analysis] Error analyzing order history for user ${sqlUser.id}:`, analysisError);
-      // Don't fail the whole request, just proceed without preferredCategory
+    } catch (error) {
+        console.error("[Internal Feedback Analysis] Error:", error);
+        res.status(500).json({ message: "Failed to analyze feedback.", error: error.message });
     }
-    // --- End Analysis ---
+});
 
-    // Combine SQL and Mongo data for response
-    const responseData = {
-        id: sqlUser.id, // SQL ID
-        mongoId: sqlUser.mongoUserId, // Mongo ID (if needed by frontend)
-        firstName: sqlUser.firstName,
-        lastName: sqlUser.lastName,
-        username: sqlUser.username,
-        email: sqlUser.email,
-        loyaltyPoints: sqlUser.loyaltyPoints,
-        wishlist: wishlist,
-        createdAt: sqlUser.createdAt, // From SQL
-        preferredCategory: preferredCategory // Add the analyzed category
-    };
+// --- Admin Dashboard Endpoints (orders, promotions, customers) ---
 
-    res.json(responseData); // Send combined user data
+// GET orders with items. ?q matches order id, Stripe session id, shipping name,
+// customer email/name or an item name; ?status, ?from and ?to (dates) narrow it down.
+// Amounts are in ?currency= (default the base currency); chargedCurrency/chargedAmount show what was paid.
+app.get('/api/admin/orders', authMiddleware, staffMiddleware, async (req, res) => {
+    const { q, status, from, to } = req.query;
+    const pagination = parsePaginationParams(req.query, 25);
+    if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+    }
 
-  } catch (err) {
-    console.error("Error fetching combined user data:", err);
-    res.status(500).json({ message: 'Server error fetching user data' });
-  }
-});
+    try {
+        const { currency, error: currencyError } = await parseCurrencyParam(req.query); // Reporting currency
+        if (currencyError) {
+            return res.status(400).json({ message: currencyError });
+        }
+        const { Op } = Sequelize;
+        const andConditions = [];
+
+        if (q && q.trim()) {
+            const term = q.trim();
+            const like = { [Op.like]: `%${term}%` };
+            // Resolve user and item matches first so the paged query stays a simple WHERE
+            const [matchingUsers, matchingItems] = await Promise.all([
+                SqlUser.findAll({
+                    where: { [Op.or]: [{ email: like }, { username: like }, { firstName: like }, { lastName: like }] },
+                    attributes: ['id']
+                }),
+                SqlOrderItem.findAll({ where: { name: like }, attributes: ['orderId'] })
+            ]);
+            const searchConditions = [
+                { shippingFullName: like },
+                { stripeSessionId: term },
+                { userId: matchingUsers.map(u => u.id) },
+                { id: [...new Set(matchingItems.map(i => i.orderId))] }
+            ];
+            if (/^\d+$/.test(term)) searchConditions.push({ id: parseInt(term, 10) });
+            andConditions.push({ [Op.or]: searchConditions });
+        }
+        if (status) {
+            if (!ORDER_STATUSES.includes(status)) {
+                return res.status(400).json({ message: `status must be one of: ${ORDER_STATUSES.join(', ')}` });
+            }
+            andConditions.push({ status });
+        }
 
-// --- Wishlist Routes (Protected) ---
+        const dateRange = {};
+        if (from) {
+            const fromDate = new Date(from);
+            if (isNaN(fromDate)) return res.status(400).json({ message: 'from must be a valid date' });
+            dateRange[Op.gte] = fromDate;
+        }
+        if (to) {
+            const toDate = new Date(to);
+            if (isNaN(toDate)) return res.status(400).json({ message: 'to must be a valid date' });
+            dateRange[Op.lte] = toDate;
+        }
+        if (Object.getOwnPropertySymbols(dateRange).length > 0) andConditions.push({ orderDate: dateRange });
+
+        const whereOptions = { [Op.and]: andConditions };
+        const orderOptions = [['orderDate', 'DESC'], ['id', 'DESC']];
+        const count = await SqlOrder.count({ where: whereOptions });
+        const pageWhere = pagination.cursor
+            ? { [Op.and]: [...andConditions, buildKeysetWhere(orderOptions, [new Date(pagination.cursor[0]), pagination.cursor[1]])] }
+            : whereOptions;
+        const fetchedOrders = await SqlOrder.findAll({
+            where: pageWhere,
+            order: orderOptions,
+            limit: pagination.pageSize + 1,
+            offset: pagination.offset,
+            include: [
+                { model: SqlOrderItem, as: 'items', include: [{ model: SqlProduct, attributes: ['id', 'name', 'image'] }] },
+                { model: SqlUser, attributes: ['id', 'email', 'firstName', 'lastName'] }
+            ]
+        });
+        const { rows, meta } = paginateResult(req, res, fetchedOrders, orderOptions, pagination, count);
+
+        const orders = rows.map(order => {
+            const orderJson = formatSqlOrder(order, currency);
+            orderJson.customer = orderJson.User || null;
+            delete orderJson.User;
+            orderJson.allowedTransitions = ORDER_STATUS_TRANSITIONS[orderJson.status] || [];
+            return orderJson;
+        });
+        await attachStatusHistory(orders);
 
-// GET user's wishlist (Reads from MongoDB User)
-app.get('/api/users/me/wishlist', authMiddleware, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select('wishlist');
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+        res.json({ orders, ...meta });
+    } catch (error) {
+        console.error('[Admin Orders] Error searching orders:', error);
+        res.status(500).json({ message: 'Failed to fetch orders.' });
     }
-    // Here, user.wishlist contains MongoDB ObjectIds
-    // If products are now in SQL, we might need to change what's stored/
-    // returned. For now, returning the Mongo IDs.
-    // TODO: Decide if wishlist array should store SQL IDs instead.
-    res.json(user.wishlist); 
-  } catch (err) {
-    console.error("Error fetching user wishlist:", err);
-    res.status(500).json({ message: 'Server error fetching wishlist' });
-  }
 });
 
-// Add item to wishlist (Updates MongoDB User and SQL Product)
-app.post('/api/users/me/wishlist', authMiddleware, async (req, res) => {
-  const { productId } = req.body; // This is now expected to be the SQL Product ID
-  const mongoUserId = req.user.id; // This is the MongoDB User ID from the token
-
-  // Validate SQL Product ID (assuming it's numeric)
-  const sqlProductId = parseInt(productId, 10);
-  if (isNaN(sqlProductId)) {
-    return res.status(400).json({ message: 'Valid SQL Product ID is required' });
-  }
+// Staff can move orders along the fulfillment path; cancelling or refunding is admin-only
+const ADMIN_ONLY_ORDER_STATUSES = ['Cancelled', 'Refunded'];
 
-  const mongoSession = await mongoose.startSession(); // Mongo transaction for User update
-  let sqlTransaction; // Sequelize transaction for Product update
+// POST change an order's status ({ status, note }). Only valid transitions are accepted.
+app.post('/api/admin/orders/:id/status', authMiddleware, staffMiddleware, async (req, res) => {
+    const orderId = parseInt(req.params.id, 10);
+    if (isNaN(orderId)) {
+        return res.status(400).json({ message: 'Invalid order ID format' });
+    }
+    const { status, note } = req.body;
+    if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${ORDER_STATUSES.join(', ')}` });
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+        return res.status(400).json({ message: 'note must be a string of at most 500 characters' });
+    }
+    if (ADMIN_ONLY_ORDER_STATUSES.includes(status) && req.sqlUser.role !== 'admin') {
+        return res.status(403).json({ message: `Only admins can mark orders as ${status}` });
+    }
 
-  try {
-    sqlTransaction = await sequelize.transaction();
-    mongoSession.startTransaction(); // Start Mongoose transaction
+    let transaction;
+    try {
+        transaction = await sequelize.transaction();
+        // Lock the row so two staff members can't race the same order
+        const order = await SqlOrder.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!order) {
+            await transaction.rollback();
+            return res.status(404).json({ message: 'Order not found' });
+        }
 
-    // 1. Find Mongo User
-    const user = await User.findById(mongoUserId).session(mongoSession);
-    if (!user) {
-        throw new Error('Mongo User not found'); // Internal error
-    }
+        await transitionOrderStatus(order, status, {
+            changedByUserId: req.sqlUser.id,
+            source: 'admin',
+            note: note ? note.trim() : null,
+            transaction
+        });
+        await transaction.commit();
 
-    // 2. Find SQL Product (to ensure it exists)
-    const product = await SqlProduct.findByPk(sqlProductId, { transaction: sqlTransaction });
-    if (!product) {
-        throw new Error('SQL Product not found');
+        const [orderJson] = await attachStatusHistory([{ id: order.id, status: order.status }]);
+        orderJson.allowedTransitions = ORDER_STATUS_TRANSITIONS[order.status];
+        res.json(orderJson);
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error(`[Admin Orders] Error changing status of order ${orderId}:`, error);
+        res.status(500).json({ message: 'Failed to update order status.' });
     }
+});
 
-    // --- Store SQL Product ID in Mongo User Wishlist --- 
-    // Decision: Store SQL ID as a string in the Mongo wishlist array.
-    const productIdString = sqlProductId.toString();
-    const isAlreadyWishlisted = user.wishlist.map(id => id.toString()).includes(productIdString);
+// Codes with these prefixes are generated per user (see validatePromotionForUser)
+const RESERVED_PROMO_PREFIXES = DEFAULT_OFFER_RULES.map(rule => `${rule.codePrefix}-`);
 
-    // 3. Update Mongo User Wishlist
-    if (!isAlreadyWishlisted) {
-        await User.updateOne({ _id: mongoUserId }, 
-            { $addToSet: { wishlist: productIdString } }, // Add SQL ID as string
-            { session: mongoSession }
-        );
-    } 
+// Validates a new promotion body. Returns { values, errors } like validateProductInput.
+function validatePromotionInput(body, { tierNames = [] } = {}) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
 
-    // 4. Update SQL Product Count (only if newly added)
-    if (!isAlreadyWishlisted) {
-        await SqlProduct.increment('wishlistCount', { 
-            by: 1, 
-            where: { id: sqlProductId }, 
-            transaction: sqlTransaction 
-        });
-        console.log(`[Wishlist Add] Incremented wishlistCount for SQL product ${sqlProductId}`);
+    const code = typeof body.code === 'string' ? body.code.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9_-]{3,40}$/.test(code)) {
+        errors.push({ field: 'code', message: 'code must be 3-40 letters, digits, "-" or "_"' });
+    } else if (RESERVED_PROMO_PREFIXES.some(prefix => code.startsWith(prefix))) {
+        errors.push({ field: 'code', message: `code cannot start with ${RESERVED_PROMO_PREFIXES.join(' or ')} (reserved for personalized offers)` });
     } else {
-        console.log(`[Wishlist Add] SQL Product ${sqlProductId} already in wishlist for user ${mongoUserId}. Count not incremented.`);
+        values.code = code;
     }
 
-    // 5. Commit both transactions
-    await sqlTransaction.commit();
-    await mongoSession.commitTransaction();
-
-    res.status(200).json({ message: 'Product added to wishlist' });
-
-  } catch (err) {
-    console.error("Error adding to wishlist (SQL/Mongo):", err);
-    // Rollback transactions on error
-    if (sqlTransaction) await sqlTransaction.rollback();
-    if (mongoSession.inTransaction()) await mongoSession.abortTransaction();
-    
-    if (err.message === 'SQL Product not found') {
-         res.status(404).json({ message: 'Product not found' });
+    if (typeof body.description !== 'string' || body.description.trim() === '') {
+        errors.push({ field: 'description', message: 'description is required' });
     } else {
-    res.status(500).json({ message: 'Server error adding to wishlist' });
+        values.description = body.description.trim();
     }
-  } finally {
-      if (mongoSession) mongoSession.endSession();
-  }
-});
 
-// Remove item from wishlist (Updates MongoDB User and SQL Product)
-app.delete('/api/users/me/wishlist/:productId', authMiddleware, async (req, res) => {
-  const { productId } = req.params; // Expecting SQL Product ID
-  const mongoUserId = req.user.id; // Mongo User ID
+    const discountTypes = SqlPromotion.getAttributes().discountType.values;
+    if (!discountTypes.includes(body.discountType)) {
+        errors.push({ field: 'discountType', message: `discountType must be one of: ${discountTypes.join(', ')}` });
+    } else {
+        values.discountType = body.discountType;
+        if (body.discountType === 'FREE_SHIPPING') {
+            values.discountValue = 0;
+        } else {
+            const discountValue = parseMoney(body.discountValue);
+            if (discountValue === null || discountValue <= 0) {
+                errors.push({ field: 'discountValue', message: 'discountValue must be a positive number' });
+            } else if (body.discountType === 'PERCENTAGE' && discountValue > 100) {
+                errors.push({ field: 'discountValue', message: 'A percentage discount cannot exceed 100' });
+            } else {
+                values.discountValue = discountValue;
+            }
+        }
+    }
 
-  const sqlProductId = parseInt(productId, 10);
-  if (isNaN(sqlProductId)) {
-    return res.status(400).json({ message: 'Valid SQL Product ID is required' });
-  }
+    if (body.minSpend !== undefined && body.minSpend !== null && body.minSpend !== '') {
+        const minSpend = parseMoney(body.minSpend);
+        if (minSpend === null || minSpend < 0) {
+            errors.push({ field: 'minSpend', message: 'minSpend must be a non-negative number' });
+        } else {
+            values.minSpend = minSpend;
+        }
+    }
 
-  const mongoSession = await mongoose.startSession(); 
-  let sqlTransaction;
+    ['maxUses', 'maxUsesPerUser'].forEach(field => {
+        if (body[field] === undefined) return;
+        if (body[field] === null || body[field] === '') {
+            values[field] = null; // Unlimited
+        } else if (!Number.isInteger(Number(body[field])) || Number(body[field]) < 1) {
+            errors.push({ field, message: `${field} must be a positive integer or null (unlimited)` });
+        } else {
+            values[field] = Number(body[field]);
+        }
+    });
 
-  try {
-    sqlTransaction = await sequelize.transaction();
-    mongoSession.startTransaction(); 
+    if (body.applicableTier !== undefined && body.applicableTier !== null && body.applicableTier !== '') {
+        if (!tierNames.includes(body.applicableTier)) {
+            errors.push({ field: 'applicableTier', message: `applicableTier must be one of: ${tierNames.join(', ')}` });
+        } else {
+            values.applicableTier = body.applicableTier;
+        }
+    }
 
-    // 1. Find Mongo User
-    const user = await User.findById(mongoUserId).session(mongoSession);
-    if (!user) {
-        throw new Error('Mongo User not found');
+    // Customer-analytics targeting; both are optional and combine with AND
+    if (body.targetSegments !== undefined && body.targetSegments !== null) {
+        if (!Array.isArray(body.targetSegments) || body.targetSegments.some(segment => !CUSTOMER_SEGMENTS.includes(segment))) {
+            errors.push({ field: 'targetSegments', message: `targetSegments must be a list of: ${CUSTOMER_SEGMENTS.join(', ')}` });
+        } else if (body.targetSegments.length > 0) {
+            values.targetSegments = [...new Set(body.targetSegments)];
+        }
+    }
+    if (body.targetPreferredCategory !== undefined && body.targetPreferredCategory !== null && body.targetPreferredCategory !== '') {
+        const category = typeof body.targetPreferredCategory === 'string' ? body.targetPreferredCategory.trim() : '';
+        if (category === '' || category.length > 100) {
+            errors.push({ field: 'targetPreferredCategory', message: 'targetPreferredCategory must be a category name of at most 100 characters' });
+        } else {
+            values.targetPreferredCategory = category;
+        }
     }
-    
-    // --- Use SQL Product ID (as string) for checking/removal --- 
-    const productIdString = sqlProductId.toString();
-    const isCurrentlyWishlisted = user.wishlist.map(id => id.toString()).includes(productIdString);
 
-    // 2. Update Mongo User Wishlist
-    if (isCurrentlyWishlisted) {
-        await User.updateOne({ _id: mongoUserId }, 
-            { $pull: { wishlist: productIdString } }, // Pull SQL ID as string
-            { session: mongoSession }
-        );
+    ['startDate', 'endDate'].forEach(field => {
+        if (body[field] === undefined || body[field] === null || body[field] === '') return;
+        const date = new Date(body[field]);
+        if (isNaN(date)) {
+            errors.push({ field, message: `${field} must be a valid date` });
+        } else {
+            values[field] = date;
+        }
+    });
+    if (values.startDate && values.endDate && values.endDate <= values.startDate) {
+        errors.push({ field: 'endDate', message: 'endDate must be after startDate' });
     }
 
-    // 3. Update SQL Product Count (if it was actually removed)
-    if (isCurrentlyWishlisted) {
-        await SqlProduct.decrement('wishlistCount', { 
-            by: 1, 
-            where: { id: sqlProductId }, 
-            transaction: sqlTransaction 
+    return { values, errors };
+}
+
+function formatSqlPromotion(promotion) {
+    const promoJson = promotion.toJSON();
+    ['discountValue', 'minSpend'].forEach(field => {
+        if (promoJson[field] !== null && promoJson[field] !== undefined) promoJson[field] = parseFloat(promoJson[field]);
+    });
+    promoJson.targetSegments = parsePromotionTargetSegments(promoJson);
+    return promoJson;
+}
+
+// GET all promotion codes (active and inactive) with usage counts
+app.get('/api/admin/promotions', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const whereOptions = {};
+        if (req.query.status === 'active') whereOptions.isActive = true;
+        else if (req.query.status === 'inactive') whereOptions.isActive = false;
+        // Issued personalized offers would swamp the list; ?personalized=true lists only those
+        whereOptions.userId = req.query.personalized === 'true' ? { [Sequelize.Op.ne]: null } : null;
+
+        const promotions = await SqlPromotion.findAll({
+            where: whereOptions,
+            order: [['isActive', 'DESC'], ['createdAt', 'DESC']]
         });
-        console.log(`[Wishlist Remove] Decremented wishlistCount for SQL product ${sqlProductId}`);
-    } else {
-         console.log(`[Wishlist Remove] SQL Product ${sqlProductId} not found in wishlist for user ${mongoUserId}. Count not decremented.`);
+        res.json(promotions.map(formatSqlPromotion));
+    } catch (error) {
+        console.error('[Admin Promotions] Error listing promotions:', error);
+        res.status(500).json({ message: 'Failed to fetch promotions.' });
     }
-    
-    // 4. Commit transactions
-    await sqlTransaction.commit();
-    await mongoSession.commitTransaction();
+});
 
-    res.status(200).json({ message: 'Product removed from wishlist' });
+// POST create a promotion code
+app.post('/api/admin/promotions', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const tierNames = (await getLoyaltyTiers()).map(tier => tier.name);
+        const { values, errors } = validatePromotionInput(req.body, { tierNames });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid promotion data', errors });
+        }
 
-  } catch (err) {
-    console.error("Error removing from wishlist (SQL/Mongo):", err);
-    if (sqlTransaction) await sqlTransaction.rollback();
-    if (mongoSession.inTransaction()) await mongoSession.abortTransaction();
-    res.status(500).json({ message: 'Server error removing from wishlist' });
-  } finally {
-      if (mongoSession) mongoSession.endSession();
-  }
+        const existing = await SqlPromotion.findOne({ where: { code: values.code } });
+        if (existing) {
+            return res.status(409).json({ message: `Promotion code ${values.code} already exists.` });
+        }
+
+        const promotion = await SqlPromotion.create({ ...values, isActive: true });
+        console.log(`[Admin Promotions] Promotion ${promotion.code} created by user ${req.sqlUser.id}`);
+        res.status(201).json(formatSqlPromotion(promotion));
+    } catch (error) {
+        console.error('[Admin Promotions] Error creating promotion:', error);
+        res.status(500).json({ message: 'Failed to create promotion.' });
+    }
 });
 
-// --- End Wishlist Routes ---
+// POST deactivate a promotion code. Rows are kept so past orders still resolve their code.
+app.post('/api/admin/promotions/:id/deactivate', authMiddleware, adminMiddleware, async (req, res) => {
+    const promotionId = parseInt(req.params.id, 10);
+    if (isNaN(promotionId)) {
+        return res.status(400).json({ message: 'Invalid promotion ID format' });
+    }
 
-// --- Loyalty Points API Endpoint (Refactored) ---
-app.get('/api/users/me/loyalty', authMiddleware, async (req, res) => {
     try {
-        // User is already fetched and attached by authMiddleware as req.sqlUser
-        const sqlUser = req.sqlUser;
-        if (!sqlUser) {
-            // Should be caught by authMiddleware, but double-check
-             console.error('[GET /api/users/me/loyalty] req.sqlUser not found after authMiddleware.');
-            return res.status(404).json({ message: 'User not found' });
+        const promotion = await SqlPromotion.findByPk(promotionId);
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+        if (promotion.isActive) {
+            await promotion.update({ isActive: false });
+            console.log(`[Admin Promotions] Promotion ${promotion.code} deactivated by user ${req.sqlUser.id}`);
         }
-        res.json({ loyaltyPoints: sqlUser.loyaltyPoints });
+        res.json(formatSqlPromotion(promotion));
     } catch (error) {
-        console.error("Error fetching loyalty points from SQL user:", error);
-        res.status(500).json({ message: 'Error fetching loyalty points' });
+        console.error(`[Admin Promotions] Error deactivating promotion ${promotionId}:`, error);
+        res.status(500).json({ message: 'Failed to deactivate promotion.' });
     }
 });
 
-// --- Checkout Route (Protected - Creates Stripe Session, Needs Order Refactor) ---
-app.post('/api/checkout', authMiddleware, async (req, res) => {
-  console.log("[Checkout Route] Received request");
-  const { cart, shippingAddress, appliedPromoCode } = req.body; // Add appliedPromoCode
-  const sqlUserId = req.sqlUser?.id; // Use SQL User ID from middleware
+const ADMIN_CUSTOMER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'username', 'email', 'loyaltyPoints', 'role', 'mongoUserId', 'createdAt'];
 
-  if (!sqlUserId) {
-    return res.status(401).json({ message: 'User not authenticated or SQL user ID missing.' });
-  }
+// GET customers by email, username or name (?q is required to avoid dumping the user table)
+app.get('/api/admin/customers', authMiddleware, staffMiddleware, async (req, res) => {
+    const term = (req.query.q || '').trim();
+    if (term.length < 2) {
+        return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+    }
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
+    try {
+        const { Op } = Sequelize;
+        const like = { [Op.like]: `%${term}%` };
+        const searchConditions = [{ email: like }, { username: like }, { firstName: like }, { lastName: like }];
+        if (/^\d+$/.test(term)) searchConditions.push({ id: parseInt(term, 10) });
+
+        const customers = await SqlUser.findAll({
+            where: { [Op.or]: searchConditions },
+            attributes: ADMIN_CUSTOMER_ATTRIBUTES,
+            order: [['email', 'ASC']],
+            limit: 50
+        });
+        res.json(customers);
+    } catch (error) {
+        console.error('[Admin Customers] Error searching customers:', error);
+        res.status(500).json({ message: 'Failed to search customers.' });
+    }
+});
 
-  try {
-    // Calculate subtotal (before discount)
-    let subTotal = 0;
-    const orderItems = cart.map(item => {
-        if (!item.id || !item.name || item.price == null || !item.quantity) {
-            throw new Error('Cart item is missing required fields (id, name, price, quantity).');
-        }
-        const itemTotal = item.price * item.quantity;
-        subTotal += itemTotal;
-        return {
-            product: item.id, // Changed from productId to product to match schema
-            name: item.name,
-            price: item.price,
-            quantity: item.quantity,
-            // color: item.color, // Color/Size not in OrderItemSchema, add if needed
-            // size: item.size
-        };
-    });
+// GET one customer's loyalty balance, order summary and feedback
+app.get('/api/admin/customers/:id', authMiddleware, staffMiddleware, async (req, res) => {
+    const customerId = parseInt(req.params.id, 10);
+    if (isNaN(customerId)) {
+        return res.status(400).json({ message: 'Invalid customer ID format' });
+    }
 
-    let discountAmount = 0;
-    let finalTotal = subTotal;
-    let validatedPromoCode = null;
+    try {
+        const customer = await SqlUser.findByPk(customerId, { attributes: ADMIN_CUSTOMER_ATTRIBUTES });
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
 
-    // --- Apply Promotion Code if provided ---
-    if (appliedPromoCode) {
-        const code = appliedPromoCode.toUpperCase().trim();
-        const promotion = await Promotion.findOne({ code: code }).session(session); // Run query in transaction
+        const [orderCount, totalSpent, lastOrder, loyaltyTransactions, profile] = await Promise.all([
+            SqlOrder.count({ where: { userId: customerId } }),
+            SqlOrder.sum('totalAmount', { where: { userId: customerId } }),
+            SqlOrder.findOne({ where: { userId: customerId }, order: [['orderDate', 'DESC']], attributes: ['orderDate'] }),
+            SqlLoyaltyTransaction.findAll({ where: { userId: customerId }, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit: 20 }),
+            getCustomerProfile(customerId)
+        ]);
+
+        // Feedback lives in Mongo, keyed by the Mongo user id
+        let feedback = [];
+        const mongoUser = customer.mongoUserId
+            ? { _id: customer.mongoUserId }
+            : await User.findOne({ email: customer.email }).select('_id');
+        if (mongoUser) {
+            feedback = await Feedback.find({ user: mongoUser._id }).sort({ createdAt: -1 }).limit(50).lean();
+        }
+
+        res.json({
+            ...customer.toJSON(),
+            orderSummary: {
+                orderCount,
+                totalSpent: parseFloat(totalSpent || 0),
+                lastOrderDate: lastOrder ? lastOrder.orderDate : null
+            },
+            loyaltyTransactions: loyaltyTransactions.map(entry => ({ ...formatLoyaltyTransaction(entry), actorUserId: entry.actorUserId })),
+            profile: profile ? { ...profile, _id: undefined } : null,
+            feedback
+        });
+    } catch (error) {
+        console.error(`[Admin Customers] Error fetching customer ${customerId}:`, error);
+        res.status(500).json({ message: 'Failed to fetch customer.' });
+    }
+});
 
-        // Re-validate the promotion (similar checks as /api/apply-promotion)
-        let promoIsValid = true;
-        let validationError = null;
+// Manual points correction (goodwill credit, fixing a mistake). Recorded as an
+// 'adjust' ledger entry with the admin as actor; the reason is required.
+app.post('/api/admin/customers/:id/loyalty-adjustments', authMiddleware, adminMiddleware, async (req, res) => {
+    const customerId = parseInt(req.params.id, 10);
+    if (isNaN(customerId)) {
+        return res.status(400).json({ message: 'Invalid customer ID format' });
+    }
+    const points = Number(req.body.points);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const errors = [];
+    if (!Number.isInteger(points) || points === 0) {
+        errors.push({ field: 'points', message: 'points must be a non-zero whole number' });
+    }
+    if (!reason || reason.length > 255) {
+        errors.push({ field: 'reason', message: 'reason is required (at most 255 characters)' });
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid adjustment', errors });
+    }
 
-        if (!promotion) {
-            promoIsValid = false; 
-            validationError = 'Invalid promotion code.';
-        } else if (!promotion.isActive) {
-            promoIsValid = false; 
-            validationError = 'Promotion is not active.';
-        } // Add date, usage limit checks etc. if needed
-        else {
-             // Re-check user eligibility (tier, first order etc.)
-             const user = await User.findById(sqlUserId).select('loyaltyPoints').session(session);
-             // Add tier check logic here based on promotion.applicableTier and user.loyaltyPoints
-             if (promotion.applicableTier) {
-                 const tiers = { Silver: 100, Gold: 500 };
-                 let userTierMet = false;
-                 if (promotion.applicableTier === 'Silver' && user.loyaltyPoints >= tiers.Silver) userTierMet = true;
-                 if (promotion.applicableTier === 'Gold' && user.loyaltyPoints >= tiers.Gold) userTierMet = true;
-                 if (!userTierMet) { promoIsValid = false; validationError = 'User tier requirement not met.'; }
-             }
-             // Re-check first order for WELCOME10
-             if (promoIsValid && promotion.maxUsesPerUser === 1 && promotion.code === 'WELCOME10') {
-                 const orderCount = await Order.countDocuments({ user: sqlUserId }).session(session);
-                 if (orderCount > 0) { promoIsValid = false; validationError = 'Welcome offer already used.'; }
-             }
-             // Add other user-specific checks
+    let transaction;
+    try {
+        transaction = await sequelize.transaction();
+        const entry = await recordLoyaltyTransaction(customerId, {
+            type: 'adjust',
+            points,
+            actorUserId: req.sqlUser.id,
+            reason
+        }, transaction);
+        await transaction.commit();
+        res.status(201).json({ ...formatLoyaltyTransaction(entry), actorUserId: entry.actorUserId });
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
         }
-        
-        if (promoIsValid) {
-             validatedPromoCode = promotion.code; // Store validated code
-            // Calculate discount
-            if (promotion.discountType === 'PERCENTAGE') {
-                discountAmount = (subTotal * promotion.discountValue) / 100;
-            } else if (promotion.discountType === 'FIXED_AMOUNT') {
-                discountAmount = promotion.discountValue;
-            } else if (promotion.discountType === 'FREE_SHIPPING') {
-                // Handle free shipping later (e.g., by setting shipping cost to 0)
-                // For now, discountAmount remains 0 for this type
-            }
-            // Ensure discount doesn't exceed subtotal
-            discountAmount = Math.min(discountAmount, subTotal);
-            finalTotal = subTotal - discountAmount;
+        console.error(`[Admin Customers] Error adjusting points for customer ${customerId}:`, error);
+        res.status(500).json({ message: 'Failed to adjust loyalty points.' });
+    }
+});
+// --- End Admin Dashboard Endpoints ---
+
+// --- Admin Loyalty Tier Endpoints ---
+// Validates a loyalty tier body (partial for updates). Returns { values, errors }.
+function validateLoyaltyTierInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > 30) {
+            errors.push({ field: 'name', message: 'name is required (at most 30 characters)' });
         } else {
-            // If code provided but invalid during final checkout, throw error
-            console.warn(`[Checkout Route] Promo code "${code}" invalid at final checkout: ${validationError}`);
-            throw new Error(validationError || 'Invalid promotion code applied during checkout.');
+            values.name = name;
         }
     }
-    // --- End Apply Promotion Code --- 
+    if (body.rank !== undefined || !partial) {
+        if (!Number.isInteger(Number(body.rank)) || body.rank === null || body.rank === '') {
+            errors.push({ field: 'rank', message: 'rank must be a whole number' });
+        } else {
+            values.rank = Number(body.rank);
+        }
+    }
+    if (body.qualificationMetric !== undefined) {
+        if (!LOYALTY_TIER_METRICS.includes(body.qualificationMetric)) {
+            errors.push({ field: 'qualificationMetric', message: `qualificationMetric must be one of: ${LOYALTY_TIER_METRICS.join(', ')}` });
+        } else {
+            values.qualificationMetric = body.qualificationMetric;
+        }
+    }
+    if (body.threshold !== undefined) {
+        const threshold = parseMoney(body.threshold);
+        if (threshold === null || threshold < 0) {
+            errors.push({ field: 'threshold', message: 'threshold must be a non-negative number' });
+        } else {
+            values.threshold = threshold;
+        }
+    }
+    if (body.windowMonths !== undefined) {
+        if (body.windowMonths === null || body.windowMonths === '') {
+            values.windowMonths = null; // All time
+        } else if (!Number.isInteger(Number(body.windowMonths)) || Number(body.windowMonths) < 1) {
+            errors.push({ field: 'windowMonths', message: 'windowMonths must be a positive whole number or null (all time)' });
+        } else {
+            values.windowMonths = Number(body.windowMonths);
+        }
+    }
+    if (body.earnMultiplier !== undefined) {
+        const multiplier = Number(body.earnMultiplier);
+        if (!Number.isFinite(multiplier) || multiplier < 0 || multiplier > 10) {
+            errors.push({ field: 'earnMultiplier', message: 'earnMultiplier must be a number between 0 and 10' });
+        } else {
+            values.earnMultiplier = multiplier;
+        }
+    }
+    if (body.isActive !== undefined) {
+        values.isActive = Boolean(body.isActive);
+    }
+    return { values, errors };
+}
 
-    // Create the new order with updated totals and promo info
-    const newOrder = new Order({
-        user: sqlUserId, 
-        items: orderItems,
-        subTotal: subTotal, // Store subtotal
-        appliedPromoCode: validatedPromoCode, // Store validated code or null
-        discountAmount: discountAmount, // Store discount amount
-        totalAmount: finalTotal, // Store final amount
-        shippingAddress: shippingAddress,
-        stripeSessionId: session.id // Store session ID for idempotency
-    });
+// GET all tiers (including inactive), lowest rank first
+app.get('/api/admin/loyalty-tiers', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const tiers = await SqlLoyaltyTier.findAll({ order: [['rank', 'ASC']] });
+        res.json(tiers.map(tier => ({ ...formatLoyaltyTier(tier), isActive: tier.isActive })));
+    } catch (error) {
+        console.error('[Admin Loyalty Tiers] Error fetching tiers:', error);
+        res.status(500).json({ message: 'Failed to fetch loyalty tiers.' });
+    }
+});
 
-    await newOrder.save({ session });
-    console.log(`[Checkout Route] Order ${newOrder._id} created for user ${sqlUserId}`);
+app.post('/api/admin/loyalty-tiers', authMiddleware, adminMiddleware, async (req, res) => {
+    const { values, errors } = validateLoyaltyTierInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid loyalty tier', errors });
+    }
+    try {
+        const existing = await SqlLoyaltyTier.findOne({ where: { name: values.name } });
+        if (existing) {
+            return res.status(409).json({ message: `Loyalty tier ${values.name} already exists.` });
+        }
+        const tier = await SqlLoyaltyTier.create(values);
+        invalidateLoyaltyTierCache();
+        console.log(`[Admin Loyalty Tiers] Tier ${tier.name} created by user ${req.sqlUser.id}`);
+        res.status(201).json({ ...formatLoyaltyTier(tier), isActive: tier.isActive });
+    } catch (error) {
+        console.error('[Admin Loyalty Tiers] Error creating tier:', error);
+        res.status(500).json({ message: 'Failed to create loyalty tier.' });
+    }
+});
 
-    // --- Award Loyalty Points (Based on FINAL amount paid) --- 
-    const pointsEarned = Math.floor(finalTotal); // Base points on the final discounted amount
-    console.log(`[Checkout Route] Awarding ${pointsEarned} loyalty points to user ${sqlUserId}`);
-    await User.findByIdAndUpdate(sqlUserId, 
-        { $inc: { loyaltyPoints: pointsEarned } }, 
-        { session } 
-    );
-    console.log(`[Checkout Route] Loyalty points updated for user ${sqlUserId}`);
-    
-    // --- Update Promotion Usage Count --- 
-    if (validatedPromoCode) {
-        await Promotion.updateOne(
-            { code: validatedPromoCode }, 
-            { $inc: { usageCount: 1 } },
-            { session }
-        );
-         console.log(`[Checkout Route] Usage count incremented for promo code ${validatedPromoCode}`);
-         // TODO: Add user-specific usage tracking if needed
+// Renaming a tier doesn't rewrite promotions that reference the old name
+app.put('/api/admin/loyalty-tiers/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    const tierId = parseInt(req.params.id, 10);
+    if (isNaN(tierId)) {
+        return res.status(400).json({ message: 'Invalid loyalty tier ID format' });
+    }
+    const { values, errors } = validateLoyaltyTierInput(req.body, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid loyalty tier', errors });
+    }
+    try {
+        const tier = await SqlLoyaltyTier.findByPk(tierId);
+        if (!tier) {
+            return res.status(404).json({ message: 'Loyalty tier not found' });
+        }
+        if (values.name && values.name !== tier.name && await SqlLoyaltyTier.findOne({ where: { name: values.name } })) {
+            return res.status(409).json({ message: `Loyalty tier ${values.name} already exists.` });
+        }
+        await tier.update(values);
+        invalidateLoyaltyTierCache();
+        console.log(`[Admin Loyalty Tiers] Tier ${tier.id} updated by user ${req.sqlUser.id}`);
+        res.json({ ...formatLoyaltyTier(tier), isActive: tier.isActive });
+    } catch (error) {
+        console.error(`[Admin Loyalty Tiers] Error updating tier ${tierId}:`, error);
+        res.status(500).json({ message: 'Failed to update loyalty tier.' });
+    }
+});
+// --- End Admin Loyalty Tier Endpoints ---
+
+// --- Admin Personalized Offer Rule Endpoints ---
+// Rules themselves are fixed in OFFER_RULE_EVALUATORS; admins tune what each one issues.
+// Changes apply to offers issued afterwards, not to codes already handed out.
+function validateOfferRuleInput(body) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
     }
 
-    await session.commitTransaction();
-    session.endSession();
+    if (body.isActive !== undefined) {
+        values.isActive = Boolean(body.isActive);
+    }
+    if (body.discountType !== undefined) {
+        if (!['PERCENTAGE', 'FIXED_AMOUNT'].includes(body.discountType)) {
+            errors.push({ field: 'discountType', message: 'discountType must be PERCENTAGE or FIXED_AMOUNT' });
+        } else {
+            values.discountType = body.discountType;
+        }
+    }
+    if (body.discountValue !== undefined) {
+        const discountValue = parseMoney(body.discountValue);
+        if (discountValue === null || discountValue <= 0) {
+            errors.push({ field: 'discountValue', message: 'discountValue must be a positive number' });
+        } else {
+            values.discountValue = discountValue;
+        }
+    }
+    if (body.minSpend !== undefined) {
+        const minSpend = parseMoney(body.minSpend);
+        if (minSpend === null || minSpend < 0) {
+            errors.push({ field: 'minSpend', message: 'minSpend must be a non-negative number' });
+        } else {
+            values.minSpend = minSpend;
+        }
+    }
+    ['validDays', 'cooldownDays'].forEach(field => {
+        if (body[field] === undefined) return;
+        const days = Number(body[field]);
+        const minimum = field === 'validDays' ? 1 : 0;
+        if (!Number.isInteger(days) || days < minimum || days > 3650) {
+            errors.push({ field, message: `${field} must be a whole number of days (${minimum}-3650)` });
+        } else {
+            values[field] = days;
+        }
+    });
+    if (body.params !== undefined) {
+        if (!body.params || typeof body.params !== 'object' || Array.isArray(body.params)) {
+            errors.push({ field: 'params', message: 'params must be an object' });
+        } else {
+            values.params = body.params;
+        }
+    }
+    return { values, errors };
+}
 
-    res.status(201).json({ message: 'Order placed successfully!', orderId: newOrder._id });
+app.get('/api/admin/offer-rules', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const rules = await SqlOfferRule.findAll({ order: [['id', 'ASC']] });
+        res.json(rules.map(formatOfferRule));
+    } catch (error) {
+        console.error('[Admin Offer Rules] Error fetching rules:', error);
+        res.status(500).json({ message: 'Failed to fetch offer rules.' });
+    }
+});
 
-  } catch (error) {
-    // If an error occurred, abort the whole transaction
-    // Need to check if session exists before aborting/ending
-    if (session && session.inTransaction()) {
-         await session.abortTransaction();
-         session.endSession();
-    }    
-    console.error("[Checkout Route] Error processing order:", error);
-    // Send a more specific error if it's a validation issue from item mapping
-    if (error.message.startsWith('Cart item is missing')) {
-         return res.status(400).json({ message: error.message });
+app.put('/api/admin/offer-rules/:ruleKey', authMiddleware, adminMiddleware, async (req, res) => {
+    const { values, errors } = validateOfferRuleInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid offer rule', errors });
     }
-    // Check for promo validation error message
-    if (error.message.includes('promotion code applied during checkout') || error.message.includes('Invalid promotion code') || error.message.includes('tier requirement') || error.message.includes('already used')) {
-         return res.status(400).json({ message: error.message }); 
+    try {
+        const rule = await SqlOfferRule.findOne({ where: { ruleKey: req.params.ruleKey } });
+        if (!rule) {
+            return res.status(404).json({ message: 'Offer rule not found' });
+        }
+        const discountType = values.discountType || rule.discountType;
+        const discountValue = values.discountValue ?? parseFloat(rule.discountValue);
+        if (discountType === 'PERCENTAGE' && discountValue > 100) {
+            return res.status(400).json({ message: 'Invalid offer rule', errors: [{ field: 'discountValue', message: 'a percentage discount cannot exceed 100' }] });
+        }
+        await rule.update(values);
+        console.log(`[Admin Offer Rules] Rule ${rule.ruleKey} updated by user ${req.sqlUser.id}`);
+        res.json(formatOfferRule(rule));
+    } catch (error) {
+        console.error(`[Admin Offer Rules] Error updating rule ${req.params.ruleKey}:`, error);
+        res.status(500).json({ message: 'Failed to update offer rule.' });
     }
-    res.status(500).json({ message: 'Failed to process order.' });
-  }
 });
+// --- End Admin Personalized Offer Rule Endpoints ---
+
+// --- Admin Currency Rate Endpoints ---
+// PUT creates the currency if the code is new. New rates apply to prices and checkouts
+// from then on; orders keep the rate they were charged at.
+function formatCurrencyRate(currencyRate) {
+    const json = currencyRate.toJSON();
+    json.rate = parseFloat(json.rate);
+    return json;
+}
 
-// --- Get User Orders Route (Refactored for SQL) ---
-app.get('/api/users/me/orders', authMiddleware, async (req, res) => {
-  // Use SQL User ID from auth middleware
-  const sqlUserId = req.sqlUser?.id; 
-  if (!sqlUserId) {
-      return res.status(401).json({ message: 'User not authenticated or SQL user ID missing.' });
-  }
-  console.log("[Get Orders Route SQL] Received request for user:", sqlUserId);
+function validateCurrencyRateInput(body, { code, existing = null }) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
 
-  try {
-    const orders = await SqlOrder.findAll({
-      where: { userId: sqlUserId },
-      order: [[ 'orderDate', 'DESC' ]], // Correct sorting syntax
-      include: [
-        { 
-          model: SqlOrderItem, 
-          as: 'items', // Use the alias defined in association
-          include: [ 
-            { 
-              model: SqlProduct, 
-              attributes: ['id', 'name', 'image'] // Select specific product fields
-            }
-          ]
+    if (!CURRENCY_CODE_PATTERN.test(code)) {
+        errors.push({ field: 'code', message: 'code must be a three-letter ISO 4217 currency code' });
+    } else {
+        try {
+            new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+        } catch (e) {
+            errors.push({ field: 'code', message: `${code} is not a currency code` });
         }
-      ]
-                             });
-
-    if (!orders) {
-      // findAll returns [], so this check might not be strictly needed
-      return res.status(404).json({ message: 'No orders found for this user.' });
     }
-
-    // Post-processing might be needed if frontend expects specific structure
-    const processedOrders = orders.map(order => {
-        const orderJson = order.toJSON();
-        
-        // Parse top-level order prices (DECIMAL -> number)
-        if (orderJson.subTotal !== null && orderJson.subTotal !== undefined) {
-            orderJson.subTotal = parseFloat(orderJson.subTotal);
+    if (body.name !== undefined || !existing) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) {
+            errors.push({ field: 'name', message: 'name is required' });
+        } else {
+            values.name = name;
         }
-        if (orderJson.discountAmount !== null && orderJson.discountAmount !== undefined) {
-            orderJson.discountAmount = parseFloat(orderJson.discountAmount);
+    }
+    if (body.rate !== undefined || !existing) {
+        const rate = Number(body.rate);
+        if (body.rate === null || body.rate === '' || !Number.isFinite(rate) || rate <= 0 || rate >= 1000000) {
+            errors.push({ field: 'rate', message: `rate must be a positive number (units per 1 ${BASE_CURRENCY})` });
+        } else if (code === BASE_CURRENCY && rate !== 1) {
+            errors.push({ field: 'rate', message: `the ${BASE_CURRENCY} rate is always 1` });
+        } else {
+            values.rate = Math.round(rate * 1000000) / 1000000;
         }
-        if (orderJson.totalAmount !== null && orderJson.totalAmount !== undefined) {
-            orderJson.totalAmount = parseFloat(orderJson.totalAmount);
+    }
+    if (body.decimals !== undefined) {
+        const decimals = Number(body.decimals);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 3) {
+            errors.push({ field: 'decimals', message: 'decimals must be a whole number from 0 to 3' });
+        } else {
+            values.decimals = decimals;
         }
-        
-        orderJson.items = orderJson.items.map(item => {
-            // Rename item.SqlProduct to item.product for consistency if needed by frontend
-            if (item.SqlProduct) { // Sequelize uses model name by default if no alias
-                 item.product = item.SqlProduct;
-                 delete item.SqlProduct;
-            } 
-            // Or if association alias was used: 
-            // item.product = item.Product; delete item.Product;
-            
-            // Parse item price (DECIMAL -> number)
-            if (item.price !== null && item.price !== undefined) {
-                item.price = parseFloat(item.price);
-            }
-            
-            return item;
-        });
-        return orderJson;
-    });
+    }
+    if (body.isActive !== undefined) {
+        values.isActive = Boolean(body.isActive);
+        if (code === BASE_CURRENCY && !values.isActive) {
+            errors.push({ field: 'isActive', message: `${BASE_CURRENCY} cannot be deactivated` });
+        }
+    }
+    return { values, errors };
+}
+
+app.get('/api/admin/currency-rates', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const rates = await SqlCurrencyRate.findAll({ order: [['code', 'ASC']] });
+        res.json({ baseCurrency: BASE_CURRENCY, rates: rates.map(formatCurrencyRate) });
+    } catch (error) {
+        console.error('[Admin Currency Rates] Error fetching rates:', error);
+        res.status(500).json({ message: 'Failed to fetch currency rates.' });
+    }
+});
 
-    console.log(`[Get Orders Route SQL] Found ${processedOrders.length} orders for user ${sqlUserId}`);
-    res.json(processedOrders); // Send the array of orders
+app.put('/api/admin/currency-rates/:code', authMiddleware, adminMiddleware, async (req, res) => {
+    const code = String(req.params.code).toUpperCase();
+    try {
+        const existing = await SqlCurrencyRate.findByPk(code);
+        const { values, errors } = validateCurrencyRateInput(req.body, { code, existing });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid currency rate', errors });
+        }
+        values.updatedByUserId = req.sqlUser.id;
 
+        let currencyRate;
+        if (existing) {
+            currencyRate = await existing.update(values);
+        } else {
+            currencyRate = await SqlCurrencyRate.create({ code, ...values });
+        }
+        invalidateCurrencyRates();
+        console.log(`[Admin Currency Rates] ${code} ${existing ? 'updated' : 'added'} by user ${req.sqlUser.id} (rate ${currencyRate.rate})`);
+        res.status(existing ? 200 : 201).json(formatCurrencyRate(currencyRate));
     } catch (error) {
-    console.error("[Get Orders Route SQL] Error fetching orders:", error);
-    console.error("[Stripe Checkout] Error creating session:", error);
-    res.status(500).json({ message: 'Failed to create Stripe checkout session.', error: error.message });
+        console.error(`[Admin Currency Rates] Error saving rate for ${code}:`, error);
+        res.status(500).json({ message: 'Failed to save currency rate.' });
     }
 });
-// --- End Stripe Checkout Session Endpoint ---
+// --- End Admin Currency Rate Endpoints ---
+
+// --- Shipping ---
+// Prices each active shipping method for a bag going to a country/state (zones, methods
+// and rates are in the Shipping Models). A rate row covers a range of the bag's
+// merchandise total or weight; merchandise total is the subtotal after the promotion
+// discount. Amounts are in BASE_CURRENCY and converted for the browser.
+const DEFAULT_ITEM_WEIGHT_GRAMS = { shoes: 1200, clothes: 400 }; // Used when a product has no weightGrams
+const FALLBACK_ITEM_WEIGHT_GRAMS = 500;
+const REGION_CODE_PATTERN = /^[A-Z0-9]{1,3}$/;
+
+function normalizeRegionCode(value) {
+    return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
 
-// --- Feedback API Endpoint (Needs Update for SQL Product ID) ---
-app.post('/api/feedback', authMiddleware, async (req, res) => {
-    const { productId, rating, comment } = req.body;
-    const mongoUserId = req.user?.id; // Mongo User ID for linking feedback
-    const sqlUserId = req.sqlUser?.id; // SQL User ID for checking purchase
-    const sqlProductId = productId ? parseInt(productId, 10) : null; // Expect SQL Product ID
+function parseJsonArray(value) {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+}
 
-    // Basic validation
-    if (!comment) {
-        return res.status(400).json({ message: 'Comment is required.' });
-    }
-    if (rating !== null && rating !== undefined && (typeof rating !== 'number' || rating < 1 || rating > 5)) {
-        return res.status(400).json({ message: 'Rating must be a number between 1 and 5.' });
-    }
-    // Validate SQL product ID if provided
-    if (productId && isNaN(sqlProductId)) { 
-        return res.status(400).json({ message: 'Invalid Product ID format.' });
+// Most specific active zone for the destination, or null when nothing covers it
+async function findShippingZone(country, state, options = {}) {
+    const zones = await SqlShippingZone.findAll({ where: { isActive: true }, order: [['id', 'ASC']], transaction: options.transaction });
+    let countryZone = null;
+    let restOfWorldZone = null;
+    for (const zone of zones) {
+        const countries = parseJsonArray(zone.countries).map(normalizeRegionCode);
+        const states = zone.states === null ? null : parseJsonArray(zone.states).map(normalizeRegionCode);
+        if (countries.length === 0) {
+            restOfWorldZone = restOfWorldZone || zone;
+        } else if (countries.includes(country)) {
+            if (states === null) countryZone = countryZone || zone;
+            else if (state && states.includes(state)) return zone;
+        }
     }
-    // Ensure user is authenticated for product-specific feedback
-    if (productId && (!sqlUserId || !mongoUserId)) {
-         return res.status(401).json({ message: 'Authentication required to review a product.' });
+    return countryZone || restOfWorldZone;
+}
+
+// Total weight of repriced cart items (see repriceCart) in grams
+async function getCartWeightGrams(items, options = {}) {
+    const products = await SqlProduct.findAll({
+        where: { id: [...new Set(items.map(item => item.productId))] },
+        attributes: ['id', 'category', 'weightGrams'],
+        transaction: options.transaction
+    });
+    const weightsById = new Map(products.map(product => [product.id,
+        product.weightGrams || DEFAULT_ITEM_WEIGHT_GRAMS[product.category] || FALLBACK_ITEM_WEIGHT_GRAMS]));
+    return items.reduce((sum, item) => sum + (weightsById.get(item.productId) || FALLBACK_ITEM_WEIGHT_GRAMS) * item.quantity, 0);
+}
+
+function shippingRateCovers(rate, value) {
+    const minValue = parseFloat(rate.minValue);
+    const maxValue = rate.maxValue === null ? null : parseFloat(rate.maxValue);
+    return value >= minValue && (maxValue === null || value < maxValue);
+}
+
+// Options for every active method the zone has a matching rate for, in method sortOrder.
+// A FREE_SHIPPING promotion makes every option free.
+// Returns { zone, weightGrams, options } or { error } when the destination is missing.
+async function quoteShipping({ items, merchandiseTotal, country, state, promotion = null, transaction }) {
+    const countryCode = normalizeRegionCode(country);
+    const stateCode = normalizeRegionCode(state);
+    if (!REGION_CODE_PATTERN.test(countryCode)) {
+        return { error: 'country is required (ISO code, e.g. US)' };
     }
-    // Ensure mongoUserId exists even for general feedback
-    if (!mongoUserId) {
-         return res.status(401).json({ message: 'Authentication required to submit feedback.' });
+
+    const zone = await findShippingZone(countryCode, stateCode, { transaction });
+    if (!zone) {
+        return { zone: null, weightGrams: null, options: [] };
     }
+    const [weightGrams, methods, rates] = await Promise.all([
+        getCartWeightGrams(items, { transaction }),
+        SqlShippingMethod.findAll({ where: { isActive: true }, order: [['sortOrder', 'ASC'], ['id', 'ASC']], transaction }),
+        SqlShippingRate.findAll({ where: { zoneId: zone.id, isActive: true }, order: [['minValue', 'ASC'], ['id', 'ASC']], transaction })
+    ]);
+
+    const freeByPromotion = promotion?.discountType === 'FREE_SHIPPING';
+    const options = [];
+    methods.forEach(method => {
+        const rate = rates.find(r => r.methodId === method.id
+            && shippingRateCovers(r, r.basis === 'weight' ? weightGrams : merchandiseTotal));
+        if (!rate) return; // Method isn't offered for this zone or bag
+
+        const fullAmount = parseFloat(rate.amount);
+        const threshold = rate.freeShippingThreshold === null ? null : parseFloat(rate.freeShippingThreshold);
+        let freeReason = null;
+        if (freeByPromotion) freeReason = 'promotion';
+        else if (threshold !== null && merchandiseTotal >= threshold) freeReason = 'threshold';
+        options.push({
+            method: method.code,
+            name: method.name,
+            minDays: method.minDays,
+            maxDays: method.maxDays,
+            amount: freeReason ? 0 : fullAmount,
+            fullAmount,
+            freeReason,
+            freeShippingThreshold: threshold,
+            amountToFreeShipping: threshold !== null && !freeReason ? Math.round((threshold - merchandiseTotal) * 100) / 100 : null
+        });
+    });
+    return { zone: { id: zone.id, name: zone.name }, weightGrams, options };
+}
 
+// Quote option -> the same option with amounts in currency
+function localizeShippingOption(option, currency) {
+    const amount = convertFromBase(option.amount, currency);
+    return {
+        ...option,
+        currency: currency.code,
+        amount,
+        fullAmount: convertFromBase(option.fullAmount, currency),
+        freeShippingThreshold: convertFromBase(option.freeShippingThreshold, currency),
+        amountToFreeShipping: convertFromBase(option.amountToFreeShipping, currency),
+        formattedAmount: amount === 0 ? 'Free' : formatMoney(amount, currency)
+    };
+}
+
+// POST { cart, country, state, appliedPromoCode?, currency? } -> shipping options for the bag
+app.post('/api/shipping/quote', authMiddleware, async (req, res) => {
+    const { cart, country, state, appliedPromoCode } = req.body;
     try {
-        // --- Purchase Verification (SQL) --- 
-        if (sqlProductId) {
-            console.log(`[Feedback API SQL] Verifying purchase for user ${sqlUserId}, product ${sqlProductId}`);
-            
-            // Check if the user has ordered this product
-            const orderCount = await SqlOrder.count({
-                where: { userId: sqlUserId },
-                include: [{
-                    model: SqlOrderItem,
-                    as: 'items',
-                    where: { productId: sqlProductId },
-                    required: true // INNER JOIN to ensure item exists
-                }]
-                // Optional: Add order status check if needed
-                // where: { userId: sqlUserId, status: 'Completed' }
-            });
+        const { currency, error: currencyError } = await resolveCurrency(req.body.currency || BASE_CURRENCY);
+        if (currencyError) {
+            return res.status(400).json({ message: currencyError });
+        }
+        const { items, subTotal, errors: cartErrors } = await repriceCart(cart);
+        if (cartErrors.length > 0) {
+            return sendCartErrors(res, cartErrors);
+        }
 
-            if (orderCount === 0) {
-                console.log(`[Feedback API SQL] User ${sqlUserId} has not purchased product ${sqlProductId}. Feedback denied.`);
-                return res.status(403).json({ message: 'You can only review products you have purchased.' });
+        let promotion = null;
+        let discountAmount = 0;
+        if (appliedPromoCode) {
+            const promoResult = await validatePromotionForUser(appliedPromoCode, req.sqlUser, { subTotal });
+            if (!promoResult.valid) {
+                return res.status(promoResult.status).json({ message: promoResult.message });
             }
-             console.log(`[Feedback API SQL] Purchase verified for user ${sqlUserId}, product ${sqlProductId}.`);
+            promotion = promoResult.promotion;
+            discountAmount = calculatePromotionDiscount(promotion, subTotal);
         }
-        // --- End Purchase Verification ---
 
-        // Still save Feedback to MongoDB, linking via Mongo User ID
-        // Store the SQL Product ID if provided
-        const newFeedback = new Feedback({
-            user: mongoUserId, // Link feedback to Mongo User
-            product: sqlProductId, // Store SQL Product ID (as number)
-            rating: rating,
-            comment: comment
+        const quote = await quoteShipping({ items, merchandiseTotal: subTotal - discountAmount, country, state, promotion });
+        if (quote.error) {
+            return res.status(400).json({ message: quote.error });
+        }
+        res.json({
+            currency: currency.code,
+            zone: quote.zone,
+            weightGrams: quote.weightGrams,
+            options: quote.options.map(option => localizeShippingOption(option, currency))
         });
-
-        await newFeedback.save();
-
-        res.status(201).json({ message: 'Feedback submitted successfully!', feedbackId: newFeedback._id });
-
     } catch (error) {
-        console.error("Error submitting feedback (SQL check):", error);
-        res.status(500).json({ message: 'Failed to submit feedback.' });
+        console.error('[Shipping] Error quoting shipping:', error);
+        res.status(500).json({ message: 'Failed to calculate shipping.' });
     }
 });
 
-// --- Get Applicable Promotions Endpoint (Refactored for SQL) ---
-app.get('/api/users/me/promotions', authMiddleware, async (req, res) => {
-    const sqlUserId = req.sqlUser?.id;
-    if (!sqlUserId) {
-        return res.status(401).json({ message: 'User not authenticated.' });
+// --- Admin Shipping Endpoints ---
+// Zones, methods and rates are edited here; changes apply to the next quote.
+function formatShippingZone(zone) {
+    const json = zone.toJSON();
+    json.countries = parseJsonArray(json.countries);
+    json.states = json.states === null ? null : parseJsonArray(json.states);
+    return json;
+}
+
+function formatShippingRate(rate) {
+    const json = rate.toJSON();
+    ['minValue', 'maxValue', 'amount', 'freeShippingThreshold'].forEach(field => {
+        if (json[field] !== null) json[field] = parseFloat(json[field]);
+    });
+    return json;
+}
+
+function validateRegionCodeList(value, field, errors) {
+    if (!Array.isArray(value)) {
+        errors.push({ field, message: `${field} must be an array of codes` });
+        return null;
     }
-    const userLoyaltyPoints = req.sqlUser.loyaltyPoints;
-    console.log(`[Get Promotions SQL] Request for user ${sqlUserId} with ${userLoyaltyPoints} points.`);
+    const codes = value.map(normalizeRegionCode);
+    const invalid = codes.filter(code => !REGION_CODE_PATTERN.test(code));
+    if (invalid.length > 0) {
+        errors.push({ field, message: `Invalid code(s) in ${field}: ${invalid.join(', ') || '(blank)'}` });
+        return null;
+    }
+    return [...new Set(codes)];
+}
 
-    try {
-        const now = new Date();
-        const { Op } = Sequelize;
+function validateShippingZoneInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+    if (body.name !== undefined || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim()) errors.push({ field: 'name', message: 'name is required' });
+        else values.name = body.name.trim();
+    }
+    if (body.countries !== undefined || !partial) {
+        const countries = validateRegionCodeList(body.countries ?? [], 'countries', errors);
+        if (countries) values.countries = countries;
+    }
+    if (body.states !== undefined) {
+        values.states = body.states === null ? null : validateRegionCodeList(body.states, 'states', errors);
+    }
+    if (values.states && values.countries && values.countries.length === 0) {
+        errors.push({ field: 'states', message: 'states need at least one country' });
+    }
+    if (body.isActive !== undefined) values.isActive = Boolean(body.isActive);
+    return { values, errors };
+}
 
-        // Find potentially applicable promotions in SQL
-        const activePromotions = await SqlPromotion.findAll({
-            where: {
-                isActive: true,
-                [Op.or]: [
-                    { startDate: { [Op.is]: null } }, // No start date OR
-                    { startDate: { [Op.lte]: now } }  // Start date is in the past or now
-                ],
-                [Op.or]: [
-                    { endDate: { [Op.is]: null } },   // No end date OR
-                    { endDate: { [Op.gte]: now } }    // End date is in the future or now
-                ],
-                [Op.or]: [
-                    { maxUses: { [Op.is]: null } }, // No max uses OR
-                    { usageCount: { [Op.lt]: sequelize.col('maxUses') } } // Usage count is less than max uses
-                ]
-            }
-        });
+function validateShippingMethodInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+    if (body.code !== undefined || !partial) {
+        const code = typeof body.code === 'string' ? body.code.trim().toLowerCase() : '';
+        if (!/^[a-z0-9-]{1,50}$/.test(code)) errors.push({ field: 'code', message: 'code must be lowercase letters, digits or dashes' });
+        else values.code = code;
+    }
+    if (body.name !== undefined || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim()) errors.push({ field: 'name', message: 'name is required' });
+        else values.name = body.name.trim();
+    }
+    ['minDays', 'maxDays', 'sortOrder'].forEach(field => {
+        if (body[field] === undefined) return;
+        if (body[field] === null && field !== 'sortOrder') {
+            values[field] = null;
+            return;
+        }
+        const number = Number(body[field]);
+        if (!Number.isInteger(number) || number < 0 || number > 365) errors.push({ field, message: `${field} must be a whole number from 0 to 365` });
+        else values[field] = number;
+    });
+    if (values.minDays != null && values.maxDays != null && values.maxDays < values.minDays) {
+        errors.push({ field: 'maxDays', message: 'maxDays cannot be less than minDays' });
+    }
+    if (body.isActive !== undefined) values.isActive = Boolean(body.isActive);
+    return { values, errors };
+}
 
-        // Define loyalty tiers (could be moved to config)
-        const tiers = {
-            Bronze: 0, // Assuming Bronze starts at 0
-            Silver: 100,
-            Gold: 500
-        };
+function validateShippingRateInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+    ['zoneId', 'methodId'].forEach(field => {
+        if (body[field] === undefined && partial) return;
+        const id = Number(body[field]);
+        if (!Number.isInteger(id) || id < 1) errors.push({ field, message: `${field} is required` });
+        else values[field] = id;
+    });
+    if (body.basis !== undefined) {
+        if (!['price', 'weight'].includes(body.basis)) errors.push({ field: 'basis', message: 'basis must be price or weight' });
+        else values.basis = body.basis;
+    }
+    [['minValue', false], ['maxValue', true], ['amount', false], ['freeShippingThreshold', true]].forEach(([field, nullable]) => {
+        if (body[field] === undefined) {
+            if (field === 'amount' && !partial) errors.push({ field, message: 'amount is required' });
+            return;
+        }
+        if (body[field] === null && nullable) {
+            values[field] = null;
+            return;
+        }
+        const amount = parseMoney(body[field]);
+        if (amount === null || amount < 0 || amount >= 100000000) errors.push({ field, message: `${field} must be a non-negative number${nullable ? ' or null' : ''}` });
+        else values[field] = amount;
+    });
+    if (values.maxValue != null && values.minValue !== undefined && values.maxValue <= values.minValue) {
+        errors.push({ field: 'maxValue', message: 'maxValue must be greater than minValue' });
+    }
+    if (body.isActive !== undefined) values.isActive = Boolean(body.isActive);
+    return { values, errors };
+}
 
-        // Filter based on user-specific criteria (tier, first order - requires querying Order table)
-        const eligiblePromotions = [];
-        for (const promo of activePromotions) {
-            let userEligible = true;
+app.get('/api/admin/shipping', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const [zones, methods, rates] = await Promise.all([
+            SqlShippingZone.findAll({ order: [['id', 'ASC']] }),
+            SqlShippingMethod.findAll({ order: [['sortOrder', 'ASC'], ['id', 'ASC']] }),
+            SqlShippingRate.findAll({ order: [['zoneId', 'ASC'], ['methodId', 'ASC'], ['minValue', 'ASC']] })
+        ]);
+        res.json({
+            baseCurrency: BASE_CURRENCY,
+            zones: zones.map(formatShippingZone),
+            methods: methods.map(method => method.toJSON()),
+            rates: rates.map(formatShippingRate)
+        });
+    } catch (error) {
+        console.error('[Admin Shipping] Error fetching shipping settings:', error);
+        res.status(500).json({ message: 'Failed to fetch shipping settings.' });
+    }
+});
 
-            // 1. Check Loyalty Tier
-            if (promo.applicableTier) {
-                if (promo.applicableTier === 'Silver' && userLoyaltyPoints < tiers.Silver) userEligible = false;
-                if (promo.applicableTier === 'Gold' && userLoyaltyPoints < tiers.Gold) userEligible = false;
-                // Add Bronze if needed: if (promo.applicableTier === 'Bronze' && userLoyaltyPoints < tiers.Bronze) userEligible = false;
+// POST creates, PUT/:id updates (fields given only). Shared by zones, methods and rates.
+function registerShippingAdminRoutes(path, Model, validate, format, label) {
+    app.post(`/api/admin/shipping/${path}`, authMiddleware, adminMiddleware, async (req, res) => {
+        const { values, errors } = validate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: `Invalid shipping ${label}`, errors });
+        }
+        try {
+            const record = await Model.create(values);
+            console.log(`[Admin Shipping] ${label} ${record.id} created by user ${req.sqlUser.id}`);
+            res.status(201).json(format(record));
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError' || error.name === 'SequelizeForeignKeyConstraintError') {
+                return res.status(400).json({ message: `Invalid shipping ${label}: ${error.name === 'SequelizeUniqueConstraintError' ? 'code already exists' : 'unknown zone or method'}` });
             }
+            console.error(`[Admin Shipping] Error creating ${label}:`, error);
+            res.status(500).json({ message: `Failed to create shipping ${label}.` });
+        }
+    });
 
-            // 2. Check WELCOME10 (First Order Check) - Requires SQL Order Query
-            // TODO: Re-implement first order check using SqlOrder if needed
-            if (userEligible && promo.maxUsesPerUser === 1 && promo.code === 'WELCOME10') {
-                try {
-                    const orderCount = await SqlOrder.count({ where: { userId: sqlUserId } });
-                    if (orderCount > 0) {
-                        userEligible = false; // Not eligible if they have previous orders
-                    }
-                } catch (orderCheckError) {
-                    console.error(`[Get Promotions SQL] Error checking order count for WELCOME10 for user ${sqlUserId}:`, orderCheckError);
-                    // Decide how to handle - maybe exclude promo if check fails?
-                    userEligible = false; 
-                }
+    app.put(`/api/admin/shipping/${path}/:id`, authMiddleware, adminMiddleware, async (req, res) => {
+        const { values, errors } = validate(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: `Invalid shipping ${label}`, errors });
+        }
+        try {
+            const record = await Model.findByPk(req.params.id);
+            if (!record) {
+                return res.status(404).json({ message: `Shipping ${label} not found` });
             }
-            
-            // 3. TODO: Check other maxUsesPerUser (requires tracking usage per user, maybe a separate table?)
-
-            if (userEligible) {
-                eligiblePromotions.push(promo.toJSON()); // Add plain object to results
+            await record.update(values);
+            console.log(`[Admin Shipping] ${label} ${record.id} updated by user ${req.sqlUser.id}`);
+            res.json(format(record));
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError' || error.name === 'SequelizeForeignKeyConstraintError') {
+                return res.status(400).json({ message: `Invalid shipping ${label}: ${error.name === 'SequelizeUniqueConstraintError' ? 'code already exists' : 'unknown zone or method'}` });
             }
+            console.error(`[Admin Shipping] Error updating ${label} ${req.params.id}:`, error);
+            res.status(500).json({ message: `Failed to update shipping ${label}.` });
         }
+    });
+}
+registerShippingAdminRoutes('zones', SqlShippingZone, validateShippingZoneInput, formatShippingZone, 'zone');
+registerShippingAdminRoutes('methods', SqlShippingMethod, validateShippingMethodInput, method => method.toJSON(), 'method');
+registerShippingAdminRoutes('rates', SqlShippingRate, validateShippingRateInput, formatShippingRate, 'rate');
 
-        console.log(`[Get Promotions SQL] Found ${eligiblePromotions.length} eligible promotions for user ${sqlUserId}.`);
-        res.json(eligiblePromotions);
-
+app.delete('/api/admin/shipping/rates/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const deletedCount = await SqlShippingRate.destroy({ where: { id: req.params.id } });
+        if (deletedCount === 0) {
+            return res.status(404).json({ message: 'Shipping rate not found' });
+        }
+        console.log(`[Admin Shipping] rate ${req.params.id} deleted by user ${req.sqlUser.id}`);
+        res.json({ message: 'Shipping rate deleted' });
     } catch (error) {
-        console.error("[Get Promotions SQL] Error fetching promotions:", error);
-        res.status(500).json({ message: 'Failed to fetch promotions.' });
+        console.error(`[Admin Shipping] Error deleting rate ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to delete shipping rate.' });
     }
 });
+// --- End Admin Shipping Endpoints ---
+// --- End Shipping ---
+
+// --- Sales Tax ---
+// Tax is charged on merchandise after the promotion and points discounts, using the rate
+// for the delivery address (SqlTaxRate). Shipping isn't taxed. Discounts are spread over
+// the bag by value, so exempt categories keep their share of the discount out of the tax.
+function normalizePostalCode(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : '';
+}
 
-// --- Apply Promotion Code Endpoint (Refactored for SQL) ---
-app.post('/api/apply-promotion', authMiddleware, async (req, res) => {
-    const { code } = req.body;
-    const sqlUserId = req.sqlUser?.id;
+// Most specific active rate for the address, or null when none applies
+async function findTaxRate(country, state, postalCode, options = {}) {
+    const countryCode = normalizeRegionCode(country);
+    const stateCode = normalizeRegionCode(state);
+    const postal = normalizePostalCode(postalCode);
+    const rates = await SqlTaxRate.findAll({ where: { country: countryCode, isActive: true }, transaction: options.transaction });
+
+    let best = null;
+    let bestScore = -1;
+    rates.forEach(rate => {
+        if (rate.state && normalizeRegionCode(rate.state) !== stateCode) return;
+        const prefix = normalizePostalCode(rate.postalPrefix);
+        if (prefix && !postal.startsWith(prefix)) return;
+        const score = (prefix ? 100 + prefix.length : 0) + (rate.state ? 10 : 0);
+        if (score > bestScore) {
+            best = rate;
+            bestScore = score;
+        }
+    });
+    return best;
+}
 
-    if (!code) {
-        return res.status(400).json({ message: 'Promotion code is required.' });
-    }
-    if (!sqlUserId) {
-        return res.status(401).json({ message: 'User not authenticated.' });
+// Repriced cart items (see repriceCart) + discounts in BASE_CURRENCY -> the tax owed.
+// Returns { rate: { id, name, rate } | null, taxableAmount, taxAmount, exemptProductIds }.
+async function quoteTax({ items, discountAmount = 0, country, state, postalCode, transaction }) {
+    const taxRate = await findTaxRate(country, state, postalCode, { transaction });
+    if (!taxRate) {
+        return { rate: null, taxableAmount: 0, taxAmount: 0, exemptProductIds: [] };
     }
-    const userLoyaltyPoints = req.sqlUser.loyaltyPoints;
-    console.log(`[Apply Promotion SQL] Request for user ${sqlUserId}, code ${code}.`);
 
-    try {
-        const promoCode = code.toUpperCase().trim();
-        const { Op } = Sequelize;
+    const exemptCategories = parseJsonArray(taxRate.exemptCategories);
+    const products = await SqlProduct.findAll({
+        where: { id: [...new Set(items.map(item => item.productId))] },
+        attributes: ['id', 'category'],
+        transaction
+    });
+    const categoriesById = new Map(products.map(product => [product.id, product.category]));
+
+    let merchandiseTotal = 0;
+    let taxableItemsTotal = 0;
+    const exemptProductIds = new Set();
+    items.forEach(item => {
+        const lineTotal = item.price * item.quantity;
+        merchandiseTotal += lineTotal;
+        if (exemptCategories.includes(categoriesById.get(item.productId))) exemptProductIds.add(item.productId);
+        else taxableItemsTotal += lineTotal;
+    });
+    const taxableShare = merchandiseTotal > 0 ? taxableItemsTotal / merchandiseTotal : 0;
+    const taxableAmount = Math.max(Math.round((taxableItemsTotal - discountAmount * taxableShare) * 100) / 100, 0);
+    const rate = parseFloat(taxRate.rate);
+    return {
+        rate: { id: taxRate.id, name: taxRate.name, rate },
+        taxableAmount,
+        taxAmount: Math.round(taxableAmount * rate * 100) / 100,
+        exemptProductIds: [...exemptProductIds]
+    };
+}
+
+// Stripe tax rate (exclusive) for a SqlTaxRate, created on first use and kept on the row.
+// Stripe rates can't be changed or deleted, so admin edits archive it (archiveStripeTaxRate).
+async function getStripeTaxRateId(taxRateId) {
+    const taxRate = await SqlTaxRate.findByPk(taxRateId);
+    if (taxRate.stripeTaxRateId) return taxRate.stripeTaxRateId;
+    const stripeTaxRate = await stripe.taxRates.create({
+        display_name: taxRate.name.substring(0, 50), // Shown on the Stripe checkout page (50 char max)
+        percentage: Math.round(parseFloat(taxRate.rate) * 100 * 10000) / 10000,
+        inclusive: false,
+        country: taxRate.country,
+        ...(taxRate.state ? { state: taxRate.state } : {}),
+        metadata: { tax_rate_id: taxRate.id.toString() }
+    });
+    await taxRate.update({ stripeTaxRateId: stripeTaxRate.id });
+    console.log(`[Tax] Created Stripe tax rate ${stripeTaxRate.id} for tax rate ${taxRate.id}.`);
+    return stripeTaxRate.id;
+}
 
-        // --- Check if it's a Personalized Wishlist/Category Code --- 
-        const personalizedWishPrefix = `WISH-${sqlUserId}-`;
-        const personalizedCatPrefix = `CAT-${sqlUserId}-`;
-        let isPersonalized = false;
-        let personalizedDesc = "";
+// Stops new checkouts from using a Stripe tax rate; sessions already created keep it
+async function archiveStripeTaxRate(stripeTaxRateId) {
+    if (!stripeTaxRateId) return;
+    await stripe.taxRates.update(stripeTaxRateId, { active: false })
+        .catch(error => console.error(`[Tax] Failed to archive Stripe tax rate ${stripeTaxRateId}:`, error));
+}
 
-        if (promoCode.startsWith('WISH-') && promoCode.startsWith(personalizedWishPrefix)) {
-            isPersonalized = true;
-            personalizedDesc = "10% off personalized offer";
-        } else if (promoCode.startsWith('CAT-') && promoCode.startsWith(personalizedCatPrefix)) {
-            isPersonalized = true;
-            personalizedDesc = "10% off category fan offer";
+// POST { cart, country, state, zipCode, appliedPromoCode?, redeemPoints?, currency? } -> tax for the bag
+app.post('/api/tax/quote', authMiddleware, async (req, res) => {
+    const { cart, country, state, zipCode, appliedPromoCode, redeemPoints } = req.body;
+    try {
+        const { currency, error: currencyError } = await resolveCurrency(req.body.currency || BASE_CURRENCY);
+        if (currencyError) {
+            return res.status(400).json({ message: currencyError });
+        }
+        const { items, subTotal, errors: cartErrors } = await repriceCart(cart);
+        if (cartErrors.length > 0) {
+            return sendCartErrors(res, cartErrors);
         }
 
-        if (isPersonalized) {
-            console.log(`[Apply Promotion SQL] Detected personalized code pattern: ${promoCode}`);
-            
-            // --- Check Usage --- 
-            const alreadyUsed = await PersonalizedCodeUsage.findOne({ where: { code: promoCode, userId: sqlUserId } });
-            if (alreadyUsed) {
-                console.log(`[Apply Promotion SQL] Personalized code ${promoCode} has already been used by user ${sqlUserId}.`);
-                return res.status(400).json({ message: 'This personalized offer code has already been used.' });
+        // Same discounts create-checkout-session will apply
+        let discountAmount = 0;
+        if (appliedPromoCode) {
+            const promoResult = await validatePromotionForUser(appliedPromoCode, req.sqlUser, { subTotal });
+            if (!promoResult.valid) {
+                return res.status(promoResult.status).json({ message: promoResult.message });
             }
-            // --- End Usage Check --- 
-            
-            // Define the standard discount for personalized wishlist codes
-             const discountType = 'PERCENTAGE';
-             const discountValue = 10;
-
-            // --- Record Usage --- 
-            // Do this *before* sending response, but accept it's not fully transactional with order placement
-            try {
-                await PersonalizedCodeUsage.create({ userId: sqlUserId, code: promoCode });
-                 console.log(`[Apply Promotion SQL] Recorded usage for personalized code ${promoCode} for user ${sqlUserId}.`);
-            } catch (usageError) {
-                 console.error(`[Apply Promotion SQL] CRITICAL: Failed to record usage for personalized code ${promoCode} after validation!`, usageError);
-                 // Decide how to handle - maybe still allow use but log error prominently? 
-                 // Or return an error to prevent use if recording fails?
-                 return res.status(500).json({ message: 'Failed to record promotion usage. Please try again.'});
+            discountAmount = calculatePromotionDiscount(promoResult.promotion, subTotal);
+        }
+        if (redeemPoints) {
+            const redemptionResult = validateLoyaltyRedemption(redeemPoints, req.sqlUser, { amountDue: subTotal - discountAmount, currency });
+            if (!redemptionResult.valid) {
+                return res.status(redemptionResult.status).json({ message: redemptionResult.message });
             }
-            // --- End Record Usage --- 
-
-            console.log(`[Apply Promotion SQL] Personalized code ${promoCode} validated for user ${sqlUserId}.`);
-             res.json({
-                 message: 'Personalized promotion applied successfully!',
-                 code: promoCode,
-                 description: personalizedDesc, 
-                 discountType: discountType,
-                 discountValue: discountValue 
-             });
-             return; // Stop processing, don't check SqlPromotion table
+            discountAmount += redemptionResult.discountAmount;
         }
-        // --- End Personalized Code Check --- 
-
-        // --- Continue with standard validation for codes in SqlPromotion table --- 
-        const promotion = await SqlPromotion.findOne({ where: { code: promoCode } });
 
-        // --- Validation Checks ---
-        if (!promotion) {
-            return res.status(404).json({ message: 'Invalid promotion code.' });
-        }
-        if (!promotion.isActive) {
-            return res.status(400).json({ message: 'This promotion is no longer active.' });
-        }
-        const now = new Date();
-        if (promotion.startDate && promotion.startDate > now) {
-             return res.status(400).json({ message: 'This promotion has not started yet.' });
-        }
-         if (promotion.endDate && promotion.endDate < now) {
-             return res.status(400).json({ message: 'This promotion has expired.' });
-         }
-        if (promotion.maxUses !== null && promotion.usageCount >= promotion.maxUses) {
-             return res.status(400).json({ message: 'This promotion has reached its usage limit.' });
-        }
-        
-        // --- User-Specific Validation ---
-        // Check loyalty tier
-        if (promotion.applicableTier) {
-             const tiers = { Bronze: 0, Silver: 100, Gold: 500 }; // Keep consistent
-             let userTierMet = false;
-             if (promotion.applicableTier === 'Silver' && userLoyaltyPoints >= tiers.Silver) userTierMet = true;
-             if (promotion.applicableTier === 'Gold' && userLoyaltyPoints >= tiers.Gold) userTierMet = true;
-             // Add Bronze check if needed
-             if (!userTierMet) {
-                 return res.status(403).json({ message: `You need ${promotion.applicableTier} tier for this promotion.` });
-             }
-        }
-
-        // Check max uses per user (WELCOME10 check)
-        // TODO: Implement tracking for other single-use codes if needed
-        if (promotion.maxUsesPerUser === 1 && promotion.code === 'WELCOME10') {
-             const orderCount = await SqlOrder.count({ where: { userId: sqlUserId } });
-             if (orderCount > 0) {
-                 return res.status(403).json({ message: 'Welcome offer is only for your first order.' });
-             }
-        }
-
-        // --- Validation Passed --- 
-        console.log(`[Apply Promotion SQL] Code ${promoCode} validated successfully for user ${sqlUserId}.`);
-        // Return relevant promo details (convert DECIMAL to number for frontend)
+        const tax = await quoteTax({ items, discountAmount, country, state, postalCode: zipCode });
+        const taxAmount = convertFromBase(tax.taxAmount, currency);
         res.json({
-            message: 'Promotion applied successfully!',
-            code: promotion.code,
-            description: promotion.description,
-            discountType: promotion.discountType,
-            discountValue: parseFloat(promotion.discountValue) // Convert Decimal to number
+            currency: currency.code,
+            rate: tax.rate,
+            taxableAmount: convertFromBase(tax.taxableAmount, currency),
+            taxAmount,
+            formattedTaxAmount: formatMoney(taxAmount, currency)
         });
-
     } catch (error) {
-        console.error("[Apply Promotion SQL] Error applying promotion code:", error);
-        res.status(500).json({ message: 'Failed to apply promotion code.' });
+        console.error('[Tax] Error quoting tax:', error);
+        res.status(500).json({ message: 'Failed to calculate tax.' });
     }
 });
 
-// --- Stripe Checkout Session Endpoint ---
-// ... existing code ...
-
-// --- Get Personalized Offers Endpoint (NEW) ---
-app.get('/api/users/me/personalized-offers', authMiddleware, async (req, res) => {
-    const sqlUserId = req.sqlUser?.id;
-    const mongoUserId = req.user?.id; // Still need mongo ID for user wishlist
+// --- Admin Tax Rate Endpoints ---
+function formatTaxRate(taxRate) {
+    const json = taxRate.toJSON();
+    json.rate = parseFloat(json.rate);
+    json.exemptCategories = parseJsonArray(json.exemptCategories);
+    return json;
+}
 
-    if (!sqlUserId || !mongoUserId) {
-        return res.status(401).json({ message: 'User not authenticated.' });
+function validateTaxRateInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { values, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
     }
-    console.log(`[Personalized Offers] Request for user SQL ID: ${sqlUserId}, Mongo ID: ${mongoUserId}`);
-
-    try {
-        // --- Get User Data (Wishlist from Mongo, Preferred Category from SQL Orders) ---
-        let wishlistSqlProductIds = [];
-        let preferredCategory = null; // This should already be calculated in /api/users/me, but recalculate here for demo
-        
-        // 1. Get Mongo User Wishlist
-        const user = await User.findById(mongoUserId).select('wishlist');
-        if (user && user.wishlist && user.wishlist.length > 0) {
-            wishlistSqlProductIds = user.wishlist.map(idStr => parseInt(idStr, 10)).filter(id => !isNaN(id));
-        }
-        
-        // 2. Analyze Order History for Preferred Category (Simplified version)
-        try {
-             const orders = await SqlOrder.findAll({
-                where: { userId: sqlUserId },
-                include: [{ model: SqlOrderItem, as: 'items', include: [{ model: SqlProduct, attributes: ['category']}] }]
-             });
-             const categoryCounts = {};
-             let maxCount = 0;
-             orders.forEach(order => {
-                 order.items?.forEach(item => {
-                     const category = item.SqlProduct?.category;
-                     if (category) {
-                         categoryCounts[category] = (categoryCounts[category] || 0) + 1;
-                         if (categoryCounts[category] > maxCount) {
-                             maxCount = categoryCounts[category];
-                             preferredCategory = category;
-                         }
-                     }
-                 });
-             });
-             console.log(`[Personalized Offers] User ${sqlUserId} preferred category: ${preferredCategory}`);
-        } catch (analysisError) {
-             console.error(`[Personalized Offers] Error analyzing order history for user ${sqlUserId}:`, analysisError);
+    if (body.name !== undefined || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim()) errors.push({ field: 'name', message: 'name is required' });
+        else values.name = body.name.trim();
+    }
+    if (body.country !== undefined || !partial) {
+        const country = normalizeRegionCode(body.country);
+        if (!/^[A-Z]{2}$/.test(country)) errors.push({ field: 'country', message: 'country must be a 2-letter ISO code' });
+        else values.country = country;
+    }
+    if (body.state !== undefined) {
+        const state = normalizeRegionCode(body.state);
+        if (body.state === null || state === '') values.state = null;
+        else if (!REGION_CODE_PATTERN.test(state)) errors.push({ field: 'state', message: 'state must be a state/province code' });
+        else values.state = state;
+    }
+    if (body.postalPrefix !== undefined) {
+        const prefix = normalizePostalCode(body.postalPrefix);
+        if (body.postalPrefix === null || prefix === '') values.postalPrefix = null;
+        else if (!/^[A-Z0-9-]{1,10}$/.test(prefix)) errors.push({ field: 'postalPrefix', message: 'postalPrefix must be up to 10 letters or digits' });
+        else values.postalPrefix = prefix;
+    }
+    if (body.rate !== undefined || !partial) {
+        const rate = Number(body.rate);
+        if (body.rate === null || body.rate === '' || !Number.isFinite(rate) || rate < 0 || rate >= 1) {
+            errors.push({ field: 'rate', message: 'rate must be a fraction from 0 to less than 1 (e.g. 0.0725)' });
+        } else {
+            values.rate = rate;
         }
-        // --- End User Data Fetching & Analysis ---
-        
-        let offerCode = null;
-        let offerDescription = null;
-        const discountType = 'PERCENTAGE';
-        const discountValue = 10; // Standard 10% for these simple offers
-        let offerGenerated = false;
-
-        // --- Offer Generation Logic --- 
-        if (wishlistSqlProductIds.length > 0) {
-            // **Offer based on Wishlist**
-            console.log(`[Personalized Offers] User ${sqlUserId} has items in wishlist.`);
-            const offerBaseCode = `WISH-${sqlUserId}-`;
-            const existingUsage = await PersonalizedCodeUsage.findOne({ where: { userId: sqlUserId, code: { [Sequelize.Op.like]: `${offerBaseCode}%` } } });
-
-            if (!existingUsage) {
-                const firstWishlistedProductId = wishlistSqlProductIds[0];
-                const wishlistedProduct = await SqlProduct.findByPk(firstWishlistedProductId, { attributes: ['name'] });
-                const productName = wishlistedProduct ? wishlistedProduct.name : 'an item you like';
-                
-                offerCode = `${offerBaseCode}${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-                offerDescription = `Enjoy 10% off your next order! We noticed you like ${productName}.`;
-                if (preferredCategory) {
-                     offerDescription += ` Great choice for ${preferredCategory.toLowerCase()} fans!`; // Add category context
-                }
-                offerGenerated = true;
-            } else {
-                 console.log(`[Personalized Offers] User ${sqlUserId} already used wishlist offer.`);
-            }
-        
-        } else if (preferredCategory) {
-            // **Offer based on Preferred Category (if wishlist empty)**
-             console.log(`[Personalized Offers] User ${sqlUserId} has no wishlist, but preferred category: ${preferredCategory}.`);
-             const offerBaseCode = `CAT-${sqlUserId}-`;
-             const existingUsage = await PersonalizedCodeUsage.findOne({ where: { userId: sqlUserId, code: { [Sequelize.Op.like]: `${offerBaseCode}%` } } }); // Check for CAT code usage
-
-             if (!existingUsage) {
-                 offerCode = `${offerBaseCode}${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-                 offerDescription = `Enjoy 10% off your next order! Especially for fans of ${preferredCategory.toLowerCase()} products.`;
-                 offerGenerated = true;
-             } else {
-                 console.log(`[Personalized Offers] User ${sqlUserId} already used category offer.`);
-             }
-        }
-
-        // --- Construct and Return Offer --- 
-        if (offerGenerated && offerCode) {
-            const personalizedOffer = {
-                code: offerCode,
-                description: offerDescription,
-                discountType: discountType,
-                discountValue: discountValue,
-                isPersonalized: true 
-            };
-            console.log(`[Personalized Offers] Generated offer for user ${sqlUserId}:`, personalizedOffer.code);
-            res.json([personalizedOffer]); 
+    }
+    if (body.exemptCategories !== undefined) {
+        if (!Array.isArray(body.exemptCategories) || body.exemptCategories.some(c => typeof c !== 'string' || !c.trim())) {
+            errors.push({ field: 'exemptCategories', message: 'exemptCategories must be an array of category names' });
         } else {
-            console.log(`[Personalized Offers] No eligible personalized offer generated for user ${sqlUserId}.`);
-            res.json([]); // Return empty array if no offer generated
+            values.exemptCategories = [...new Set(body.exemptCategories.map(c => c.trim()))];
         }
+    }
+    if (body.isActive !== undefined) values.isActive = Boolean(body.isActive);
+    return { values, errors };
+}
 
+app.get('/api/admin/tax-rates', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const rates = await SqlTaxRate.findAll({ order: [['country', 'ASC'], ['state', 'ASC'], ['postalPrefix', 'ASC']] });
+        res.json(rates.map(formatTaxRate));
     } catch (error) {
-        console.error("[Personalized Offers] Error generating offers:", error);
-        res.status(500).json({ message: 'Failed to generate personalized offers.' });
+        console.error('[Admin Tax] Error fetching tax rates:', error);
+        res.status(500).json({ message: 'Failed to fetch tax rates.' });
     }
 });
 
+app.post('/api/admin/tax-rates', authMiddleware, adminMiddleware, async (req, res) => {
+    const { values, errors } = validateTaxRateInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid tax rate', errors });
+    }
+    try {
+        const taxRate = await SqlTaxRate.create(values);
+        console.log(`[Admin Tax] Tax rate ${taxRate.id} (${taxRate.country}/${taxRate.state || '*'}/${taxRate.postalPrefix || '*'}) created by user ${req.sqlUser.id}`);
+        res.status(201).json(formatTaxRate(taxRate));
+    } catch (error) {
+        console.error('[Admin Tax] Error creating tax rate:', error);
+        res.status(500).json({ message: 'Failed to create tax rate.' });
+    }
+});
 
-// --- Apply Promotion Code Endpoint (Refactored for SQL) ---
-// ... existing code ...
-
-// --- Internal Feedback Analysis Endpoint (NEW) ---
-app.get('/api/internal/feedback-analysis', async (req, res) => {
-    // Basic security - In a real app, protect this with admin roles or internal network access
-    console.log("[Internal Feedback Analysis] Request received.");
+app.put('/api/admin/tax-rates/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    const { values, errors } = validateTaxRateInput(req.body, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid tax rate', errors });
+    }
     try {
-        // Fetch feedback that has a rating and is linked to a product (SQL Product ID)
-        const feedbackWithRatings = await Feedback.find({
-             rating: { $exists: true, $ne: null },
-             product: { $exists: true, $ne: null }
-        }).select('product rating'); // Select only needed fields
+        const taxRate = await SqlTaxRate.findByPk(req.params.id);
+        if (!taxRate) {
+            return res.status(404).json({ message: 'Tax rate not found' });
+        }
+        // What Stripe shows and charges is fixed per Stripe rate; the next checkout creates a new one
+        const stripeTaxRateId = taxRate.stripeTaxRateId;
+        const stripeFieldsChanged = ['name', 'country', 'state', 'rate'].some(field =>
+            values[field] !== undefined && String(values[field]) !== String(field === 'rate' ? parseFloat(taxRate.rate) : taxRate[field]));
+        if (stripeFieldsChanged) values.stripeTaxRateId = null;
+        await taxRate.update(values);
+        if (stripeFieldsChanged) await archiveStripeTaxRate(stripeTaxRateId);
+        console.log(`[Admin Tax] Tax rate ${taxRate.id} updated by user ${req.sqlUser.id}`);
+        res.json(formatTaxRate(taxRate));
+    } catch (error) {
+        console.error(`[Admin Tax] Error updating tax rate ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update tax rate.' });
+    }
+});
 
-        if (feedbackWithRatings.length === 0) {
-            return res.json({ message: "No product feedback with ratings found to analyze.", analysis: {} });
+app.delete('/api/admin/tax-rates/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const taxRate = await SqlTaxRate.findByPk(req.params.id);
+        if (!taxRate) {
+            return res.status(404).json({ message: 'Tax rate not found' });
         }
+        await taxRate.destroy();
+        await archiveStripeTaxRate(taxRate.stripeTaxRateId);
+        console.log(`[Admin Tax] Tax rate ${req.params.id} deleted by user ${req.sqlUser.id}`);
+        res.json({ message: 'Tax rate deleted' });
+    } catch (error) {
+        console.error(`[Admin Tax] Error deleting tax rate ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to delete tax rate.' });
+    }
+});
+// --- End Admin Tax Rate Endpoints ---
+// --- End Sales Tax ---
 
-        // Aggregate ratings per product ID
-        const productRatings = {};
-        feedbackWithRatings.forEach(fb => {
-            const productId = fb.product.toString(); // Product ID is stored
-            if (!productRatings[productId]) {
-                productRatings[productId] = { totalRating: 0, count: 0 };
-            }
-            productRatings[productId].totalRating += fb.rating;
-            productRatings[productId].count += 1;
-        });
-
-        // Calculate average ratings
-        const analysisResults = {};
-        for (const productId in productRatings) {
-            const data = productRatings[productId];
-            analysisResults[productId] = {
-                count: data.count,
-                averageRating: data.totalRating / data.count
+// --- Admin Job Endpoints ---
+// Scheduled jobs with their last few runs (see the Job Scheduler section)
+app.get('/api/admin/jobs', authMiddleware, staffMiddleware, async (req, res) => {
+    try {
+        const jobs = await Promise.all(SCHEDULED_JOBS.map(async job => {
+            const recentRuns = await SqlJobRun.findAll({
+                where: { jobName: job.name },
+                order: [['startedAt', 'DESC'], ['id', 'DESC']],
+                limit: 5
+            });
+            return {
+                name: job.name,
+                schedule: job.schedule,
+                description: job.description,
+                running: runningJobs.has(job.name),
+                lastRun: recentRuns[0] || null,
+                lastFailure: recentRuns.find(run => run.status === 'failed') || null,
+                recentRuns
             };
-        }
-
-        console.log("[Internal Feedback Analysis] Analysis complete:", analysisResults);
-        res.json({ message: "Feedback analysis complete.", analysis: analysisResults });
-
+        }));
+        res.json(jobs);
     } catch (error) {
-        console.error("[Internal Feedback Analysis] Error:", error);
-        res.status(500).json({ message: "Failed to analyze feedback.", error: error.message });
+        console.error('[Admin Jobs] Error fetching jobs:', error);
+        res.status(500).json({ message: 'Failed to fetch jobs.' });
+    }
+});
+
+// Starts a job now. Responds 202 straight away; the run shows up in GET /api/admin/jobs.
+app.post('/api/admin/jobs/:name/run', authMiddleware, adminMiddleware, (req, res) => {
+    const job = SCHEDULED_JOBS.find(candidate => candidate.name === req.params.name);
+    if (!job) {
+        return res.status(404).json({ message: 'Job not found' });
+    }
+    if (runningJobs.has(job.name)) {
+        return res.status(409).json({ message: `${job.name} is already running.` });
     }
+    console.log(`[Admin Jobs] ${job.name} started manually by user ${req.sqlUser.id}`);
+    runJob(job, 'manual');
+    res.status(202).json({ message: `${job.name} started.` });
 });
+// --- End Admin Job Endpoints ---
+
 
 
 // --- Get Applicable Promotions Endpoint (Refactored for SQL) ---
@@ -2075,8 +7788,286 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// --- Job Scheduler ---
+// In-process, cron-style scheduler. It assumes a single server instance: a job
+// never overlaps itself within this process, but two instances would both run it.
+// Every run is recorded in job_runs (see /api/admin/jobs). Set
+// DISABLE_JOB_SCHEDULER=true to turn scheduled runs off (manual runs still work).
+
+// 5-field cron (minute hour day-of-month month day-of-week) in server local time.
+// Supports *, numbers, ranges (1-5), lists (1,15) and steps (*/10, 0-30/5).
+// Unlike classic cron, day-of-month and day-of-week must both match.
+const CRON_FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]];
+
+function parseCronExpression(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+  return fields.map((field, index) => {
+      const [min, max] = CRON_FIELD_RANGES[index];
+      const values = new Set();
+      field.split(',').forEach(part => {
+          const [rangePart, stepPart] = part.split('/');
+          const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+          let [start, end] = rangePart === '*' ? [min, max] : rangePart.split('-').map(n => parseInt(n, 10));
+          if (end === undefined) end = stepPart === undefined ? start : max; // "5/15" = from 5 every 15
+          if ([start, end, step].some(isNaN) || start < min || end > max || start > end || step < 1) {
+              throw new Error(`Invalid cron expression "${expression}": bad field "${field}"`);
+          }
+          for (let value = start; value <= end; value += step) values.add(value);
+      });
+      return values;
+  });
+}
+
+function cronMatches(fields, date) {
+  const [minutes, hours, days, months, weekdays] = fields;
+  return minutes.has(date.getMinutes())
+      && hours.has(date.getHours())
+      && days.has(date.getDate())
+      && months.has(date.getMonth() + 1)
+      && weekdays.has(date.getDay());
+}
+
+// --- Loyalty maintenance jobs ---
+const LOYALTY_POINTS_EXPIRY_MONTHS = parseInt(process.env.LOYALTY_POINTS_EXPIRY_MONTHS, 10) || 12;
+const LOYALTY_EXPIRY_WARNING_DAYS = parseInt(process.env.LOYALTY_EXPIRY_WARNING_DAYS, 10) || 30;
+
+function monthsAgo(months, from = new Date()) {
+  const date = new Date(from);
+  date.setMonth(date.getMonth() - months);
+  return date;
+}
+
+// Points are spent oldest-first, so whatever was credited before `cutoff` and not
+// yet covered by debits (redemptions, earlier expiries, reversals) is expirable.
+// Released checkout holds and the entries returning them cancel out and are left out.
+// Returns Map(userId -> points), only users with something to expire.
+async function getExpirablePoints(cutoff, { userId, transaction } = {}) {
+  const { Op } = Sequelize;
+  const where = { status: { [Op.ne]: 'released' }, type: { [Op.ne]: 'hold_release' } };
+  if (userId) where.userId = userId;
+  const rows = await SqlLoyaltyTransaction.findAll({
+      attributes: [
+          'userId',
+          [sequelize.literal(`SUM(CASE WHEN points > 0 AND createdAt < ${sequelize.escape(cutoff)} THEN points ELSE 0 END)`), 'oldCredits'],
+          [sequelize.literal('SUM(CASE WHEN points < 0 THEN -points ELSE 0 END)'), 'debits']
+      ],
+      where,
+      group: ['userId'],
+      raw: true,
+      transaction
+  });
+  const expirable = new Map();
+  rows.forEach(row => {
+      const points = (parseInt(row.oldCredits, 10) || 0) - (parseInt(row.debits, 10) || 0);
+      if (points > 0) expirable.set(row.userId, points);
+  });
+  return expirable;
+}
+
+async function expireLoyaltyPoints() {
+  const cutoff = monthsAgo(LOYALTY_POINTS_EXPIRY_MONTHS);
+  const candidates = await getExpirablePoints(cutoff);
+  let usersAffected = 0, pointsExpired = 0, usersFailed = 0;
+
+  for (const userId of candidates.keys()) {
+      let transaction;
+      try {
+          transaction = await sequelize.transaction();
+          // Lock the user and recount, in case they redeemed points since the scan
+          await SqlUser.findByPk(userId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+          const points = (await getExpirablePoints(cutoff, { userId, transaction })).get(userId) || 0;
+          const entry = points > 0
+              ? await recordLoyaltyTransaction(userId, {
+                  type: 'expire',
+                  points: -points,
+                  reason: `Points earned before ${cutoff.toISOString().slice(0, 10)} expired`,
+                  clampToBalance: true
+              }, transaction)
+              : null;
+          await transaction.commit();
+          if (entry) {
+              usersAffected++;
+              pointsExpired += -entry.points;
+          }
+      } catch (error) {
+          // One user's failure shouldn't stop everyone else's points from expiring
+          if (transaction && !transaction.finished) await transaction.rollback();
+          usersFailed++;
+          console.error(`[Loyalty] Failed to expire points for user ${userId}:`, error);
+      }
+  }
+  return { cutoff, usersAffected, pointsExpired, usersFailed };
+}
+
+// Tiers with rolling windows can drop as old orders age out, so every user is
+// re-evaluated (and SqlUser.loyaltyTier refreshed) once a night.
+async function reevaluateLoyaltyTiers() {
+  const tiers = await getLoyaltyTiers();
+  const rankOf = (name) => tiers.find(tier => tier.name === name)?.rank ?? -1;
+  const users = await SqlUser.findAll({ attributes: ['id', 'loyaltyTier'] });
+  let assigned = 0, upgraded = 0, downgraded = 0;
+  for (const user of users) {
+      const { tier } = await evaluateUserTier(user.id, { persist: true });
+      const tierName = tier ? tier.name : null;
+      if (tierName === user.loyaltyTier) continue;
+      if (!user.loyaltyTier) assigned++; // First tier, not a move between tiers
+      else if (!tierName || rankOf(tierName) < rankOf(user.loyaltyTier)) downgraded++; // Fell out of every tier counts as down
+      else upgraded++;
+  }
+  return { usersEvaluated: users.length, assigned, upgraded, downgraded };
+}
+
+// In-app notice for points that will expire within LOYALTY_EXPIRY_WARNING_DAYS.
+// A user is reminded at most once per warning period.
+async function notifyPointsExpiringSoon() {
+  const now = new Date();
+  const expiryDate = new Date(now.getTime() + LOYALTY_EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+  const expiringBy = await getExpirablePoints(monthsAgo(LOYALTY_POINTS_EXPIRY_MONTHS, expiryDate));
+  const expirableNow = await getExpirablePoints(monthsAgo(LOYALTY_POINTS_EXPIRY_MONTHS, now));
+  const recentCutoff = new Date(now.getTime() - LOYALTY_EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+  let notified = 0, skipped = 0;
+
+  for (const [userId, total] of expiringBy) {
+      const points = total - (expirableNow.get(userId) || 0); // Tonight's expiry job takes the rest
+      if (points <= 0) continue;
+      const alreadyNotified = await SqlUserNotification.count({
+          where: { userId, type: 'points_expiring', createdAt: { [Sequelize.Op.gte]: recentCutoff } }
+      });
+      if (alreadyNotified > 0) {
+          skipped++;
+          continue;
+      }
+      await SqlUserNotification.create({
+          userId,
+          type: 'points_expiring',
+          message: `${points} of your loyalty points will expire by ${expiryDate.toISOString().slice(0, 10)}. Use them at checkout before then.`
+      });
+      notified++;
+  }
+  return { notified, skipped };
+}
+
+// Runs the personalized offer rules for every customer, so time-based offers
+// (birthday, lapsed customer) are issued without the user visiting their account.
+async function issuePersonalizedOffersForAll() {
+  const users = await SqlUser.findAll({ where: { role: 'customer' }, attributes: { exclude: ['password'] } });
+  let offersIssued = 0;
+  for (const user of users) {
+      const issued = await generatePersonalizedOffers(user, { notify: true });
+      offersIssued += issued.length;
+  }
+  return { usersChecked: users.length, offersIssued };
+}
+
+// name -> { schedule, description, run }. run() resolves to a summary stored in job_runs.result.
+const SCHEDULED_JOBS = [
+  {
+      name: 'release-expired-reservations',
+      schedule: '*/10 * * * *',
+      description: 'Release stock and loyalty points held by checkouts whose Stripe session expired',
+      run: async () => ({
+          reservationsReleased: await releaseExpiredReservations(),
+          loyaltyHoldsReleased: await releaseExpiredLoyaltyHolds()
+      })
+  },
+  {
+      name: 'expire-loyalty-points',
+      schedule: '30 2 * * *',
+      description: `Expire points older than ${LOYALTY_POINTS_EXPIRY_MONTHS} months`,
+      run: expireLoyaltyPoints
+  },
+  {
+      name: 'reevaluate-loyalty-tiers',
+      schedule: '0 3 * * *',
+      description: 'Re-evaluate every customer\'s loyalty tier',
+      run: reevaluateLoyaltyTiers
+  },
+  {
+      name: 'notify-points-expiring',
+      schedule: '0 9 * * *',
+      description: `Notify customers whose points expire within ${LOYALTY_EXPIRY_WARNING_DAYS} days`,
+      run: notifyPointsExpiringSoon
+  },
+  {
+      name: 'issue-personalized-offers',
+      schedule: '0 8 * * *',
+      description: 'Issue personalized offers (wishlist, category, lapsed, birthday) to customers who qualify',
+      run: issuePersonalizedOffersForAll
+  },
+  {
+      name: 'refresh-recommendations',
+      schedule: '15 4 * * *',
+      description: 'Rebuild cached product and customer recommendations',
+      run: refreshRecommendations
+  },
+  {
+      name: 'rebuild-customer-profiles',
+      schedule: '45 3 * * *',
+      description: 'Recompute RFM scores, segments and preferences for every customer',
+      run: rebuildCustomerProfiles
+  }
+].map(job => ({ ...job, cron: parseCronExpression(job.schedule) }));
+
+const runningJobs = new Set();
+
+// Runs a job and records it in job_runs. Resolves to the SqlJobRun, or null when
+// the job is already running (runs never overlap). Never rejects.
+async function runJob(job, trigger = 'schedule') {
+  if (runningJobs.has(job.name)) {
+      console.warn(`[Jobs] ${job.name} is still running; skipping this ${trigger} run.`);
+      return null;
+  }
+  runningJobs.add(job.name);
+  let run = null;
+  try {
+      run = await SqlJobRun.create({ jobName: job.name, trigger, status: 'running', startedAt: new Date() });
+      const result = await job.run();
+      await run.update({ status: 'succeeded', finishedAt: new Date(), result: result || null });
+      console.log(`[Jobs] ${job.name} succeeded:`, result);
+  } catch (error) {
+      console.error(`[Jobs] ${job.name} failed:`, error);
+      if (run) {
+          await run.update({ status: 'failed', finishedAt: new Date(), error: String(error.stack || error.message).slice(0, 5000) })
+              .catch(updateError => console.error(`[Jobs] Could not record failure of ${job.name}:`, updateError));
+      }
+  } finally {
+      runningJobs.delete(job.name);
+  }
+  return run;
+}
+
+function startJobScheduler() {
+  if (process.env.DISABLE_JOB_SCHEDULER === 'true') {
+      console.log('[Jobs] Scheduler disabled by DISABLE_JOB_SCHEDULER.');
+      return;
+  }
+  // Runs left 'running' were cut off by a restart
+  SqlJobRun.update(
+      { status: 'failed', finishedAt: new Date(), error: 'Interrupted by server restart' },
+      { where: { status: 'running' } }
+  ).catch(error => console.error('[Jobs] Could not clean up interrupted runs:', error));
+
+  let lastTickMinute = null;
+  const tick = () => {
+      const now = new Date();
+      const minute = Math.floor(now.getTime() / 60000);
+      if (minute !== lastTickMinute) {
+          lastTickMinute = minute;
+          SCHEDULED_JOBS.filter(job => cronMatches(job.cron, now)).forEach(job => runJob(job));
+      }
+      setTimeout(tick, 60000 - (Date.now() % 60000)); // Next minute boundary
+  };
+  setTimeout(tick, 60000 - (Date.now() % 60000));
+  console.log(`[Jobs] Scheduler started: ${SCHEDULED_JOBS.map(job => `${job.name} (${job.schedule})`).join(', ')}`);
+}
+// --- End Job Scheduler ---
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  startJobScheduler();
 }); 
 
 // --- Helper function to fulfill order --- 
@@ -2285,10 +8276,328 @@ async function fulfillOrder(session) {
 
 // ... existing code ...
 
+// --- Inventory Helpers (per-variant stock) ---
+// Checkout reserves stock, the Stripe webhook commits it (checkout.session.completed)
+// or releases it (checkout.session.expired). Stripe requires sessions to live at
+// least 30 minutes, so reservations last a little longer than that.
+const STOCK_RESERVATION_MINUTES = 35;
+
+// Cart lines use 'N/A' (see product-detail.html) when a product has no color/size options
+function normalizeVariantOption(value) {
+  if (value === undefined || value === null) return '';
+  const option = String(value).trim().toUpperCase();
+  return option === 'N/A' ? '' : option;
+}
+
+function describeVariant(color, size) {
+  const parts = [];
+  if (size) parts.push(`size ${size}`);
+  if (color) parts.push(`color ${color}`);
+  return parts.length > 0 ? parts.join(', ') : 'this option';
+}
+
+// Returns { stockTracked, variants: [{ color, size, available }] } for product-detail
+async function getProductAvailability(productId) {
+  const variants = await SqlProductVariant.findAll({
+      where: { productId },
+      attributes: ['color', 'size', 'onHand', 'reserved']
+  });
+  return {
+      stockTracked: variants.length > 0,
+      variants: variants.map(v => ({
+          color: v.color,
+          size: v.size,
+          available: Math.max(v.onHand - v.reserved, 0)
+      }))
+  };
+}
+
+// Reserves stock for repriced cart items. Returns { reservationKey, errors };
+// reservationKey is null when nothing needed reserving (untracked products only).
+async function reserveStockForItems(items, sqlUserId) {
+  const errors = [];
+
+  // Several cart lines can point at the same variant
+  const wanted = new Map();
+  items.forEach(item => {
+      const color = normalizeVariantOption(item.color);
+      const size = normalizeVariantOption(item.size);
+      const key = `${item.productId}|${color}|${size}`;
+      const line = wanted.get(key) || { productId: item.productId, name: item.name, color, size, quantity: 0 };
+      line.quantity += item.quantity;
+      wanted.set(key, line);
+  });
+
+  const transaction = await sequelize.transaction();
+  try {
+      // Lock in id order so concurrent checkouts can't deadlock each other
+      const variants = await SqlProductVariant.findAll({
+          where: { productId: [...new Set(items.map(item => item.productId))] },
+          order: [['id', 'ASC']],
+          transaction,
+          lock: transaction.LOCK.UPDATE
+      });
+      const trackedProductIds = new Set(variants.map(v => v.productId));
+      const variantsByKey = new Map(variants.map(v => [`${v.productId}|${v.color}|${v.size}`, v]));
+
+      const reservations = [];
+      wanted.forEach((line, key) => {
+          if (!trackedProductIds.has(line.productId)) return; // Not stock-tracked
+          const variant = variantsByKey.get(key);
+          if (!variant) {
+              errors.push({ productId: line.productId, code: 'VARIANT_NOT_FOUND', message: `"${line.name}" is not available in ${describeVariant(line.color, line.size)}.` });
+              return;
+          }
+          const available = Math.max(variant.onHand - variant.reserved, 0);
+          if (available < line.quantity) {
+              errors.push({
+                  productId: line.productId,
+                  code: 'OUT_OF_STOCK',
+                  available: available,
+                  message: available > 0
+                      ? `Only ${available} left of "${line.name}" (${describeVariant(line.color, line.size)}).`
+                      : `"${line.name}" (${describeVariant(line.color, line.size)}) is sold out.`
+              });
+              return;
+          }
+          reservations.push({ variant, quantity: line.quantity });
+      });
+
+      if (errors.length > 0 || reservations.length === 0) {
+          await transaction.rollback();
+          return { reservationKey: null, errors };
+      }
+
+      const reservationKey = crypto.randomUUID();
+      const expiresAt = new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000);
+      for (const { variant, quantity } of reservations) {
+          await variant.increment('reserved', { by: quantity, transaction });
+      }
+      await SqlStockReservation.bulkCreate(reservations.map(({ variant, quantity }) => ({
+          reservationKey,
+          variantId: variant.id,
+          userId: sqlUserId,
+          quantity,
+          expiresAt
+      })), { transaction });
+
+      await transaction.commit();
+      console.log(`[Inventory] Reserved ${reservations.length} variant(s) for user ${sqlUserId} (reservation ${reservationKey}).`);
+      return { reservationKey, expiresAt, errors };
+  } catch (error) {
+      await transaction.rollback();
+      throw error;
+  }
+}
+
+// Turns a reservation into a sale: stock leaves onHand. Runs inside the
+// fulfillment transaction and is idempotent (committed rows are skipped).
+async function commitStockReservation(reservationKey, transaction) {
+  const reservations = await SqlStockReservation.findAll({
+      where: { reservationKey },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+  });
+  for (const reservation of reservations) {
+      if (reservation.status === 'committed') continue;
+      if (reservation.status === 'released') {
+          // Paid after the reservation lapsed - the stock was sold anyway
+          console.warn(`[Inventory] Reservation ${reservationKey} was already released; deducting stock for variant ${reservation.variantId} without a hold.`);
+          await SqlProductVariant.increment({ onHand: -reservation.quantity }, { where: { id: reservation.variantId }, transaction });
+      } else {
+          await SqlProductVariant.increment(
+              { onHand: -reservation.quantity, reserved: -reservation.quantity },
+              { where: { id: reservation.variantId }, transaction }
+          );
+      }
+      await reservation.update({ status: 'committed' }, { transaction });
+  }
+  if (reservations.length > 0) {
+      console.log(`[Inventory] Committed reservation ${reservationKey} (${reservations.length} variant(s)).`);
+  }
+}
+
+// Returns held stock to the pool (abandoned/expired checkout). Safe to call twice.
+async function releaseStockReservation(reservationKey, reason) {
+  const transaction = await sequelize.transaction();
+  try {
+      const reservations = await SqlStockReservation.findAll({
+          where: { reservationKey, status: 'reserved' },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+      });
+      for (const reservation of reservations) {
+          await SqlProductVariant.increment({ reserved: -reservation.quantity }, { where: { id: reservation.variantId }, transaction });
+          await reservation.update({ status: 'released' }, { transaction });
+      }
+      await transaction.commit();
+      if (reservations.length > 0) {
+          console.log(`[Inventory] Released reservation ${reservationKey} (${reason}).`);
+      }
+  } catch (error) {
+      await transaction.rollback();
+      throw error;
+  }
+}
+
+// Safety net for missed checkout.session.expired webhooks
+async function releaseExpiredReservations() {
+  const { Op } = Sequelize;
+  const expired = await SqlStockReservation.findAll({
+      where: { status: 'reserved', expiresAt: { [Op.lt]: new Date() } },
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('reservationKey')), 'reservationKey']],
+      raw: true
+  });
+  for (const { reservationKey } of expired) {
+      await releaseStockReservation(reservationKey, 'expired');
+  }
+  return expired.length;
+}
+// Runs as the 'release-expired-reservations' scheduled job
+
+// Puts a cancelled/refunded order's items back on the shelf. Runs inside the
+// status-change transaction; lines for untracked products match no variant and are skipped.
+async function restockOrderItems(order, transaction) {
+  const items = await SqlOrderItem.findAll({ where: { orderId: order.id }, transaction });
+  let restocked = 0;
+  for (const item of items) {
+      const variant = await SqlProductVariant.findOne({
+          where: {
+              productId: item.productId,
+              color: normalizeVariantOption(item.color),
+              size: normalizeVariantOption(item.size)
+          },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+      });
+      if (!variant) continue;
+      await variant.increment('onHand', { by: item.quantity, transaction });
+      restocked += item.quantity;
+  }
+  if (restocked > 0) {
+      console.log(`[Inventory] Returned ${restocked} unit(s) from order ${order.id} to stock.`);
+  }
+}
+// --- End Inventory Helpers ---
+
+// --- Cart Repricing Helpers (Server-side price authority) ---
+// The browser's cart (localStorage 'shoppingCart') is editable by the user, so
+// every line is looked up in SqlProduct and rebuilt from the catalog.
+// Returns { items, subTotal, errors } - callers must not proceed if errors is non-empty.
+async function repriceCart(cart, options = {}) {
+  const items = [];
+  const errors = [];
+
+  if (!Array.isArray(cart) || cart.length === 0) {
+      errors.push({ line: null, productId: null, code: 'EMPTY_CART', message: 'Cart is empty.' });
+      return { items, subTotal: 0, errors };
+  }
+
+  // 1. Validate line shape so we only query well-formed IDs
+  const parsedLines = cart.map((item, index) => {
+      const productId = parseInt(item?.id, 10);
+      const quantity = Number(item?.quantity);
+      if (isNaN(productId)) {
+          errors.push({ line: index, productId: item?.id ?? null, code: 'INVALID_PRODUCT_ID', message: `Line ${index + 1}: invalid product ID.` });
+          return null;
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+          errors.push({ line: index, productId, code: 'INVALID_QUANTITY', message: `Line ${index + 1}: quantity must be a whole number of at least 1.` });
+          return null;
+      }
+      return { item, productId, quantity };
+  });
+
+  // 2. Load all referenced products in one query
+  const productIds = [...new Set(parsedLines.filter(Boolean).map(line => line.productId))];
+  const products = productIds.length > 0
+      ? await SqlProduct.findAll({ where: { id: productIds }, transaction: options.transaction })
+      : [];
+  const productsById = new Map(products.map(p => [p.id, p]));
+
+  // 3. Rebuild each line from the catalog, recording any differences
+  let subTotal = 0;
+  parsedLines.forEach((line, index) => {
+      if (!line) return; // Already reported above
+      const { item, productId, quantity } = line;
+      const product = productsById.get(productId);
+
+      if (!product) {
+          errors.push({ line: index, productId, code: 'PRODUCT_NOT_FOUND', message: `Line ${index + 1}: product ${productId} does not exist.` });
+          return;
+      }
+      if (!product.isActive) {
+          errors.push({ line: index, productId, code: 'PRODUCT_INACTIVE', message: `"${product.name}" is no longer available.` });
+          return;
+      }
+
+      const catalogPrice = parseFloat(product.price); // DECIMAL comes back as string
+      if (item.price !== undefined && item.price !== null) {
+          const clientPrice = parseFloat(item.price);
+          if (isNaN(clientPrice) || Math.round(clientPrice * 100) !== Math.round(catalogPrice * 100)) {
+              errors.push({
+                  line: index,
+                  productId,
+                  code: 'PRICE_MISMATCH',
+                  message: `"${product.name}" now costs $${catalogPrice.toFixed(2)} (your bag shows $${isNaN(clientPrice) ? '?' : clientPrice.toFixed(2)}).`,
+                  catalogPrice: catalogPrice
+              });
+          }
+      }
+      if (item.name && item.name !== product.name) {
+          errors.push({ line: index, productId, code: 'NAME_MISMATCH', message: `Line ${index + 1}: "${item.name}" is now listed as "${product.name}".`, catalogName: product.name });
+      }
+
+      // The selected color/size must be one the product is sold in
+      const color = normalizeVariantOption(item.color);
+      const size = normalizeVariantOption(item.size);
+      let productColors = [], productSizes = [];
+      try { productColors = (JSON.parse(product.colors) || []).map(normalizeVariantOption); } catch (e) { /* no colors */ }
+      try { productSizes = (JSON.parse(product.sizes) || []).map(normalizeVariantOption); } catch (e) { /* no sizes */ }
+      if ((productColors.length > 0 ? !productColors.includes(color) : color !== '')
+          || (productSizes.length > 0 ? !productSizes.includes(size) : size !== '')) {
+          errors.push({ line: index, productId, code: 'INVALID_OPTION', message: `"${product.name}" is not available in ${describeVariant(color, size)}.` });
+          return;
+      }
+
+      // Same product, color and size on two lines -> one line
+      const existingLine = items.find(i => i.productId === product.id && i.color === color && i.size === size);
+      if (existingLine) {
+          existingLine.quantity += quantity;
+      } else {
+          items.push({
+              productId: product.id,
+              name: product.name, // Catalog name
+              price: catalogPrice, // Catalog price
+              quantity: quantity,
+              image: product.image,
+              color: color, // '' when the product has no color option
+              size: size
+          });
+      }
+      subTotal += catalogPrice * quantity;
+  });
+
+  return { items, subTotal: Math.round(subTotal * 100) / 100, errors };
+}
+
+// Sends repriceCart() errors. 409 when the cart is valid but out of date with
+// the catalog (client should refresh prices), 400 when it can't be bought at all.
+function sendCartErrors(res, errors) {
+  const onlyCatalogChanges = errors.every(e => e.code === 'PRICE_MISMATCH' || e.code === 'NAME_MISMATCH');
+  if (onlyCatalogChanges) {
+      return res.status(409).json({ message: 'Some items in your bag have changed. Please review your bag and try again.', errors });
+  }
+  return res.status(400).json({ message: 'Your bag contains items that cannot be purchased.', errors });
+}
+// --- End Cart Repricing Helpers ---
+
 // --- Stripe Checkout Session Endpoint (NEW - Re-added and Refactored) ---
 app.post('/api/create-checkout-session', authMiddleware, async (req, res) => {
-  const { cart, deliveryAddress, appliedPromoCode } = req.body;
+  const { cart, deliveryAddress, appliedPromoCode, redeemPoints, shippingMethod } = req.body;
   const sqlUserId = req.sqlUser?.id;
+  // Amounts are worked out in BASE_CURRENCY and converted for Stripe at the end
+  const currencyCode = req.body.currency || BASE_CURRENCY;
 
   if (!sqlUserId) {
     return res.status(401).json({ message: 'User not authenticated.' });
@@ -2298,41 +8607,176 @@ app.post('/api/create-checkout-session', authMiddleware, async (req, res) => {
     return res.status(400).json({ message: 'Cart is empty.' });
   }
 
+  let reservationKey = null; // Set once stock is held, so failures below can release it
+  let loyaltyHold = null; // Likewise for redeemed points
+  let couponId = null; // Single-use coupon created for this session, deleted if it's never used
   try {
-    // 1. Transform cart items into Stripe's line_items format
-    const line_items = cart.map(item => {
-      if (!item.id || !item.name || item.price == null || !item.quantity) {
-            throw new Error('Cart item is missing required fields (id, name, price, quantity).');
-      }
+    const { currency, error: currencyError } = await resolveCurrency(currencyCode);
+    if (currencyError) {
+        return res.status(400).json({ message: currencyError });
+    }
+
+    // 1. Reprice the cart from the catalog (name and price come from SqlProduct, not the browser)
+    const { items: pricedItems, subTotal, errors: cartErrors } = await repriceCart(cart);
+    if (cartErrors.length > 0) {
+        console.warn(`[Stripe Checkout] Cart rejected for user ${sqlUserId}:`, cartErrors);
+        return sendCartErrors(res, cartErrors);
+    }
+
+    // 2. Re-validate the promotion code (same rules as /api/apply-promotion)
+    let validatedPromotion = null;
+    let discountAmount = 0;
+    if (appliedPromoCode) {
+        const promoResult = await validatePromotionForUser(appliedPromoCode, req.sqlUser, { subTotal });
+        if (!promoResult.valid) {
+            console.warn(`[Stripe Checkout] Promo code "${appliedPromoCode}" rejected for user ${sqlUserId}: ${promoResult.message}`);
+            return res.status(promoResult.status).json({ message: promoResult.message });
+        }
+        validatedPromotion = promoResult.promotion;
+        discountAmount = calculatePromotionDiscount(validatedPromotion, subTotal);
+    }
+
+    // 2b. Validate any loyalty points redemption (held in step 3b, posted in fulfillOrderSql once paid)
+    let pointsToRedeem = 0;
+    let loyaltyDiscountAmount = 0;
+    if (redeemPoints) {
+        const redemptionResult = validateLoyaltyRedemption(redeemPoints, req.sqlUser, { amountDue: subTotal - discountAmount, currency });
+        if (!redemptionResult.valid) {
+            console.warn(`[Stripe Checkout] Redemption of ${redeemPoints} points rejected for user ${sqlUserId}: ${redemptionResult.message}`);
+            return res.status(redemptionResult.status).json({ message: redemptionResult.message });
+        }
+        pointsToRedeem = redemptionResult.points;
+        loyaltyDiscountAmount = redemptionResult.discountAmount;
+    }
+
+    // 2c. Price the chosen shipping method for the delivery address (same rules as /api/shipping/quote)
+    const shippingQuote = await quoteShipping({
+        items: pricedItems,
+        merchandiseTotal: subTotal - discountAmount,
+        country: deliveryAddress?.country,
+        state: deliveryAddress?.state,
+        promotion: validatedPromotion
+    });
+    if (shippingQuote.error) {
+        return res.status(400).json({ message: shippingQuote.error });
+    }
+    const shippingOption = shippingQuote.options.find(option => option.method === shippingMethod);
+    if (!shippingOption) {
+        console.warn(`[Stripe Checkout] Shipping method "${shippingMethod}" unavailable for user ${sqlUserId} (${deliveryAddress?.country}/${deliveryAddress?.state || '-'})`);
+        return res.status(400).json({ message: 'Please choose an available shipping method for this address.' });
+    }
+
+    // 2d. Sales tax on the discounted merchandise for the delivery address
+    const taxQuote = await quoteTax({
+        items: pricedItems,
+        discountAmount: discountAmount + loyaltyDiscountAmount,
+        country: deliveryAddress?.country,
+        state: deliveryAddress?.state,
+        postalCode: deliveryAddress?.zipCode
+    });
+
+    // 3. Hold stock for the items until the Stripe session completes or expires
+    const stockResult = await reserveStockForItems(pricedItems, sqlUserId);
+    if (stockResult.errors.length > 0) {
+        console.warn(`[Stripe Checkout] Insufficient stock for user ${sqlUserId}:`, stockResult.errors);
+        return res.status(409).json({ message: 'Some items in your bag are no longer in stock.', errors: stockResult.errors });
+    }
+    reservationKey = stockResult.reservationKey;
+
+    // 3b. Hold the redeemed points until the session is paid (posted) or expires (released)
+    if (pointsToRedeem > 0) {
+        try {
+            loyaltyHold = await holdLoyaltyPoints(sqlUserId, pointsToRedeem, `${pointsToRedeem} points held for checkout`);
+        } catch (holdError) {
+            if (holdError.status !== 409) throw holdError;
+            console.warn(`[Stripe Checkout] Points hold failed for user ${sqlUserId}: ${holdError.message}`);
+            if (reservationKey) await releaseStockReservation(reservationKey, 'points hold failed');
+            reservationKey = null;
+            return res.status(409).json({ message: 'Your loyalty points balance has changed. Please choose the points again.' });
+        }
+    }
+
+    // 4. Transform repriced items into Stripe's line_items format, in the chosen currency.
+    // Stripe adds the address's tax rate to every line whose category isn't exempt there.
+    const stripeTaxRateId = taxQuote.rate && taxQuote.rate.rate > 0 ? await getStripeTaxRateId(taxQuote.rate.id) : null;
+    let chargedSubTotal = 0; // Minor units, as Stripe will add them up
+    const line_items = pricedItems.map(item => {
+      const unitAmount = toMinorUnits(convertFromBase(item.price, currency), currency);
+      chargedSubTotal += unitAmount * item.quantity;
       return {
         price_data: {
-          currency: 'usd',
+          currency: currency.code.toLowerCase(),
           product_data: {
             name: item.name,
             // images: [item.image], // Optional: ensure item.image is a public URL if used
-            metadata: { 
-              sqlProductId: item.id.toString() // Store your SQL product ID as string
-            }
+            metadata: {
+              sqlProductId: item.productId.toString(), // Store your SQL product ID as string
+              base_price: item.price.toFixed(2), // Catalog price in BASE_CURRENCY, recorded on the order
+              color: item.color,
+              size: item.size
+            },
+            // Shown under the name on the Stripe checkout page
+            ...(item.color || item.size ? { description: describeVariant(item.color, item.size) } : {})
           },
-          unit_amount: Math.round(parseFloat(item.price) * 100), // Price in cents, ensure item.price is a number
+          unit_amount: unitAmount, // Converted catalog price in minor units (cents)
         },
         quantity: item.quantity,
+        ...(stripeTaxRateId && !taxQuote.exemptProductIds.includes(item.productId) ? { tax_rates: [stripeTaxRateId] } : {})
       };
     });
 
-    // 2. Create metadata (ensure all values are strings for Stripe metadata)
+    // 5. Turn the discounts into a single-use Stripe coupon so the customer is actually charged less.
+    // Checkout sessions accept only one discount, so promotion and points share it.
+    const discounts = [];
+    const totalDiscount = Math.round((discountAmount + loyaltyDiscountAmount) * 100) / 100;
+    if (totalDiscount > 0) {
+        const couponLabel = [
+            validatedPromotion && discountAmount > 0 ? validatedPromotion.code : null,
+            pointsToRedeem > 0 ? `${pointsToRedeem} points` : null
+        ].filter(Boolean).join(' + ');
+        const coupon = await stripe.coupons.create({
+            // Amount we calculated, converted; rounding must not take it past the line total
+            amount_off: Math.min(toMinorUnits(convertFromBase(totalDiscount, currency), currency), chargedSubTotal),
+            currency: currency.code.toLowerCase(),
+            duration: 'once',
+            max_redemptions: 1,
+            name: couponLabel.substring(0, 40), // Shown on the Stripe checkout page (40 char max)
+            metadata: {
+                promo_code: validatedPromotion ? validatedPromotion.code : '',
+                loyalty_points_redeemed: pointsToRedeem.toString(),
+                sqlUserId: sqlUserId.toString()
+            }
+        });
+        couponId = coupon.id;
+        discounts.push({ coupon: coupon.id });
+        console.log(`[Stripe Checkout] Created coupon ${coupon.id} (-$${totalDiscount.toFixed(2)}, charged in ${currency.code}) for ${couponLabel}.`);
+    }
+
+    // 6. Create metadata (ensure all values are strings for Stripe metadata)
     const metadata = {
       sqlUserId: sqlUserId.toString(), 
       delivery_address: JSON.stringify(deliveryAddress || {}),
-      promo_code: appliedPromoCode || ''
+      promo_code: validatedPromotion ? validatedPromotion.code : '',
+      promo_is_personalized: validatedPromotion?.isPersonalized ? 'true' : 'false',
+      discount_amount: discountAmount.toFixed(2),
+      loyalty_points_redeemed: pointsToRedeem.toString(),
+      loyalty_discount_amount: loyaltyDiscountAmount.toFixed(2),
+      reservation_id: reservationKey || '',
+      loyalty_hold_id: loyaltyHold ? loyaltyHold.holdKey : '',
+      coupon_id: couponId || '', // Deleted if the session expires unpaid
+      exchange_rate: currency.rate.toString(), // Units of the session currency per 1 BASE_CURRENCY
+      currency_decimals: currency.decimals.toString(),
+      shipping_method: shippingOption.method,
+      shipping_amount: shippingOption.amount.toFixed(2), // BASE_CURRENCY; 0 when free
+      tax_rate: taxQuote.rate ? taxQuote.rate.rate.toString() : ''
     };
     
-    // 3. Determine success and cancel URLs
+    // 7. Determine success and cancel URLs
     // Ensure YOUR_DOMAIN is set in your .env or defaults correctly
     const YOUR_DOMAIN = process.env.YOUR_DOMAIN || 'http://localhost:5173'; 
 
-    // 4. Create the Stripe Checkout Session
-    const stripeSession = await stripe.checkout.sessions.create({
+    // 8. Create the Stripe Checkout Session
+    const sessionParams = {
       payment_method_types: ['card'],
       line_items: line_items,
       mode: 'payment',
@@ -2340,15 +8784,49 @@ app.post('/api/create-checkout-session', authMiddleware, async (req, res) => {
       cancel_url: `${YOUR_DOMAIN}/cart.html`, 
       client_reference_id: sqlUserId.toString(), 
       metadata: metadata,
-      // --- Future enhancements: --- 
-      // automatic_tax: { enabled: true },
-      // shipping_address_collection: { allowed_countries: ['US', 'CA'] }, // If Stripe collects address
-    });
+      // The method picked on shipping.html, priced by us; Stripe adds it to the total
+      shipping_options: [{
+        shipping_rate_data: {
+          type: 'fixed_amount',
+          fixed_amount: { amount: toMinorUnits(convertFromBase(shippingOption.amount, currency), currency), currency: currency.code.toLowerCase() },
+          display_name: shippingOption.freeReason ? `${shippingOption.name} (Free)` : shippingOption.name,
+          ...(shippingOption.minDays != null && shippingOption.maxDays != null ? {
+            delivery_estimate: {
+              minimum: { unit: 'business_day', value: shippingOption.minDays },
+              maximum: { unit: 'business_day', value: shippingOption.maxDays }
+            }
+          } : {}),
+          metadata: { method: shippingOption.method }
+        }
+      }],
+    };
+    if (discounts.length > 0) {
+        sessionParams.discounts = discounts;
+    }
+    if (reservationKey || loyaltyHold) {
+        // Expire the session with the holds so an abandoned checkout frees the stock and points
+        const holdsExpireAt = reservationKey ? stockResult.expiresAt : loyaltyHold.expiresAt;
+        sessionParams.expires_at = Math.floor(holdsExpireAt.getTime() / 1000);
+    }
+    const stripeSession = await stripe.checkout.sessions.create(sessionParams);
 
     res.json({ sessionId: stripeSession.id }); // Send session ID to client
 
   } catch (error) {
     console.error("[Stripe Checkout] Error creating session:", error);
+    // No session means no webhook will ever release the holds
+    if (reservationKey) {
+        await releaseStockReservation(reservationKey, 'checkout session creation failed')
+            .catch(releaseError => console.error('[Stripe Checkout] Failed to release stock reservation:', releaseError));
+    }
+    if (loyaltyHold) {
+        await releaseLoyaltyHold(loyaltyHold.holdKey, 'checkout session creation failed')
+            .catch(releaseError => console.error('[Stripe Checkout] Failed to release points hold:', releaseError));
+    }
+    if (couponId) {
+        await stripe.coupons.del(couponId)
+            .catch(deleteError => console.error(`[Stripe Checkout] Failed to delete coupon ${couponId}:`, deleteError));
+    }
     let errorMessage = 'Failed to create Stripe checkout session.';
     if (error.message.startsWith('Cart item is missing')) {
         errorMessage = error.message;
@@ -2360,10 +8838,66 @@ app.post('/api/create-checkout-session', authMiddleware, async (req, res) => {
 
 // ... existing code ...
 
+// --- Order Status Helpers ---
+function canTransitionOrderStatus(fromStatus, toStatus) {
+    return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Moves an order to toStatus and records the change in order_status_history.
+// Throws an Error with status 409 when the transition isn't allowed.
+async function transitionOrderStatus(order, toStatus, { changedByUserId = null, source = 'system', note = null, transaction } = {}) {
+    const fromStatus = order.status;
+    if (!canTransitionOrderStatus(fromStatus, toStatus)) {
+        const error = new Error(`Cannot change order status from ${fromStatus} to ${toStatus}`);
+        error.status = 409;
+        throw error;
+    }
+
+    await order.update({ status: toStatus }, { transaction });
+    await SqlOrderStatusHistory.create({
+        orderId: order.id,
+        fromStatus,
+        toStatus,
+        changedByUserId,
+        source,
+        note
+    }, { transaction });
+    console.log(`[Order Status] Order ${order.id}: ${fromStatus} -> ${toStatus} (${source}${changedByUserId ? `, user ${changedByUserId}` : ''})`);
+
+    // Points were earned and stock committed when the order was paid; a refund or
+    // cancellation takes the points back and returns the items to stock
+    if ((toStatus === 'Refunded' || toStatus === 'Cancelled') && fromStatus !== 'Pending') {
+        await reverseOrderLoyaltyPoints(order, { actorUserId: changedByUserId, transaction });
+        await restockOrderItems(order, transaction);
+        await evaluateUserTier(order.userId, { transaction, persist: true });
+    }
+    return order;
+}
+
+// Adds statusHistory (oldest first) to already formatted order JSON objects
+async function attachStatusHistory(orders) {
+    if (orders.length === 0) return orders;
+    const history = await SqlOrderStatusHistory.findAll({
+        where: { orderId: orders.map(o => o.id) },
+        order: [['changedAt', 'ASC'], ['id', 'ASC']],
+        attributes: ['orderId', 'fromStatus', 'toStatus', 'source', 'note', 'changedAt']
+    });
+    const historyByOrder = {};
+    history.forEach(entry => {
+        (historyByOrder[entry.orderId] = historyByOrder[entry.orderId] || []).push(entry.toJSON());
+    });
+    orders.forEach(order => { order.statusHistory = historyByOrder[order.id] || []; });
+    return orders;
+}
+// --- End Order Status Helpers ---
+
 // --- Helper function to fulfill order using SQL (NEW) ---
 async function fulfillOrderSql(session) {
   const stripeSessionId = session.id;
-  let sqlUserId, deliveryAddress = {}, promoCode = null;
+  let sqlUserId, deliveryAddress = {}, promoCode = null, promoIsPersonalized = false, reservationKey = null, loyaltyHoldKey = null;
+  let pointsRedeemed = 0, loyaltyDiscountAmount = 0, promoDiscountAmount = 0;
+  let chargedCurrency = BASE_CURRENCY, exchangeRate = 1, currencyDecimals = 2;
+  let shippingMethod = null, shippingAmount = 0, taxAmount = 0, taxRate = null;
 
   console.log(`[Fulfill SQL] Received checkout session: ${stripeSessionId}`);
 
@@ -2376,6 +8910,20 @@ async function fulfillOrderSql(session) {
       }
       deliveryAddress = JSON.parse(session.metadata.delivery_address || '{}');
       promoCode = session.metadata.promo_code || null;
+      promoIsPersonalized = session.metadata.promo_is_personalized === 'true';
+      reservationKey = session.metadata.reservation_id || null;
+      loyaltyHoldKey = session.metadata.loyalty_hold_id || null;
+      pointsRedeemed = parseInt(session.metadata.loyalty_points_redeemed, 10) || 0;
+      loyaltyDiscountAmount = parseFloat(session.metadata.loyalty_discount_amount) || 0;
+      promoDiscountAmount = parseFloat(session.metadata.discount_amount) || 0;
+      // Sessions created before multi-currency checkout were always in BASE_CURRENCY
+      chargedCurrency = (session.currency || BASE_CURRENCY).toUpperCase();
+      exchangeRate = parseFloat(session.metadata.exchange_rate) || 1;
+      const parsedDecimals = parseInt(session.metadata.currency_decimals, 10);
+      if (!isNaN(parsedDecimals)) currencyDecimals = parsedDecimals;
+      shippingMethod = session.metadata.shipping_method || null;
+      shippingAmount = parseFloat(session.metadata.shipping_amount) || 0;
+      taxRate = session.metadata.tax_rate ? parseFloat(session.metadata.tax_rate) : null;
       console.log(`[Fulfill SQL] Extracted SQL User ID: ${sqlUserId}`);
       console.log("[Fulfill SQL] Delivery Address:", deliveryAddress);
       console.log("[Fulfill SQL] Promo Code:", promoCode);
@@ -2416,6 +8964,7 @@ async function fulfillOrderSql(session) {
   }
 
   // --- Map Stripe line items to SqlOrderItem format --- 
+  const minorUnitsPerUnit = 10 ** currencyDecimals;
   let mappedOrderItems;
   try {
       mappedOrderItems = lineItems.data.map((item) => {
@@ -2432,7 +8981,12 @@ async function fulfillOrderSql(session) {
               productId: sqlProductId,
               name: productInfo.name || item.description, // Store name at time of order
               quantity: item.quantity,
-              price: item.price.unit_amount / 100, // Price at time of order (convert cents)
+              // Price at time of order, in BASE_CURRENCY (recorded at checkout, else converted back from Stripe)
+              price: productInfo.metadata?.base_price
+                  ? parseFloat(productInfo.metadata.base_price)
+                  : Math.round(item.price.unit_amount / minorUnitsPerUnit / exchangeRate * 100) / 100,
+              color: productInfo.metadata?.color || null, // Variant chosen on product-detail
+              size: productInfo.metadata?.size || null
           };
       });
   } catch (mappingError) {
@@ -2440,9 +8994,25 @@ async function fulfillOrderSql(session) {
        throw mappingError; // Re-throw to prevent proceeding
   }
 
-  const subTotal = session.amount_subtotal / 100;
-  const totalAmount = session.amount_total / 100;
-  const discountAmount = subTotal - totalAmount; // Calculate discount
+  // Order amounts are stored in BASE_CURRENCY; what Stripe charged is kept in chargedAmount
+  const chargedAmount = session.amount_total / minorUnitsPerUnit;
+  // Tax is what Stripe computed from the line items' tax rates
+  const chargedTaxAmount = (session.total_details?.amount_tax || 0) / minorUnitsPerUnit;
+  taxAmount = chargedCurrency === BASE_CURRENCY ? chargedTaxAmount : Math.round(chargedTaxAmount / exchangeRate * 100) / 100;
+  let subTotal, totalAmount, discountAmount;
+  if (chargedCurrency === BASE_CURRENCY) {
+      subTotal = session.amount_subtotal / minorUnitsPerUnit;
+      totalAmount = chargedAmount;
+      // Discount actually applied by Stripe (from the promotion coupon)
+      discountAmount = session.total_details?.amount_discount != null
+          ? session.total_details.amount_discount / minorUnitsPerUnit
+          : subTotal + shippingAmount + taxAmount - totalAmount;
+  } else {
+      // Stripe's totals are converted; rebuild them from the catalog prices and the discounts we priced
+      subTotal = Math.round(mappedOrderItems.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+      discountAmount = Math.min(Math.round((promoDiscountAmount + loyaltyDiscountAmount) * 100) / 100, subTotal);
+      totalAmount = Math.round((subTotal - discountAmount + shippingAmount + taxAmount) * 100) / 100;
+  }
 
   // --- Sequelize Transaction --- 
   let transaction;
@@ -2450,6 +9020,10 @@ async function fulfillOrderSql(session) {
       console.log("[Fulfill SQL] Starting SQL transaction...");
       transaction = await sequelize.transaction();
 
+      // Tier before this order decides the earn multiplier
+      const { tier: tierBeforeOrder } = await evaluateUserTier(sqlUserId, { transaction });
+      const earnMultiplier = tierBeforeOrder ? tierBeforeOrder.earnMultiplier : 1;
+
       // 1. Create the SqlOrder record
       const newOrder = await SqlOrder.create({
           userId: sqlUserId,
@@ -2457,6 +9031,15 @@ async function fulfillOrderSql(session) {
           appliedPromoCode: promoCode,
           discountAmount: discountAmount,
           totalAmount: totalAmount,
+          loyaltyPointsRedeemed: pointsRedeemed,
+          loyaltyDiscountAmount: loyaltyDiscountAmount,
+          currency: chargedCurrency,
+          exchangeRate: exchangeRate,
+          chargedAmount: chargedAmount,
+          shippingMethod: shippingMethod,
+          shippingAmount: shippingAmount,
+          taxAmount: taxAmount,
+          taxRate: taxRate,
           shippingFullName: deliveryAddress.firstName + ' ' + deliveryAddress.lastName,
           shippingStreetAddress: deliveryAddress.address,
           shippingCity: deliveryAddress.city,
@@ -2464,9 +9047,20 @@ async function fulfillOrderSql(session) {
           shippingPostalCode: deliveryAddress.zipCode,
           shippingCountry: deliveryAddress.country,
           orderDate: new Date(),
-          status: 'Completed', 
+          status: 'Pending', 
           stripeSessionId: stripeSessionId 
       }, { transaction });
+      await SqlOrderStatusHistory.create({
+          orderId: newOrder.id,
+          fromStatus: null,
+          toStatus: 'Pending',
+          source: 'stripe-webhook'
+      }, { transaction });
+      await transitionOrderStatus(newOrder, 'Paid', {
+          source: 'stripe-webhook',
+          note: `Checkout session ${stripeSessionId} completed`,
+          transaction
+      });
       console.log(`[Fulfill SQL] SQL Order ${newOrder.id} created.`);
 
       // 2. Create SqlOrderItem records
@@ -2474,21 +9068,62 @@ async function fulfillOrderSql(session) {
       await SqlOrderItem.bulkCreate(itemsToCreate, { transaction });
       console.log(`[Fulfill SQL] ${itemsToCreate.length} SQL OrderItem records created.`);
 
-      // 3. Award Loyalty Points to SqlUser
-      const pointsEarned = Math.floor(totalAmount); // Base points on final amount
+      // 3a. Post the points held when the session was created. If the hold was already
+      // released (paid after it lapsed), debit them now; the payment has gone through,
+      // so when the balance falls short take what's left and flag the order for staff.
+      if (pointsRedeemed > 0) {
+          const redeemReason = `$${loyaltyDiscountAmount.toFixed(2)} off order #${newOrder.id}`;
+          const heldEntry = loyaltyHoldKey ? await confirmLoyaltyHold(loyaltyHoldKey, newOrder.id, redeemReason, transaction) : null;
+          if (!heldEntry) {
+              const redeemEntry = await recordLoyaltyTransaction(sqlUserId, {
+                  type: 'redeem',
+                  points: -pointsRedeemed,
+                  orderId: newOrder.id,
+                  reason: redeemReason,
+                  clampToBalance: true
+              }, transaction);
+              const debited = redeemEntry ? -redeemEntry.points : 0;
+              if (debited < pointsRedeemed) {
+                  console.warn(`[Fulfill SQL] User ${sqlUserId} no longer had ${pointsRedeemed} points for order ${newOrder.id}; debited ${debited}.`);
+                  await newOrder.update({
+                      reviewNote: `Loyalty points short: ${pointsRedeemed} redeemed at checkout, only ${debited} left to debit`
+                  }, { transaction });
+              }
+          }
+      }
+
+      // 3b. Award Loyalty Points to SqlUser (ledger entry linked to the order)
+      // Final amount, less shipping and tax, x tier multiplier
+      const pointsEarned = Math.floor(Math.max(totalAmount - shippingAmount - taxAmount, 0) * earnMultiplier);
       if (pointsEarned > 0) {
-            console.log(`[Fulfill SQL] Awarding ${pointsEarned} loyalty points to SQL user ${sqlUserId}.`);
-            await SqlUser.increment('loyaltyPoints', { 
-                by: pointsEarned, 
-                where: { id: sqlUserId }, 
-                transaction 
-            });
+            console.log(`[Fulfill SQL] Awarding ${pointsEarned} loyalty points to SQL user ${sqlUserId} (x${earnMultiplier}).`);
+            await recordLoyaltyTransaction(sqlUserId, {
+                type: 'earn',
+                points: pointsEarned,
+                orderId: newOrder.id,
+                reason: earnMultiplier !== 1
+                    ? `Order #${newOrder.id} (${tierBeforeOrder.name} x${earnMultiplier})`
+                    : `Order #${newOrder.id}`
+            }, transaction);
             console.log(`[Fulfill SQL] Loyalty points updated for SQL user ${sqlUserId}.`);
       } else {
           console.log(`[Fulfill SQL] No loyalty points to award for user ${sqlUserId} (Total: ${totalAmount}).`);
       }
 
-      // 4. Update Promotion Usage Count (SQL Promotion)
+      // 3c. This order may have moved the user up a tier
+      await evaluateUserTier(sqlUserId, { transaction, persist: true });
+
+      // 4. Turn the checkout's stock hold into a sale
+      if (reservationKey) {
+          await commitStockReservation(reservationKey, transaction);
+      }
+
+      // 5. Record Promotion Usage (only now that payment has succeeded)
+      if (promoCode && promoIsPersonalized) {
+            // Personalized offers are single use; usageCount below closes the offer, this keeps the history
+            await PersonalizedCodeUsage.create({ userId: sqlUserId, code: promoCode }, { transaction });
+            console.log(`[Fulfill SQL] Recorded usage for personalized code ${promoCode} for user ${sqlUserId}.`);
+      }
       if (promoCode) {
             try {
                 const promoUpdateResult = await SqlPromotion.increment('usageCount', { 
@@ -2511,10 +9146,31 @@ async function fulfillOrderSql(session) {
             }
         }
 
+      // 6. Take the purchased lines out of the user's saved cart
+      await SqlCartItem.destroy({
+          where: {
+              userId: sqlUserId,
+              [Sequelize.Op.or]: mappedOrderItems.map(item => ({
+                  productId: item.productId,
+                  color: normalizeVariantOption(item.color),
+                  size: normalizeVariantOption(item.size)
+              }))
+          },
+          transaction
+      });
+
+      // 7. Recommendations would still suggest what was just bought; rebuild on next request
+      await SqlRecommendation.destroy({ where: { subjectType: 'user', subjectId: sqlUserId }, transaction });
+
       // Commit the transaction
       await transaction.commit();
       console.log("[Fulfill SQL] SQL transaction committed successfully.");
 
+      // Segment and preferences include this order from now on; the nightly rebuild catches any failure
+      refreshCustomerProfile(sqlUserId).catch(profileError => {
+          console.error(`[Fulfill SQL] Failed to refresh customer profile for user ${sqlUserId}:`, profileError);
+      });
+
   } catch (error) {
       console.error("[Fulfill SQL] Error during SQL transaction:", error);
       // If transaction was started, roll it back
@@ -2530,116 +9186,4 @@ async function fulfillOrderSql(session) {
 // --- End SQL Fulfillment Helper ---
 
 
-// --- Get Personalized Offers Endpoint (NEW) ---
-app.get('/api/users/me/personalized-offers', authMiddleware, async (req, res) => {
-    const sqlUserId = req.sqlUser?.id;
-    const mongoUserId = req.user?.id; // Still need mongo ID for user wishlist
-
-    if (!sqlUserId || !mongoUserId) {
-        return res.status(401).json({ message: 'User not authenticated.' });
-    }
-    console.log(`[Personalized Offers] Request for user SQL ID: ${sqlUserId}, Mongo ID: ${mongoUserId}`);
-
-    try {
-        // --- Get User Data (Wishlist from Mongo, Preferred Category from SQL Orders) ---
-        let wishlistSqlProductIds = [];
-        let preferredCategory = null; // This should already be calculated in /api/users/me, but recalculate here for demo
-        
-        // 1. Get Mongo User Wishlist
-        const user = await User.findById(mongoUserId).select('wishlist');
-        if (user && user.wishlist && user.wishlist.length > 0) {
-            wishlistSqlProductIds = user.wishlist.map(idStr => parseInt(idStr, 10)).filter(id => !isNaN(id));
-        }
-        
-        // 2. Analyze Order History for Preferred Category (Simplified version)
-        try {
-             const orders = await SqlOrder.findAll({
-                where: { userId: sqlUserId },
-                include: [{ model: SqlOrderItem, as: 'items', include: [{ model: SqlProduct, attributes: ['category']}] }]
-             });
-             const categoryCounts = {};
-             let maxCount = 0;
-             orders.forEach(order => {
-                 order.items?.forEach(item => {
-                     const category = item.SqlProduct?.category;
-                     if (category) {
-                         categoryCounts[category] = (categoryCounts[category] || 0) + 1;
-                         if (categoryCounts[category] > maxCount) {
-                             maxCount = categoryCounts[category];
-                             preferredCategory = category;
-                         }
-                     }
-                 });
-             });
-             console.log(`[Personalized Offers] User ${sqlUserId} preferred category: ${preferredCategory}`);
-        } catch (analysisError) {
-             console.error(`[Personalized Offers] Error analyzing order history for user ${sqlUserId}:`, analysisError);
-        }
-        // --- End User Data Fetching & Analysis ---
-        
-        let offerCode = null;
-        let offerDescription = null;
-        const discountType = 'PERCENTAGE';
-        const discountValue = 10; // Standard 10% for these simple offers
-        let offerGenerated = false;
-
-        // --- Offer Generation Logic --- 
-        if (wishlistSqlProductIds.length > 0) {
-            // **Offer based on Wishlist**
-            console.log(`[Personalized Offers] User ${sqlUserId} has items in wishlist.`);
-            const offerBaseCode = `WISH-${sqlUserId}-`;
-            const existingUsage = await PersonalizedCodeUsage.findOne({ where: { userId: sqlUserId, code: { [Sequelize.Op.like]: `${offerBaseCode}%` } } });
-
-            if (!existingUsage) {
-                const firstWishlistedProductId = wishlistSqlProductIds[0];
-                const wishlistedProduct = await SqlProduct.findByPk(firstWishlistedProductId, { attributes: ['name'] });
-                const productName = wishlistedProduct ? wishlistedProduct.name : 'an item you like';
-                
-                offerCode = `${offerBaseCode}${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-                offerDescription = `Enjoy 10% off your next order! We noticed you like ${productName}.`;
-                if (preferredCategory) {
-                     offerDescription += ` Great choice for ${preferredCategory.toLowerCase()} fans!`; // Add category context
-                }
-                offerGenerated = true;
-            } else {
-                 console.log(`[Personalized Offers] User ${sqlUserId} already used wishlist offer.`);
-            }
-        
-        } else if (preferredCategory) {
-            // **Offer based on Preferred Category (if wishlist empty)**
-             console.log(`[Personalized Offers] User ${sqlUserId} has no wishlist, but preferred category: ${preferredCategory}.`);
-             const offerBaseCode = `CAT-${sqlUserId}-`;
-             const existingUsage = await PersonalizedCodeUsage.findOne({ where: { userId: sqlUserId, code: { [Sequelize.Op.like]: `${offerBaseCode}%` } } }); // Check for CAT code usage
-
-             if (!existingUsage) {
-                 offerCode = `${offerBaseCode}${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-                 offerDescription = `Enjoy 10% off your next order! Especially for fans of ${preferredCategory.toLowerCase()} products.`;
-                 offerGenerated = true;
-             } else {
-                 console.log(`[Personalized Offers] User ${sqlUserId} already used category offer.`);
-             }
-        }
-
-        // --- Construct and Return Offer --- 
-        if (offerGenerated && offerCode) {
-            const personalizedOffer = {
-                code: offerCode,
-                description: offerDescription,
-                discountType: discountType,
-                discountValue: discountValue,
-                isPersonalized: true 
-            };
-            console.log(`[Personalized Offers] Generated offer for user ${sqlUserId}:`, personalizedOffer.code);
-            res.json([personalizedOffer]); 
-        } else {
-            console.log(`[Personalized Offers] No eligible personalized offer generated for user ${sqlUserId}.`);
-            res.json([]); // Return empty array if no offer generated
-        }
-
-    } catch (error) {
-        console.error("[Personalized Offers] Error generating offers:", error);
-        res.status(500).json({ message: 'Failed to generate personalized offers.' });
-    }
-});
-
 // ... existing code ...
\ No newline at end of file
@@ -7,6 +7,7 @@ export default defineConfig({
       input: {
         main: resolve(__dirname, 'index.html'),
         account: resolve(__dirname, 'account.html'),
+        admin: resolve(__dirname, 'admin.html'),
         cart: resolve(__dirname, 'cart.html'),
         login: resolve(__dirname, 'login.html'),
         privacy: resolve(__dirname, 'privacy.html'),